@@ -1,7 +1,15 @@
 import express from "express";
 import path from "path";
 import { fileURLToPath } from "url";
+import artifactRoutes from "./routes/artifactRoutes.js";
 import chatRoutes from "./routes/chatRoutes.js";
+import imageRoutes from "./routes/imageRoutes.js";
+import jobRoutes from "./routes/jobRoutes.js";
+import promptTemplateRoutes from "./routes/promptTemplateRoutes.js";
+import knowledgeBaseRoutes from "./routes/knowledgeBaseRoutes.js";
+import quizRoutes from "./routes/quizRoutes.js";
+import usageRoutes from "./routes/usageRoutes.js";
+import { sessionStoreKind } from "./services/sessionStore/index.js";
 
 // --- Server Initialization ---
 const app = express();
@@ -12,11 +20,18 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 // --- Middleware ---
-app.use(express.json()); // To parse JSON bodies
+app.use(express.json({ limit: "5mb" })); // To parse JSON bodies (exports can be large)
 app.use(express.urlencoded({ extended: true })); // To parse URL-encoded bodies
 
 // --- Routes ---
 app.use("/api/chat", chatRoutes);
+app.use("/api/quizzes", quizRoutes);
+app.use("/api/usage", usageRoutes);
+app.use("/api/collections", knowledgeBaseRoutes);
+app.use("/api/jobs", jobRoutes);
+app.use("/api/artifacts", artifactRoutes);
+app.use("/api/prompt-templates", promptTemplateRoutes);
+app.use("/api/images", imageRoutes);
 
 // --- Basic Welcome Route ---
 app.get("/", (req, res) => {
@@ -28,6 +43,13 @@ app.get("/", (req, res) => {
 });
 
 // --- Start Server ---
-app.listen(PORT, () => {
-  console.log(`Server is running on http://localhost:${PORT}`);
-});
+// Only listen when run directly, so integration tests can import the app
+// (e.g. with LLM_PROVIDER=mock) and start it on a port of their choosing.
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  app.listen(PORT, () => {
+    console.log(`Server is running on http://localhost:${PORT}`);
+    console.log(`Using '${sessionStoreKind}' session store.`);
+  });
+}
+
+export default app;
@@ -0,0 +1,154 @@
+import {
+  compareArtifactVersions,
+  editArtifactElement,
+  getArtifact,
+  getArtifactVersion,
+  listArtifacts,
+} from "../services/artifacts/index.js";
+import {
+  illustrateArtifactElement,
+  regenerateArtifactElement,
+} from "../services/geminiService.js";
+import { sendError } from "../utils/sendError.js";
+
+/**
+ * Reads the element being revised from the route (`/:collection/:position`).
+ */
+const toElement = (params) => ({
+  collection: params.collection,
+  position: Number(params.position),
+});
+
+/**
+ * Controller to list the caller's artifacts (optionally for one `sessionId`).
+ */
+export const handleListArtifacts = async (req, res) => {
+  try {
+    const artifacts = await listArtifacts(req.user.id, {
+      sessionId: req.query.sessionId,
+    });
+    res.status(200).json({ artifacts });
+  } catch (error) {
+    sendError(res, error, "Failed to list artifacts.");
+  }
+};
+
+/**
+ * Controller to fetch an artifact's latest content and version history.
+ */
+export const handleGetArtifact = async (req, res) => {
+  try {
+    const artifact = await getArtifact(req.params.id, req.user.id);
+    res.status(200).json(artifact);
+  } catch (error) {
+    sendError(res, error, "Failed to load the artifact.");
+  }
+};
+
+/**
+ * Controller to fetch one version with its diff against the previous one.
+ */
+export const handleGetArtifactVersion = async (req, res) => {
+  try {
+    const version = await getArtifactVersion(
+      req.params.id,
+      Number(req.params.version),
+      req.user.id
+    );
+    res.status(200).json(version);
+  } catch (error) {
+    sendError(res, error, "Failed to load the artifact version.");
+  }
+};
+
+/**
+ * Controller to diff two versions (`?from=1&to=3`; defaults to the latest
+ * version against the one before it).
+ */
+export const handleCompareArtifactVersions = async (req, res) => {
+  try {
+    const { latestVersion } = await getArtifact(req.params.id, req.user.id);
+    const to = req.query.to ? Number(req.query.to) : latestVersion;
+    const from = req.query.from ? Number(req.query.from) : to - 1;
+    const diff = await compareArtifactVersions(
+      req.params.id,
+      from,
+      to,
+      req.user.id
+    );
+    res.status(200).json(diff);
+  } catch (error) {
+    sendError(res, error, "Failed to compare the artifact versions.");
+  }
+};
+
+/**
+ * Controller to regenerate one element (e.g. slides/3) from an `instruction`,
+ * creating a new version.
+ */
+export const handleRegenerateElement = async (req, res) => {
+  try {
+    const {
+      instruction,
+      model,
+      temperature,
+      topP,
+      maxOutputTokens,
+      thinkingBudget,
+    } = req.body ?? {};
+    const version = await regenerateArtifactElement(
+      req.params.id,
+      toElement(req.params),
+      instruction,
+      {
+        generation: {
+          model,
+          temperature,
+          topP,
+          maxOutputTokens,
+          thinkingBudget,
+        },
+        userId: req.user.id,
+      }
+    );
+    res.status(201).json(version);
+  } catch (error) {
+    sendError(res, error, "Failed to regenerate the element.");
+  }
+};
+
+/**
+ * Controller to replace one element with the `content` in the body, creating
+ * a new version.
+ */
+export const handleEditElement = async (req, res) => {
+  try {
+    const version = await editArtifactElement(
+      req.params.id,
+      toElement(req.params),
+      req.body?.content,
+      req.user.id
+    );
+    res.status(201).json(version);
+  } catch (error) {
+    sendError(res, error, "Failed to edit the element.");
+  }
+};
+
+/**
+ * Controller to generate illustrations for one element (e.g. slides/3), with
+ * an optional `instruction`, `model` and number of `variants`.
+ */
+export const handleIllustrateElement = async (req, res) => {
+  try {
+    const { instruction, model, variants } = req.body ?? {};
+    const result = await illustrateArtifactElement(
+      req.params.id,
+      toElement(req.params),
+      { instruction, model, variants, userId: req.user.id }
+    );
+    res.status(201).json(result);
+  } catch (error) {
+    sendError(res, error, "Failed to illustrate the element.");
+  }
+};
@@ -1,32 +1,122 @@
 import {
   generateImage,
+  getAvailableContentTypes,
+  getAvailableModels,
   sendMessage,
   startChatSession,
+  streamMessage,
 } from "../services/geminiService.js";
+import { assertQueueCapacity, createJob } from "../services/jobs/index.js";
+import { attachSessionFiles } from "../services/sessionService.js";
+import { httpError } from "../utils/httpError.js";
+import { errorBody, sendError } from "../utils/sendError.js";
+
+/**
+ * Shapes a service result into the response body: the structured JSON from
+ * the model, plus a `meta` object describing how it was produced.
+ */
+const toResponseBody = ({ response, meta }) => ({ ...response, meta });
+
+/**
+ * Collects the uploaded files from both the `file` and `files` fields.
+ */
+const collectUploads = (req) => [
+  ...(req.files?.file ?? []),
+  ...(req.files?.files ?? []),
+];
+
+/**
+ * Reads a list of IDs (`fileIds`, `referenceImageIds`) from a JSON body (an
+ * array) or a multipart form (a JSON array string, a comma-separated list or
+ * a repeated field).
+ */
+const parseFileIds = (value) => {
+  if (!value) return [];
+  if (Array.isArray(value)) return value.map(String);
+  const text = String(value).trim();
+  if (text.startsWith("[")) {
+    try {
+      return JSON.parse(text).map(String);
+    } catch {
+      return [];
+    }
+  }
+  return text
+    .split(",")
+    .map((id) => id.trim())
+    .filter(Boolean);
+};
+
+/**
+ * Reads the generation overrides (model, temperature, topP, maxOutputTokens,
+ * thinkingBudget) from the body. Multipart forms send numbers as strings, so
+ * numeric fields are converted; the service validates the values.
+ */
+const parseGenerationOverrides = (body) => {
+  const { model, temperature, topP, maxOutputTokens, thinkingBudget } = body;
+  const toNumber = (value) =>
+    value === undefined || value === "" ? undefined : Number(value);
+  return {
+    model: model || undefined,
+    temperature: toNumber(temperature),
+    topP: toNumber(topP),
+    maxOutputTokens: toNumber(maxOutputTokens),
+    thinkingBudget: toNumber(thinkingBudget),
+  };
+};
+
+/**
+ * Reads `templateVariables` from a JSON body (an object) or a multipart form
+ * (a JSON object string). Anything else is a 400.
+ */
+const parseTemplateVariables = (value) => {
+  if (!value) return undefined;
+  let parsed = value;
+  if (typeof value === "string") {
+    try {
+      parsed = JSON.parse(value);
+    } catch {
+      parsed = undefined;
+    }
+  }
+  if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+    throw httpError(400, "'templateVariables' must be a JSON object.");
+  }
+  return parsed;
+};
+
+/**
+ * Writes one Server-Sent Event.
+ */
+const writeEvent = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
 
 /**
  * Controller to start a new chat session.
  */
-export const handleStartSession = (req, res) => {
+export const handleStartSession = async (req, res) => {
   try {
-    const sessionId = startChatSession();
+    const sessionId = await startChatSession(req.user.id);
     res.status(200).json({
       message: "New chat session started successfully.",
       sessionId: sessionId,
     });
   } catch (error) {
-    console.error("Controller Error:", error.message);
-    res.status(500).json({ error: "Failed to start a new chat session." });
+    sendError(res, error, "Failed to start a new chat session.");
   }
 };
 
 /**
  * Controller to handle sending a message within a specific chat session.
+ * With `?async=true` it queues the generation and answers 202 with a `jobId`
+ * to poll at /api/jobs/:id; an optional `callbackUrl` gets a signed webhook
+ * when the job finishes.
  */
 export const handleSendMessage = async (req, res) => {
   try {
-    const { file } = req;
-    let { prompt, sessionId } = req.body;
+    const files = collectUploads(req);
+    let { prompt, sessionId, contentType, fileIds, collectionId } = req.body;
 
     if (!prompt || !sessionId) {
       return res
@@ -34,39 +124,167 @@ export const handleSendMessage = async (req, res) => {
         .json({ error: "A prompt and a sessionId are required." });
     }
 
-    const structuredResult = await sendMessage(sessionId, prompt, file);
+    if (req.query.async === "true") {
+      // The temp files are deleted when this response ends, so uploads are
+      // stored in the session first and the job attaches them by ID. This
+      // also rejects an unknown session before a job is created.
+      assertQueueCapacity();
+      const attached = await attachSessionFiles(sessionId, files, req.user.id);
+      const job = await createJob(
+        "message",
+        {
+          sessionId,
+          prompt,
+          options: {
+            contentType,
+            fileIds: [
+              ...parseFileIds(fileIds),
+              ...attached.map((file) => file.id),
+            ],
+            collectionId,
+            generation: parseGenerationOverrides(req.body),
+            templateVariables: parseTemplateVariables(
+              req.body.templateVariables
+            ),
+          },
+        },
+        { userId: req.user.id, callbackUrl: req.body.callbackUrl }
+      );
+      return res.status(202).json({
+        message: "Message accepted for processing.",
+        jobId: job.id,
+        status: job.status,
+        statusUrl: `/api/jobs/${job.id}`,
+      });
+    }
+
+    const structuredResult = await sendMessage(sessionId, prompt, files, {
+      contentType,
+      fileIds: parseFileIds(fileIds),
+      collectionId,
+      generation: parseGenerationOverrides(req.body),
+      templateVariables: parseTemplateVariables(req.body.templateVariables),
+      userId: req.user.id,
+    });
+
+    res.status(200).json(toResponseBody(structuredResult));
+  } catch (error) {
+    sendError(res, error, "An internal server error occurred.");
+  }
+};
 
-    res.status(200).json(structuredResult);
+/**
+ * Controller to stream a message response as Server-Sent Events.
+ * Emits a `research` event with the sources found (for researched content
+ * types), `progress` events with text chunks, a `result` event with the parsed
+ * JSON and, if generation fails after the stream has started, an `error` event.
+ */
+export const handleStreamMessage = async (req, res) => {
+  const files = collectUploads(req);
+  const { prompt, sessionId, contentType, fileIds, collectionId } = req.body;
+
+  if (!prompt || !sessionId) {
+    return res
+      .status(400)
+      .json({ error: "A prompt and a sessionId are required." });
+  }
+
+  // The generation keeps running if the client goes away, so the final turn
+  // is still saved; we just stop writing to the closed connection.
+  let clientGone = false;
+  res.on("close", () => {
+    clientGone = true;
+  });
+
+  try {
+    const events = streamMessage(sessionId, prompt, files, {
+      contentType,
+      fileIds: parseFileIds(fileIds),
+      collectionId,
+      generation: parseGenerationOverrides(req.body),
+      templateVariables: parseTemplateVariables(req.body.templateVariables),
+      userId: req.user.id,
+    });
+    for await (const event of events) {
+      if (clientGone) continue;
+      if (!res.headersSent) {
+        res.writeHead(200, {
+          "Content-Type": "text/event-stream",
+          "Cache-Control": "no-cache",
+          Connection: "keep-alive",
+        });
+      }
+      writeEvent(
+        res,
+        event.type,
+        event.type === "result" ? toResponseBody(event.data) : event.data
+      );
+    }
+    if (!clientGone) res.end();
   } catch (error) {
+    // Errors before the first event (e.g. an unknown session) still get a
+    // regular JSON response with the right status code.
+    if (!res.headersSent) {
+      return sendError(res, error, "An internal server error occurred.");
+    }
     console.error("Controller Error:", error.message);
-    res
-      .status(500)
-      .json({ error: error.message || "An internal server error occurred." });
+    if (!clientGone) {
+      writeEvent(
+        res,
+        "error",
+        errorBody(error, "An internal server error occurred.")
+      );
+      res.end();
+    }
   }
 };
 
 /**
- * Controller to handle stateless image generation requests.
+ * Controller to handle image generation requests: optional `referenceImage`
+ * uploads or `referenceImageIds` to edit, `variants` for alternatives and a
+ * `sessionId` to file the images under a chat session.
  */
 export const handleImageGeneration = async (req, res) => {
   try {
-    const { prompt } = req.body;
+    const { prompt, model, variants, sessionId } = req.body;
     if (!prompt) {
       return res
         .status(400)
         .json({ error: "A prompt is required to generate an image." });
     }
 
-    const imageBase64 = await generateImage(prompt);
+    const { images, model: usedModel } = await generateImage(prompt, {
+      model,
+      variants:
+        variants === undefined || variants === ""
+          ? undefined
+          : Number(variants),
+      referenceImages: req.files ?? [],
+      referenceImageIds: parseFileIds(req.body.referenceImageIds),
+      sessionId: sessionId || undefined,
+      userId: req.user.id,
+    });
 
     res.status(200).json({
       message: "Image generated successfully.",
-      imageData: imageBase64,
+      images,
+      model: usedModel,
     });
   } catch (error) {
-    console.error("Controller Error:", error.message);
-    res
-      .status(500)
-      .json({ error: error.message || "An internal server error occurred." });
+    sendError(res, error, "An internal server error occurred.");
   }
 };
+
+/**
+ * Controller to list the content types a client can request explicitly.
+ */
+export const handleListContentTypes = (req, res) => {
+  res.status(200).json({ contentTypes: getAvailableContentTypes() });
+};
+
+/**
+ * Controller to list the models (and their setting limits) a client can request.
+ */
+export const handleListModels = (req, res) => {
+  res.status(200).json({ models: getAvailableModels() });
+};
@@ -0,0 +1,96 @@
+import {
+  getArtifact,
+  getArtifactVersion,
+} from "../services/artifacts/index.js";
+import {
+  listDocumentFormats,
+  renderDocument,
+  resolveDocumentFormat,
+} from "../services/documentRenderers/index.js";
+import { toFileName } from "../services/documentRenderers/documentModel.js";
+import { buildPresentationDeck } from "../services/pptxService.js";
+import { sendError } from "../utils/sendError.js";
+
+const PPTX_MIME_TYPE =
+  "application/vnd.openxmlformats-officedocument.presentationml.presentation";
+
+/**
+ * Reads the response to export: a stored artifact when the body names an
+ * `artifactId` (and optionally a `version`), otherwise the posted JSON itself
+ * or `{ [key]: {...} }`. Responses generated before research grounding list
+ * their sources as `simulatedSources`; they become `sources` here, so the
+ * renderers only read one field.
+ */
+const readExportedResponse = async (req, key) => {
+  const { artifactId, version } = req.body ?? {};
+  let posted = req.body?.[key] ?? req.body ?? {};
+  if (artifactId) {
+    const artifact =
+      version === undefined
+        ? await getArtifact(artifactId, req.user.id)
+        : await getArtifactVersion(artifactId, Number(version), req.user.id);
+    posted = artifact.content;
+  }
+  const { simulatedSources, ...response } = posted;
+  return { ...response, sources: response.sources ?? simulatedSources };
+};
+
+/**
+ * Controller to turn a presentation response into a downloadable .pptx deck.
+ * Accepts the presentation JSON itself, `{ presentation: {...} }` or a stored
+ * `{ artifactId, version? }`.
+ */
+export const handlePptxExport = async (req, res) => {
+  try {
+    const presentation = await readExportedResponse(req, "presentation");
+
+    if (!Array.isArray(presentation?.slides) || !presentation.slides.length) {
+      return res.status(400).json({
+        error: "A presentation with a non-empty 'slides' array is required.",
+      });
+    }
+
+    const deck = await buildPresentationDeck(presentation);
+    const fileName = toFileName(presentation.title, "pptx", "presentation");
+
+    res.setHeader("Content-Type", PPTX_MIME_TYPE);
+    res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
+    res.status(200).send(deck);
+  } catch (error) {
+    sendError(res, error, "Failed to export the presentation.");
+  }
+};
+
+/**
+ * Controller to render a document response as Markdown, HTML, DOCX or PDF.
+ * The format comes from the `:format` route parameter; the body is the
+ * document JSON itself, `{ document: {...} }` or a stored
+ * `{ artifactId, version? }`.
+ */
+export const handleDocumentExport = async (req, res) => {
+  try {
+    const format = resolveDocumentFormat(req.params.format);
+    if (!format) {
+      return res.status(400).json({
+        error: `Unsupported format. Use one of: ${listDocumentFormats().join(
+          ", "
+        )}.`,
+      });
+    }
+
+    const document = await readExportedResponse(req, "document");
+    if (!Array.isArray(document?.sections)) {
+      return res
+        .status(400)
+        .json({ error: "A document with a 'sections' array is required." });
+    }
+
+    const { body, mimeType, fileName } = await renderDocument(document, format);
+
+    res.setHeader("Content-Type", mimeType);
+    res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
+    res.status(200).send(body);
+  } catch (error) {
+    sendError(res, error, "Failed to export the document.");
+  }
+};
@@ -0,0 +1,42 @@
+import {
+  listImages,
+  readImage,
+  readSignedImage,
+} from "../services/imageService.js";
+import { sendError } from "../utils/sendError.js";
+
+/**
+ * Controller to list the caller's images (optionally for one `sessionId` or
+ * `artifactId`).
+ */
+export const handleListImages = async (req, res) => {
+  try {
+    const images = await listImages(req.user.id, {
+      sessionId: req.query.sessionId,
+      artifactId: req.query.artifactId,
+    });
+    res.status(200).json({ images });
+  } catch (error) {
+    sendError(res, error, "Failed to list images.");
+  }
+};
+
+/**
+ * Controller to serve a stored image's bytes with its content type, either
+ * through a signed URL or to the image's owner.
+ */
+export const handleGetImage = async (req, res) => {
+  try {
+    const { expires, signature } = req.query;
+    const { image, data } = signature
+      ? await readSignedImage(req.params.id, expires, signature)
+      : await readImage(req.params.id, req.user.id);
+    res
+      .status(200)
+      .type(image.mimeType)
+      .set("Cache-Control", "private, max-age=86400")
+      .send(data);
+  } catch (error) {
+    sendError(res, error, "Failed to load the image.");
+  }
+};
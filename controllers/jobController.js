@@ -0,0 +1,14 @@
+import { getJob } from "../services/jobs/index.js";
+import { sendError } from "../utils/sendError.js";
+
+/**
+ * Controller to report a job's status, with its result or error once finished.
+ */
+export const handleGetJob = async (req, res) => {
+  try {
+    const job = await getJob(req.params.id, req.user.id);
+    res.status(200).json(job);
+  } catch (error) {
+    sendError(res, error, "Failed to load the job.");
+  }
+};
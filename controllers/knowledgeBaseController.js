@@ -0,0 +1,128 @@
+import {
+  createCollection,
+  deleteCollection,
+  getCollection,
+  ingestDocuments,
+  listCollections,
+  removeDocument,
+  searchCollection,
+} from "../services/knowledgeBase/index.js";
+import { sendError } from "../utils/sendError.js";
+
+/**
+ * Reads raw-text documents from a JSON body (an array) or a multipart form
+ * (a JSON array string).
+ */
+const parseTextDocuments = (value) => {
+  if (!value) return [];
+  if (Array.isArray(value)) return value;
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [parsed];
+  } catch {
+    return [{ text: String(value) }];
+  }
+};
+
+/**
+ * Controller to create a knowledge-base collection.
+ */
+export const handleCreateCollection = async (req, res) => {
+  try {
+    const collection = await createCollection(req.body ?? {}, req.user.id);
+    res.status(201).json({
+      message: "Collection created successfully.",
+      collection,
+    });
+  } catch (error) {
+    sendError(res, error, "Failed to create the collection.");
+  }
+};
+
+/**
+ * Controller to list the caller's collections.
+ */
+export const handleListCollections = async (req, res) => {
+  try {
+    const collections = await listCollections(req.user.id);
+    res.status(200).json({ collections });
+  } catch (error) {
+    sendError(res, error, "Failed to list collections.");
+  }
+};
+
+/**
+ * Controller to fetch one collection with its documents.
+ */
+export const handleGetCollection = async (req, res) => {
+  try {
+    const collection = await getCollection(req.params.id, req.user.id);
+    res.status(200).json(collection);
+  } catch (error) {
+    sendError(res, error, "Failed to load the collection.");
+  }
+};
+
+/**
+ * Controller to delete a collection.
+ */
+export const handleDeleteCollection = async (req, res) => {
+  try {
+    await deleteCollection(req.params.id, req.user.id);
+    res.status(204).end();
+  } catch (error) {
+    sendError(res, error, "Failed to delete the collection.");
+  }
+};
+
+/**
+ * Controller to add uploaded files and/or raw-text documents to a collection.
+ */
+export const handleIngestDocuments = async (req, res) => {
+  try {
+    const documents = await ingestDocuments(
+      req.params.id,
+      {
+        uploads: req.files ?? [],
+        texts: parseTextDocuments(req.body?.documents),
+      },
+      req.user.id
+    );
+    res.status(201).json({
+      message: "Documents added successfully.",
+      documents,
+    });
+  } catch (error) {
+    sendError(res, error, "Failed to add the documents.");
+  }
+};
+
+/**
+ * Controller to remove one document from a collection.
+ */
+export const handleRemoveDocument = async (req, res) => {
+  try {
+    await removeDocument(req.params.id, req.params.documentId, req.user.id);
+    res.status(204).end();
+  } catch (error) {
+    sendError(res, error, "Failed to remove the document.");
+  }
+};
+
+/**
+ * Controller to search a collection for the chunks closest to a query.
+ */
+export const handleSearchCollection = async (req, res) => {
+  try {
+    const { query, topK } = req.body ?? {};
+    const result = await searchCollection(
+      req.params.id,
+      query,
+      { topK: topK === undefined ? undefined : Number(topK) },
+      req.user.id
+    );
+    res.status(200).json(result);
+  } catch (error) {
+    sendError(res, error, "Failed to search the collection.");
+  }
+};
@@ -0,0 +1,93 @@
+import {
+  addPromptTemplateVersion,
+  createPromptTemplate,
+  deletePromptTemplate,
+  getPromptTemplate,
+  listPromptTemplates,
+  updatePromptTemplate,
+} from "../services/promptTemplates/index.js";
+import { sendError } from "../utils/sendError.js";
+
+/**
+ * Controller to list the prompt templates.
+ */
+export const handleListPromptTemplates = async (req, res) => {
+  try {
+    const templates = await listPromptTemplates();
+    res.status(200).json({ templates });
+  } catch (error) {
+    sendError(res, error, "Failed to list prompt templates.");
+  }
+};
+
+/**
+ * Controller to fetch a template with every version.
+ */
+export const handleGetPromptTemplate = async (req, res) => {
+  try {
+    const template = await getPromptTemplate(req.params.id);
+    res.status(200).json(template);
+  } catch (error) {
+    sendError(res, error, "Failed to load the prompt template.");
+  }
+};
+
+/**
+ * Controller to create a template with its first version.
+ */
+export const handleCreatePromptTemplate = async (req, res) => {
+  try {
+    const template = await createPromptTemplate(req.body, req.user.id);
+    res.status(201).json({
+      message: "Prompt template created successfully.",
+      template,
+    });
+  } catch (error) {
+    sendError(res, error, "Failed to create the prompt template.");
+  }
+};
+
+/**
+ * Controller to add a version (explicit `version` or a `bump`), optionally
+ * activating it.
+ */
+export const handleAddPromptTemplateVersion = async (req, res) => {
+  try {
+    const result = await addPromptTemplateVersion(
+      req.params.id,
+      req.body,
+      req.user.id
+    );
+    res.status(201).json(result);
+  } catch (error) {
+    sendError(res, error, "Failed to add the prompt template version.");
+  }
+};
+
+/**
+ * Controller to change the description, active version or A/B experiment.
+ */
+export const handleUpdatePromptTemplate = async (req, res) => {
+  try {
+    const template = await updatePromptTemplate(
+      req.params.id,
+      req.body,
+      req.user.id
+    );
+    res.status(200).json(template);
+  } catch (error) {
+    sendError(res, error, "Failed to update the prompt template.");
+  }
+};
+
+/**
+ * Controller to delete a template no content type uses.
+ */
+export const handleDeletePromptTemplate = async (req, res) => {
+  try {
+    await deletePromptTemplate(req.params.id, req.user.id);
+    res.status(204).end();
+  } catch (error) {
+    sendError(res, error, "Failed to delete the prompt template.");
+  }
+};
@@ -0,0 +1,128 @@
+import { exportQuiz } from "../services/quizExporters/index.js";
+import {
+  assertValidQuiz,
+  getQuizWithAnswers,
+  getStudentQuiz,
+  gradeSubmission,
+  listSubmissions,
+  saveQuiz,
+} from "../services/quizService.js";
+import { sendError } from "../utils/sendError.js";
+
+/**
+ * Controller to store a quiz (e.g. one returned by /api/chat/send-message).
+ * Accepts either the quiz JSON itself or `{ quiz: {...} }`.
+ */
+export const handleCreateQuiz = async (req, res) => {
+  try {
+    const quiz = await saveQuiz(req.body?.quiz ?? req.body, {
+      ownerId: req.user?.id,
+    });
+    res.status(201).json({ message: "Quiz stored successfully.", id: quiz.id });
+  } catch (error) {
+    sendError(res, error, "Failed to store the quiz.");
+  }
+};
+
+/**
+ * Controller to fetch the student view of a quiz (answers removed).
+ */
+export const handleGetQuiz = async (req, res) => {
+  try {
+    res.status(200).json(await getStudentQuiz(req.params.id));
+  } catch (error) {
+    sendError(res, error, "Failed to load the quiz.");
+  }
+};
+
+/**
+ * Controller to fetch a quiz including its answer key.
+ */
+export const handleGetAnswerKey = async (req, res) => {
+  try {
+    res.status(200).json(await getQuizWithAnswers(req.params.id, req.user?.id));
+  } catch (error) {
+    sendError(res, error, "Failed to load the answer key.");
+  }
+};
+
+/**
+ * Controller to grade a student's answers. The response says which questions
+ * were right but not what the right answers were.
+ */
+export const handleSubmitAnswers = async (req, res) => {
+  try {
+    const { answers, studentName } = req.body ?? {};
+    if (answers === undefined) {
+      return res.status(400).json({ error: "'answers' is required." });
+    }
+    const submission = await gradeSubmission(req.params.id, answers, {
+      studentName,
+    });
+    res.status(201).json(submission);
+  } catch (error) {
+    sendError(res, error, "Failed to grade the submission.");
+  }
+};
+
+/**
+ * Controller to list the graded submissions for a quiz.
+ */
+export const handleListSubmissions = async (req, res) => {
+  try {
+    const submissions = await listSubmissions(req.params.id, req.user?.id);
+    res.status(200).json({ submissions });
+  } catch (error) {
+    sendError(res, error, "Failed to list submissions.");
+  }
+};
+
+/**
+ * Sends an exported quiz file, listing any skipped questions in a header.
+ */
+const sendQuizExport = async (res, quiz, req) => {
+  const skipInvalid = ["true", "1"].includes(
+    String(req.query.skipInvalid ?? "").toLowerCase()
+  );
+  const { body, mimeType, fileName, skipped } = await exportQuiz(
+    quiz,
+    req.params.format,
+    { skipInvalid }
+  );
+
+  res.setHeader("Content-Type", mimeType);
+  res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
+  if (skipped.length > 0) {
+    res.setHeader(
+      "X-Quiz-Skipped-Questions",
+      skipped.map((issue) => issue.questionNumber).join(",")
+    );
+  }
+  res.status(200).send(body);
+};
+
+/**
+ * Controller to export a stored quiz as GIFT, QTI or CSV.
+ */
+export const handleExportQuiz = async (req, res) => {
+  try {
+    const quiz = await getQuizWithAnswers(req.params.id, req.user?.id);
+    await sendQuizExport(res, quiz, req);
+  } catch (error) {
+    sendError(res, error, "Failed to export the quiz.");
+  }
+};
+
+/**
+ * Controller to export a quiz posted in the request body as GIFT, QTI or CSV.
+ * Accepts either the quiz JSON itself or `{ quiz: {...} }`.
+ */
+export const handleExportQuizBody = async (req, res) => {
+  try {
+    const quiz = req.body?.quiz ?? req.body;
+    assertValidQuiz(quiz);
+    await sendQuizExport(res, quiz, req);
+  } catch (error) {
+    sendError(res, error, "Failed to export the quiz.");
+  }
+};
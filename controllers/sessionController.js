@@ -0,0 +1,80 @@
+import {
+  deleteChatSession,
+  forkChatSession,
+  getChatSession,
+  listChatSessions,
+  renameChatSession,
+} from "../services/sessionService.js";
+import { sendError } from "../utils/sendError.js";
+
+/**
+ * Controller to list all chat sessions.
+ */
+export const handleListSessions = async (req, res) => {
+  try {
+    const sessions = await listChatSessions(req.user.id);
+    res.status(200).json({ sessions });
+  } catch (error) {
+    sendError(res, error, "Failed to list chat sessions.");
+  }
+};
+
+/**
+ * Controller to fetch one session with its full turn history.
+ */
+export const handleGetSession = async (req, res) => {
+  try {
+    const session = await getChatSession(req.params.id, req.user.id);
+    res.status(200).json(session);
+  } catch (error) {
+    sendError(res, error, "Failed to load the chat session.");
+  }
+};
+
+/**
+ * Controller to rename a session.
+ */
+export const handleRenameSession = async (req, res) => {
+  try {
+    const session = await renameChatSession(
+      req.params.id,
+      req.body?.title,
+      req.user.id
+    );
+    res.status(200).json(session);
+  } catch (error) {
+    sendError(res, error, "Failed to rename the chat session.");
+  }
+};
+
+/**
+ * Controller to branch a new session off an existing one at a given turn.
+ */
+export const handleForkSession = async (req, res) => {
+  try {
+    const { turn } = req.body ?? {};
+    const session = await forkChatSession(
+      req.params.id,
+      turn === undefined ? undefined : Number(turn),
+      req.user.id
+    );
+    res.status(201).json({
+      message: "Chat session forked successfully.",
+      session,
+    });
+  } catch (error) {
+    sendError(res, error, "Failed to fork the chat session.");
+  }
+};
+
+/**
+ * Controller to delete a session.
+ */
+export const handleDeleteSession = async (req, res) => {
+  try {
+    await deleteChatSession(req.params.id, req.user.id);
+    res.status(204).end();
+  } catch (error) {
+    sendError(res, error, "Failed to delete the chat session.");
+  }
+};
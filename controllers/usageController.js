@@ -0,0 +1,14 @@
+import { getUsageSummary } from "../services/usageService.js";
+import { sendError } from "../utils/sendError.js";
+
+/**
+ * Controller to show the authenticated user's token usage and quotas.
+ */
+export const handleGetUsage = async (req, res) => {
+  try {
+    const usage = await getUsageSummary(req.user.id);
+    res.status(200).json(usage);
+  } catch (error) {
+    sendError(res, error, "Failed to load usage information.");
+  }
+};
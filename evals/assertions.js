@@ -0,0 +1,170 @@
+import {
+  getContentType,
+  validateAgainstSchema,
+} from "../services/contentTypes/index.js";
+
+// --- Assertions ---
+/*
+ * A case's `expect` block may contain:
+ *   contentType: "quiz"                  - the type the prompt was routed to
+ *   schemaValid: true                    - the response matches that type's schema (default true)
+ *   maxRepairAttempts: 0                 - at most this many schema repairs were needed
+ *   counts: { "slides": 7, "questions": { "min": 5, "max": 10 } }
+ *                                        - lengths of arrays in the response (dotted paths)
+ *   keywords: ["inertia", "F=ma"]        - text that must appear in the response (case-insensitive)
+ * Each check produces { name, passed, expected, actual, message }; a check
+ * that cannot run for the case's entry point is reported with `skipped`.
+ */
+
+// --- Helper Functions ---
+
+/**
+ * Reads a dotted path ("slides", "sections.0.items") from a value.
+ */
+function readPath(value, path) {
+  return path
+    .split(".")
+    .reduce(
+      (current, key) => (current == null ? undefined : current[key]),
+      value
+    );
+}
+
+/**
+ * Collects every string in a value, for keyword checks.
+ */
+function collectText(value, parts = []) {
+  if (typeof value === "string") {
+    parts.push(value);
+  } else if (Array.isArray(value)) {
+    value.forEach((item) => collectText(item, parts));
+  } else if (value && typeof value === "object") {
+    Object.values(value).forEach((item) => collectText(item, parts));
+  }
+  return parts;
+}
+
+/**
+ * Checks a count against a number or a { min, max } range.
+ */
+function countMatches(count, expected) {
+  if (typeof expected === "number") return count === expected;
+  return (
+    (expected.min === undefined || count >= expected.min) &&
+    (expected.max === undefined || count <= expected.max)
+  );
+}
+
+/**
+ * Builds one assertion result.
+ */
+function check(name, passed, expected, actual, message) {
+  return { name, passed, expected, actual, ...(message && { message }) };
+}
+
+/**
+ * Builds the result of a check that does not apply to the case.
+ */
+function skip(name, expected, message) {
+  return { name, passed: true, skipped: true, expected, actual: null, message };
+}
+
+// --- Main Functions ---
+
+/**
+ * Runs a case's assertions against what the pipeline returned.
+ * @param {object} expect - The case's `expect` block (see above).
+ * @param {object} outcome
+ * @param {object|null} outcome.response - The parsed response, or null if the call failed.
+ * @param {string|null} outcome.contentType - The content type the prompt was routed to.
+ * @param {number|null} outcome.repairAttempts - Schema repairs needed (null when not reported).
+ * @param {string|null} outcome.error - Why the call failed, if it did.
+ * @returns {object[]} One result per check, starting with `completed`.
+ */
+export function evaluateAssertions(expect = {}, outcome) {
+  const { response, contentType, repairAttempts, error } = outcome;
+  const results = [
+    check(
+      "completed",
+      !error,
+      "a response",
+      error ? "an error" : "a response",
+      error
+    ),
+  ];
+  if (error) return results;
+
+  if (expect.contentType !== undefined) {
+    results.push(
+      check(
+        "contentType",
+        contentType === expect.contentType,
+        expect.contentType,
+        contentType
+      )
+    );
+  }
+
+  if (expect.schemaValid !== false) {
+    const type = getContentType(contentType);
+    const errors = type ? validateAgainstSchema(response, type.schema) : [];
+    results.push(
+      check(
+        "schemaValid",
+        errors.length === 0,
+        true,
+        errors.length === 0,
+        errors.length > 0 ? errors.join("; ") : undefined
+      )
+    );
+  }
+
+  if (expect.maxRepairAttempts !== undefined) {
+    results.push(
+      repairAttempts === null
+        ? skip(
+            "maxRepairAttempts",
+            expect.maxRepairAttempts,
+            "Repair attempts are not reported by this entry point."
+          )
+        : check(
+            "maxRepairAttempts",
+            repairAttempts <= expect.maxRepairAttempts,
+            expect.maxRepairAttempts,
+            repairAttempts
+          )
+    );
+  }
+
+  for (const [path, expected] of Object.entries(expect.counts ?? {})) {
+    const value = readPath(response, path);
+    const count = Array.isArray(value) ? value.length : null;
+    results.push(
+      check(
+        `count:${path}`,
+        count !== null && countMatches(count, expected),
+        expected,
+        count,
+        count === null ? `'${path}' is not an array.` : undefined
+      )
+    );
+  }
+
+  if (expect.keywords?.length) {
+    const text = collectText(response).join("\n").toLowerCase();
+    const missing = expect.keywords.filter(
+      (keyword) => !text.includes(keyword.toLowerCase())
+    );
+    results.push(
+      check(
+        "keywords",
+        missing.length === 0,
+        expect.keywords,
+        expect.keywords.filter((keyword) => !missing.includes(keyword)),
+        missing.length > 0 ? `Missing: ${missing.join(", ")}` : undefined
+      )
+    );
+  }
+
+  return results;
+}
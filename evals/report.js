@@ -0,0 +1,205 @@
+// --- Helper Functions ---
+
+/**
+ * Escapes text for HTML.
+ */
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Formats an assertion value for the HTML report.
+ */
+function formatValue(value) {
+  return typeof value === "string" ? value : JSON.stringify(value);
+}
+
+/**
+ * Formats a pass rate (0-1) as a percentage.
+ */
+function percent(rate) {
+  return `${(rate * 100).toFixed(1)}%`;
+}
+
+/**
+ * Summarises a run.
+ */
+function summarize(results) {
+  const passed = results.filter((result) => result.passed).length;
+  return {
+    cases: results.length,
+    passed,
+    failed: results.length - passed,
+    passRate: results.length ? passed / results.length : 0,
+    modelCalls: results.reduce((sum, result) => sum + result.modelCalls, 0),
+    tokens: results.reduce((sum, result) => sum + result.tokens, 0),
+  };
+}
+
+/**
+ * Renders a case's assertion results as list items.
+ */
+function renderAssertions(assertions) {
+  return assertions
+    .map(
+      (assertion) =>
+        `<li class="${
+          assertion.skipped ? "skip" : assertion.passed ? "pass" : "fail"
+        }"><strong>${escapeHtml(assertion.name)}</strong>: expected ${escapeHtml(
+          formatValue(assertion.expected)
+        )}, got ${escapeHtml(formatValue(assertion.actual))}${
+          assertion.message ? ` &mdash; ${escapeHtml(assertion.message)}` : ""
+        }</li>`
+    )
+    .join("");
+}
+
+/**
+ * Renders the comparison with a baseline run, if there is one.
+ */
+function renderComparison(comparison) {
+  if (!comparison) return "";
+  const list = (label, ids) =>
+    `<p><strong>${label}:</strong> ${
+      ids.length ? ids.map(escapeHtml).join(", ") : "none"
+    }</p>`;
+  const delta = comparison.passRateDelta;
+  return `<h2>Compared with ${escapeHtml(comparison.baseline.startedAt)} (${escapeHtml(
+    comparison.baseline.mode
+  )})</h2>
+<p>Pass rate ${percent(comparison.baseline.passRate)} &rarr; ${percent(
+    comparison.passRate
+  )} (${delta >= 0 ? "+" : ""}${(delta * 100).toFixed(1)} points)</p>
+${list("Regressed", comparison.regressed)}
+${list("Fixed", comparison.fixed)}
+${list("New cases", comparison.added)}
+${list("Removed cases", comparison.removed)}`;
+}
+
+// --- Main Functions ---
+
+/**
+ * Builds the JSON report for a run.
+ * @param {object} details
+ * @param {object} details.suite - The suite that ran.
+ * @param {string} details.mode - "replay", "record" or "live".
+ * @param {string} details.provider - The LLM provider the responses came from.
+ * @param {string} details.startedAt - When the run started (ISO string).
+ * @param {object[]} details.results - The case results from runSuite.
+ * @returns {object} The report.
+ */
+export function buildReport({ suite, mode, provider, startedAt, results }) {
+  return {
+    suite: suite.name ?? null,
+    mode,
+    provider,
+    startedAt,
+    finishedAt: new Date().toISOString(),
+    summary: summarize(results),
+    cases: results,
+    comparison: null,
+  };
+}
+
+/**
+ * Compares a report with an earlier one, case by case.
+ * @param {object} report - The new report.
+ * @param {object} baseline - An earlier report of the same suite.
+ * @returns {object} Pass-rate change plus the IDs of cases that regressed,
+ *   were fixed, were added or were removed, and a per-case before/after.
+ */
+export function compareReports(report, baseline) {
+  const before = new Map(baseline.cases.map((result) => [result.id, result]));
+  const after = new Map(report.cases.map((result) => [result.id, result]));
+  const cases = [...after.values()]
+    .filter((result) => before.has(result.id))
+    .map((result) => ({
+      id: result.id,
+      before: before.get(result.id).passed,
+      after: result.passed,
+      tokensBefore: before.get(result.id).tokens,
+      tokensAfter: result.tokens,
+    }));
+
+  return {
+    baseline: {
+      startedAt: baseline.startedAt,
+      mode: baseline.mode,
+      provider: baseline.provider,
+      passRate: baseline.summary.passRate,
+    },
+    passRate: report.summary.passRate,
+    passRateDelta: report.summary.passRate - baseline.summary.passRate,
+    regressed: cases.filter((c) => c.before && !c.after).map((c) => c.id),
+    fixed: cases.filter((c) => !c.before && c.after).map((c) => c.id),
+    added: [...after.keys()].filter((id) => !before.has(id)),
+    removed: [...before.keys()].filter((id) => !after.has(id)),
+    cases,
+  };
+}
+
+/**
+ * Renders a report as a standalone HTML page.
+ * @param {object} report - The report from buildReport (with its comparison, if any).
+ * @returns {string} The HTML.
+ */
+export function renderHtmlReport(report) {
+  const { summary } = report;
+  const rows = report.cases
+    .map(
+      (result) => `<tr class="${result.passed ? "pass" : "fail"}">
+  <td>${escapeHtml(result.id)}</td>
+  <td>${result.passed ? "PASS" : "FAIL"}</td>
+  <td>${escapeHtml(result.contentType ?? "-")}</td>
+  <td>${result.repairAttempts ?? "-"}</td>
+  <td>${result.modelCalls}</td>
+  <td>${result.tokens}</td>
+  <td>${result.durationMs} ms</td>
+  <td><details><summary>${escapeHtml(result.prompt)}</summary><ul>${renderAssertions(
+    result.assertions
+  )}</ul><pre>${escapeHtml(
+    JSON.stringify(result.response, null, 2)
+  )}</pre></details></td>
+</tr>`
+    )
+    .join("\n");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Eval report: ${escapeHtml(report.suite)}</title>
+<style>
+  body { font-family: sans-serif; margin: 2rem; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { border: 1px solid #ccc; padding: 0.4rem; text-align: left; vertical-align: top; }
+  tr.pass td:nth-child(2), li.pass { color: #17692f; }
+  tr.fail td:nth-child(2), li.fail { color: #b3261e; }
+  li.skip { color: #777; }
+  pre { max-height: 20rem; overflow: auto; background: #f6f6f6; padding: 0.5rem; }
+</style>
+</head>
+<body>
+<h1>Eval report: ${escapeHtml(report.suite)}</h1>
+<p>${escapeHtml(report.mode)} run against <code>${escapeHtml(
+    report.provider
+  )}</code>, started ${escapeHtml(report.startedAt)}.</p>
+<p><strong>${summary.passed}/${summary.cases} passed (${percent(
+    summary.passRate
+  )})</strong>, ${summary.modelCalls} model calls, ${summary.tokens} tokens.</p>
+${renderComparison(report.comparison)}
+<h2>Cases</h2>
+<table>
+<thead><tr><th>Case</th><th>Result</th><th>Content type</th><th>Repairs</th><th>Calls</th><th>Tokens</th><th>Time</th><th>Prompt and checks</th></tr></thead>
+<tbody>
+${rows}
+</tbody>
+</table>
+</body>
+</html>
+`;
+}
@@ -0,0 +1,180 @@
+import fs from "fs";
+import { basename, dirname, extname, join, resolve } from "path";
+import { fileURLToPath } from "url";
+import { parseArgs } from "util";
+
+/*
+ * Runs an eval suite through the send-message pipeline and writes a JSON and
+ * an HTML report.
+ *
+ *   npm run eval -- [--suite <file>] [--mode replay|record|live]
+ *                   [--recordings <file>] [--out <dir>] [--baseline <report.json>]
+ *
+ *   replay  answers every model call from the recordings file; no network (default)
+ *   record  calls the configured LLM_PROVIDER and saves its responses (including
+ *           search-grounded research and embeddings) as the new recordings
+ *   live    calls the configured LLM_PROVIDER without saving anything
+ *
+ * --baseline compares the run with an earlier JSON report (regressed and fixed
+ * cases, pass-rate change). The process exits with 1 if any case fails.
+ */
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const MODES = ["replay", "record", "live"];
+
+// --- Helper Functions ---
+
+/**
+ * Reads a JSON file.
+ */
+function readJson(path) {
+  return JSON.parse(fs.readFileSync(path, "utf8"));
+}
+
+/**
+ * Writes a JSON file, creating its directory if needed.
+ */
+function writeJson(path, value) {
+  fs.mkdirSync(dirname(path), { recursive: true });
+  fs.writeFileSync(path, `${JSON.stringify(value, null, 2)}\n`);
+}
+
+/**
+ * Parses the command line, filling in the default paths.
+ */
+function parseOptions() {
+  const { values } = parseArgs({
+    options: {
+      suite: {
+        type: "string",
+        default: join(__dirname, "suites", "content-types.json"),
+      },
+      mode: { type: "string", default: "replay" },
+      recordings: { type: "string" },
+      out: { type: "string", default: join(__dirname, "reports") },
+      baseline: { type: "string" },
+    },
+  });
+  if (!MODES.includes(values.mode)) {
+    throw new Error(
+      `Unknown --mode '${values.mode}'. Use one of: ${MODES.join(", ")}.`
+    );
+  }
+  const suite = resolve(values.suite);
+  return {
+    ...values,
+    suite,
+    recordings: resolve(
+      values.recordings ?? join(__dirname, "recordings", basename(suite))
+    ),
+    out: resolve(values.out),
+  };
+}
+
+/**
+ * Lists a failed case's failing checks on one line.
+ */
+function describeFailures(result) {
+  return result.assertions
+    .filter((assertion) => !assertion.passed)
+    .map(
+      (assertion) =>
+        `${assertion.name} (${
+          assertion.message ??
+          `expected ${JSON.stringify(assertion.expected)}, got ${JSON.stringify(
+            assertion.actual
+          )}`
+        })`
+    )
+    .join("; ");
+}
+
+// --- Main ---
+
+async function main() {
+  const options = parseOptions();
+
+  // Evals never touch the server's stored sessions or data, and a replayed
+  // run must not reach the network: research recorded through Gemini search
+  // grounding is replayed from the tape, runs recorded without research
+  // replay without it and any other research comes from local fixtures.
+  process.env.DATA_STORE = "memory";
+  process.env.SESSION_STORE = "memory";
+  const recordings =
+    options.mode === "replay" ? readJson(options.recordings) : null;
+  if (recordings) {
+    process.env.RESEARCH_PROVIDER = ["gemini", "none"].includes(
+      recordings.researchProvider
+    )
+      ? recordings.researchProvider
+      : "fixture";
+  }
+
+  // Services read their configuration on import, so load them only now.
+  const { runSuite } = await import("./runner.js");
+  const { buildReport, compareReports, renderHtmlReport } =
+    await import("./report.js");
+  const { getLLMProvider } = await import("../services/llmProviders/index.js");
+
+  const suite = readJson(options.suite);
+  suite.name ??= basename(options.suite, extname(options.suite));
+  const provider =
+    options.mode === "replay"
+      ? `replay:${basename(options.recordings)}`
+      : getLLMProvider().name;
+
+  const startedAt = new Date().toISOString();
+  const { results, recordings: recorded } = await runSuite(suite, {
+    mode: options.mode,
+    recordings,
+    onCase: (result) =>
+      console.log(
+        result.passed
+          ? `PASS ${result.id}`
+          : `FAIL ${result.id}: ${describeFailures(result)}`
+      ),
+  });
+
+  const report = buildReport({
+    suite,
+    mode: options.mode,
+    provider,
+    startedAt,
+    results,
+  });
+  if (options.baseline) {
+    report.comparison = compareReports(report, readJson(options.baseline));
+  }
+
+  const stem = join(
+    options.out,
+    `${suite.name}-${startedAt.replace(/[:.]/g, "-")}`
+  );
+  writeJson(`${stem}.json`, report);
+  fs.writeFileSync(`${stem}.html`, renderHtmlReport(report));
+  if (recorded) {
+    // Replays use the same research source (see above); "none" is the
+    // research service's default.
+    recorded.researchProvider = process.env.RESEARCH_PROVIDER || "none";
+    writeJson(options.recordings, recorded);
+    console.log(`Saved recordings to ${options.recordings}`);
+  }
+
+  const { summary, comparison } = report;
+  console.log(
+    `\n${summary.passed}/${summary.cases} cases passed. Reports: ${stem}.json, ${stem}.html`
+  );
+  if (comparison) {
+    console.log(
+      `Against the baseline: ${comparison.regressed.length} regressed, ${comparison.fixed.length} fixed.`
+    );
+  }
+  return summary.failed === 0;
+}
+
+main()
+  .then((passed) => process.exit(passed ? 0 : 1))
+  .catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,171 @@
+import { classifyContentType } from "../services/contentTypeClassifier.js";
+import {
+  generateStructuredContent,
+  sendMessage,
+  startChatSession,
+} from "../services/geminiService.js";
+import {
+  getLLMProvider,
+  setLLMProvider,
+} from "../services/llmProviders/index.js";
+import { evaluateAssertions } from "./assertions.js";
+import { createRecordingProvider, createReplayProvider } from "./tape.js";
+
+// --- Suites ---
+/*
+ * A suite is a JSON file:
+ *   {
+ *     "name": "content-types",
+ *     "cases": [
+ *       {
+ *         "id": "quiz-solar-system",        // unique; keys the recordings
+ *         "prompt": "Make a 5 question quiz about the solar system",
+ *         "entry": "message",               // "message" (sendMessage in a new session, the
+ *                                           // default) or "structured" (generateStructuredContent)
+ *         "options": { "templateVariables": { "tone": "playful" } },
+ *                                           // optional; passed to the entry point
+ *         "expect": { ... }                 // see ./assertions.js
+ *       }
+ *     ]
+ *   }
+ */
+
+const ENTRY_POINTS = ["message", "structured"];
+
+// --- Helper Functions ---
+
+/**
+ * Checks a suite's shape before anything runs.
+ */
+function checkSuite(suite) {
+  if (!Array.isArray(suite?.cases) || suite.cases.length === 0) {
+    throw new Error("A suite needs a non-empty 'cases' array.");
+  }
+  const seen = new Set();
+  for (const testCase of suite.cases) {
+    if (!testCase.id || !/^[A-Za-z0-9_-]+$/.test(testCase.id)) {
+      throw new Error(
+        `Every case needs an 'id' of letters, digits, '-' or '_' (got '${testCase.id}').`
+      );
+    }
+    if (seen.has(testCase.id)) {
+      throw new Error(`Case '${testCase.id}' appears twice.`);
+    }
+    seen.add(testCase.id);
+    if (typeof testCase.prompt !== "string" || !testCase.prompt.trim()) {
+      throw new Error(`Case '${testCase.id}' needs a 'prompt'.`);
+    }
+    if (testCase.entry && !ENTRY_POINTS.includes(testCase.entry)) {
+      throw new Error(
+        `Case '${testCase.id}' has an unknown entry '${testCase.entry}'. Use one of: ${ENTRY_POINTS.join(", ")}.`
+      );
+    }
+  }
+}
+
+/**
+ * Runs one case through the same code path the API uses.
+ * @returns {Promise<{response: object, contentType: string, repairAttempts: number|null}>}
+ */
+async function runEntryPoint(testCase) {
+  const options = testCase.options ?? {};
+  if (testCase.entry === "structured") {
+    // generateStructuredContent doesn't report its selection, so route the
+    // prompt the way it would and pass the result on.
+    const contentType =
+      options.contentType ??
+      (await classifyContentType(testCase.prompt)).contentType;
+    const response = await generateStructuredContent(testCase.prompt, [], {
+      ...options,
+      contentType,
+    });
+    return { response, contentType, repairAttempts: null };
+  }
+
+  const sessionId = await startChatSession();
+  const { response, meta } = await sendMessage(
+    sessionId,
+    testCase.prompt,
+    [],
+    options
+  );
+  return {
+    response,
+    contentType: meta.selection.contentType,
+    repairAttempts: meta.validation.repairAttempts,
+  };
+}
+
+// --- Main Functions ---
+
+/**
+ * Runs every case of a suite and checks its assertions.
+ * @param {object} suite - The parsed suite (see above).
+ * @param {object} [options]
+ * @param {"replay"|"record"|"live"} [options.mode] - Where responses come from: the
+ *   recordings ("replay", no network), the configured LLM provider while saving
+ *   its responses ("record"), or the provider alone ("live").
+ * @param {object} [options.recordings] - The parsed recordings file, for replay.
+ * @param {(result: object) => void} [options.onCase] - Called as each case finishes.
+ * @returns {Promise<{results: object[], recordings: object|null}>} One result per
+ *   case, plus the new recordings when recording.
+ */
+export async function runSuite(suite, options = {}) {
+  checkSuite(suite);
+  const mode = options.mode ?? "replay";
+  const provider =
+    mode === "replay"
+      ? createReplayProvider(options.recordings ?? { cases: {} })
+      : createRecordingProvider(getLLMProvider());
+  setLLMProvider(provider);
+
+  const results = [];
+  try {
+    for (const testCase of suite.cases) {
+      provider.startCase(testCase.id);
+      const startedAt = Date.now();
+      let outcome;
+      try {
+        outcome = { ...(await runEntryPoint(testCase)), error: null };
+      } catch (error) {
+        outcome = {
+          response: null,
+          contentType: null,
+          repairAttempts: null,
+          error: error.message,
+        };
+      }
+      const calls = provider.endCase();
+      // A missing recording is the real reason the pipeline failed.
+      if (calls.error) outcome.error = calls.error;
+
+      const assertions = evaluateAssertions(testCase.expect, outcome);
+      const result = {
+        id: testCase.id,
+        prompt: testCase.prompt,
+        entry: testCase.entry ?? "message",
+        passed: assertions.every((assertion) => assertion.passed),
+        contentType: outcome.contentType,
+        repairAttempts: outcome.repairAttempts,
+        durationMs: Date.now() - startedAt,
+        modelCalls: calls.calls,
+        tokens: calls.tokens,
+        ...(outcome.error && { error: outcome.error }),
+        ...(calls.unusedRecordings && {
+          unusedRecordings: calls.unusedRecordings,
+        }),
+        assertions,
+        response: outcome.response,
+      };
+      results.push(result);
+      options.onCase?.(result);
+    }
+  } finally {
+    setLLMProvider(null);
+  }
+
+  return {
+    results,
+    recordings: mode === "record" ? provider.recordings() : null,
+  };
+}
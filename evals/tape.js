@@ -0,0 +1,184 @@
+// --- Recorded Responses ---
+/*
+ * A recordings file holds the model responses for each case of a suite, in
+ * the order the case asked for them:
+ *   {
+ *     "recordedAt": "2025-01-01T00:00:00.000Z",
+ *     "cases": {
+ *       "<case id>": [
+ *         { "model": "gemini-2.5-pro", "response": { "json": {...} } | { "text": "..." },
+ *           "usageMetadata": {...}, "groundingMetadata": {...} },
+ *         { "model": "gemini-embedding-001", "embeddings": [[0.1, ...], ...] }
+ *       ]
+ *     },
+ *     "researchProvider": "gemini"
+ *   }
+ * Responses that parse as JSON are stored as `json` so they stay readable and
+ * easy to edit by hand. `groundingMetadata` is kept for search-grounded
+ * research calls, and embedding calls store their vectors.
+ */
+
+// --- Helper Functions ---
+
+/**
+ * Stores a response text as `json` when it parses, otherwise as `text`.
+ */
+function toRecordedResponse(text) {
+  try {
+    return { json: JSON.parse(text) };
+  } catch {
+    return { text };
+  }
+}
+
+/**
+ * Turns a recorded response back into its text.
+ */
+function fromRecordedResponse(response) {
+  return "json" in response
+    ? JSON.stringify(response.json, null, 2)
+    : response.text;
+}
+
+/**
+ * Builds a generateContent result in the shape of the @google/genai SDK.
+ */
+function toResult(text, usageMetadata, groundingMetadata) {
+  return {
+    text,
+    candidates: [
+      {
+        content: { role: "model", parts: [{ text }] },
+        ...(groundingMetadata && { groundingMetadata }),
+      },
+    ],
+    usageMetadata,
+  };
+}
+
+/**
+ * Adds up the tokens used by a case's calls.
+ */
+function totalTokens(calls) {
+  return calls.reduce(
+    (sum, call) => sum + (call.usageMetadata?.totalTokenCount ?? 0),
+    0
+  );
+}
+
+// --- Main Functions ---
+
+/**
+ * Wraps an LLM provider so every generateContent and embedContent call is
+ * recorded against the current case. Used for "record" and "live" runs.
+ * @param {object} inner - The provider that answers the calls.
+ * @returns {object} An LLM provider with startCase(id), endCase() and recordings().
+ */
+export function createRecordingProvider(inner) {
+  const cases = {};
+  let current = null;
+
+  return {
+    name: inner.name,
+    startCase(caseId) {
+      current = cases[caseId] = [];
+    },
+    endCase() {
+      return { calls: current.length, tokens: totalTokens(current) };
+    },
+    recordings() {
+      return { recordedAt: new Date().toISOString(), cases };
+    },
+    async generateContent(request) {
+      const result = await inner.generateContent(request);
+      const groundingMetadata = result.candidates?.[0]?.groundingMetadata;
+      current?.push({
+        model: request.model,
+        response: toRecordedResponse(result.text ?? ""),
+        usageMetadata: result.usageMetadata ?? null,
+        ...(groundingMetadata && { groundingMetadata }),
+      });
+      return result;
+    },
+    async embedContent(request) {
+      const result = await inner.embedContent(request);
+      current?.push({
+        model: request.model,
+        embeddings: result.embeddings.map((embedding) => embedding.values),
+      });
+      return result;
+    },
+    generateContentStream: (request) => inner.generateContentStream(request),
+    uploadFile: (params) => inner.uploadFile(params),
+    getFile: (params) => inner.getFile(params),
+  };
+}
+
+/**
+ * An LLM provider that answers each case's calls with its recorded responses,
+ * in order, without touching the network. A call beyond the recording fails,
+ * and endCase() reports it.
+ * @param {object} recordings - The parsed recordings file (see above).
+ * @returns {object} An LLM provider with startCase(id) and endCase().
+ */
+export function createReplayProvider(recordings) {
+  let current = null;
+
+  // Takes the case's next recording, which must be of the expected kind.
+  const nextRecording = (kind) => {
+    const next = current.queue.shift();
+    const matches = next && "embeddings" in next === (kind === "embedding");
+    if (!matches) {
+      current.error = `No recorded ${kind} for call ${
+        current.used.length + 1
+      } of case '${current.caseId}'. Run the suite with --mode record to refresh the recordings.`;
+      throw new Error(current.error);
+    }
+    current.used.push(next);
+    return next;
+  };
+
+  return {
+    name: "replay",
+    startCase(caseId) {
+      current = {
+        caseId,
+        queue: [...(recordings.cases?.[caseId] ?? [])],
+        used: [],
+        error: null,
+      };
+    },
+    endCase() {
+      const { used, queue, error } = current;
+      return {
+        calls: used.length,
+        tokens: totalTokens(used),
+        ...(error && { error }),
+        ...(queue.length > 0 && { unusedRecordings: queue.length }),
+      };
+    },
+    async generateContent() {
+      const next = nextRecording("response");
+      return toResult(
+        fromRecordedResponse(next.response),
+        next.usageMetadata ?? undefined,
+        next.groundingMetadata
+      );
+    },
+    async embedContent() {
+      const next = nextRecording("embedding");
+      return {
+        embeddings: next.embeddings.map((values) => ({ values })),
+      };
+    },
+    async generateContentStream() {
+      throw new Error("Replayed evals do not support streaming.");
+    },
+    async uploadFile() {
+      throw new Error("Replayed evals do not support file uploads.");
+    },
+    async getFile() {
+      throw new Error("Replayed evals do not support file uploads.");
+    },
+  };
+}
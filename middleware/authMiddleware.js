@@ -0,0 +1,51 @@
+import {
+  ANONYMOUS_USER,
+  authenticateApiKey,
+  isAuthEnabled,
+  verifyJwt,
+} from "../services/authService.js";
+
+/**
+ * Authenticates the request from `Authorization: Bearer <token>` (an API key or
+ * an HS256 JWT) or an `X-API-Key` header and sets `req.user`.
+ * With AUTH_DISABLED=true, every request runs as the anonymous user instead.
+ */
+const authenticate = (req, res, next) => {
+  if (!isAuthEnabled()) {
+    req.user = ANONYMOUS_USER;
+    return next();
+  }
+
+  const authorization = req.get("authorization") || "";
+  const bearer = authorization.match(/^Bearer\s+(.+)$/i)?.[1]?.trim();
+  const credential = bearer || req.get("x-api-key")?.trim();
+
+  if (!credential) {
+    return res
+      .status(401)
+      .set("WWW-Authenticate", "Bearer")
+      .json({ error: "Authentication is required." });
+  }
+
+  // JWTs have three dot-separated segments; anything else is an API key.
+  if (credential.split(".").length === 3) {
+    try {
+      req.user = verifyJwt(credential);
+      return next();
+    } catch (error) {
+      return res
+        .status(401)
+        .set("WWW-Authenticate", 'Bearer error="invalid_token"')
+        .json({ error: error.message });
+    }
+  }
+
+  const user = authenticateApiKey(credential);
+  if (!user) {
+    return res.status(401).json({ error: "Invalid API key." });
+  }
+  req.user = user;
+  next();
+};
+
+export default authenticate;
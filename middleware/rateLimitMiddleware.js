@@ -0,0 +1,71 @@
+import "dotenv/config";
+
+/**
+ * Identifies who a request counts against: the authenticated user when there
+ * is one, otherwise the client IP.
+ */
+const clientKey = (req) =>
+  req.user && req.user.via !== "none" ? `user:${req.user.id}` : `ip:${req.ip}`;
+
+/**
+ * Creates a fixed-window rate limiter, kept in memory per process.
+ * @param {object} options
+ * @param {string} options.name - A label used in the error message.
+ * @param {number} options.max - Requests allowed per window (0 disables the limit).
+ * @param {number} [options.windowMs] - The window length in milliseconds.
+ * @returns {Function} Express middleware that responds 429 once the limit is hit.
+ */
+export const rateLimit = ({ name, max, windowMs = 60 * 1000 }) => {
+  const windows = new Map();
+
+  // Drop finished windows now and then so idle clients don't pile up.
+  const cleanup = setInterval(() => {
+    const now = Date.now();
+    for (const [key, window] of windows) {
+      if (window.resetAt <= now) windows.delete(key);
+    }
+  }, windowMs);
+  cleanup.unref();
+
+  return (req, res, next) => {
+    if (!max) return next();
+
+    const now = Date.now();
+    const key = clientKey(req);
+    let window = windows.get(key);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + windowMs };
+      windows.set(key, window);
+    }
+    window.count++;
+
+    const resetSeconds = Math.ceil((window.resetAt - now) / 1000);
+    res.setHeader("RateLimit-Limit", max);
+    res.setHeader("RateLimit-Remaining", Math.max(0, max - window.count));
+    res.setHeader("RateLimit-Reset", resetSeconds);
+
+    if (window.count > max) {
+      res.setHeader("Retry-After", resetSeconds);
+      return res.status(429).json({
+        error: `Too many ${name} requests. Try again in ${resetSeconds}s.`,
+      });
+    }
+    next();
+  };
+};
+
+// --- Configured Limiters ---
+export const messageRateLimit = rateLimit({
+  name: "message",
+  max: Number(process.env.RATE_LIMIT_MESSAGES_PER_MINUTE ?? 20),
+});
+
+export const imageRateLimit = rateLimit({
+  name: "image generation",
+  max: Number(process.env.RATE_LIMIT_IMAGES_PER_MINUTE ?? 5),
+});
+
+export const quizSubmissionRateLimit = rateLimit({
+  name: "quiz submission",
+  max: Number(process.env.RATE_LIMIT_QUIZ_SUBMISSIONS_PER_MINUTE ?? 10),
+});
@@ -1,6 +1,38 @@
+import { randomUUID } from "crypto";
+import "dotenv/config";
 import fs from "fs";
 import multer from "multer";
 import path from "path";
+import { httpError } from "../utils/httpError.js";
+import {
+  FILE_SIGNATURES,
+  SIGNATURE_SAMPLE_BYTES,
+  matchesSignature,
+  resolveMimeType,
+} from "../utils/fileSignature.js";
+
+// --- Configuration ---
+const MAX_FILE_SIZE_MB = Number(process.env.UPLOAD_MAX_FILE_MB || 20);
+// Maximum number of files attached to a single chat message
+const MAX_FILES_PER_MESSAGE = Number(process.env.UPLOAD_MAX_FILES || 10);
+// Comma-separated MIME types to accept; defaults to every type we can verify.
+const ALLOWED_MIME_TYPES = new Set(
+  (process.env.UPLOAD_ALLOWED_MIME_TYPES
+    ? process.env.UPLOAD_ALLOWED_MIME_TYPES.split(",").map((type) =>
+        type.trim()
+      )
+    : Object.keys(FILE_SIGNATURES)
+  ).filter((type) => {
+    if (FILE_SIGNATURES[type]) return true;
+    console.warn(`Ignoring upload MIME type '${type}': it cannot be verified.`);
+    return false;
+  })
+);
+// Temp files older than this are treated as orphans and deleted.
+const ORPHAN_MAX_AGE_MS =
+  Number(process.env.UPLOAD_ORPHAN_MAX_AGE_MINUTES ?? 60) * 60 * 1000;
+const SWEEP_INTERVAL_MS =
+  Number(process.env.UPLOAD_SWEEP_INTERVAL_MINUTES ?? 10) * 60 * 1000;
 
 // --- Multer Configuration ---
 
@@ -19,11 +51,197 @@ const storage = multer.diskStorage({
     // Create a unique filename to avoid conflicts
     cb(
       null,
-      `${file.fieldname}-${Date.now()}${path.extname(file.originalname)}`
+      `${file.fieldname}-${randomUUID()}${path.extname(file.originalname)}`
     );
   },
 });
 
-const upload = multer({ storage: storage });
+const upload = multer({
+  storage: storage,
+  limits: {
+    fileSize: MAX_FILE_SIZE_MB * 1024 * 1024,
+    files: MAX_FILES_PER_MESSAGE,
+  },
+  // Reject disallowed types before they are written to disk. Known aliases
+  // (e.g. application/vnd.ms-excel for a .csv) are replaced by the type they
+  // stand for, so the signature check and text extraction use that type.
+  fileFilter: (req, file, cb) => {
+    const mimeType = resolveMimeType(file.mimetype, file.originalname);
+    if (!ALLOWED_MIME_TYPES.has(mimeType)) {
+      return cb(unsupportedTypeError(file));
+    }
+    file.mimetype = mimeType;
+    cb(null, true);
+  },
+});
+
+// --- Helper Functions ---
+
+/**
+ * Builds the 415 error for a file whose type is not accepted.
+ */
+function unsupportedTypeError(file, reason = "is not an accepted file type") {
+  return httpError(
+    415,
+    `'${file.originalname}' (${file.mimetype}) ${reason}.`,
+    { allowedMimeTypes: [...ALLOWED_MIME_TYPES] }
+  );
+}
+
+/**
+ * Lists every file multer stored for the request.
+ */
+function uploadedFiles(req) {
+  if (req.file) return [req.file];
+  if (Array.isArray(req.files)) return req.files;
+  return Object.values(req.files ?? {}).flat();
+}
+
+/**
+ * Deletes temp files, ignoring ones that are already gone.
+ */
+function removeFiles(files) {
+  return Promise.all(
+    files.map((file) =>
+      fs.promises.rm(file.path, { force: true }).catch((error) => {
+        console.error(`Failed to remove upload ${file.path}:`, error.message);
+      })
+    )
+  );
+}
+
+/**
+ * Checks each file's leading bytes against its declared MIME type, so a
+ * renamed executable can't pass as a PDF just by its Content-Type header.
+ */
+async function verifySignatures(files) {
+  for (const file of files) {
+    const handle = await fs.promises.open(file.path, "r");
+    try {
+      const { buffer, bytesRead } = await handle.read(
+        Buffer.alloc(SIGNATURE_SAMPLE_BYTES),
+        0,
+        SIGNATURE_SAMPLE_BYTES,
+        0
+      );
+      if (!matchesSignature(buffer.subarray(0, bytesRead), file.mimetype)) {
+        throw unsupportedTypeError(
+          file,
+          "does not match its declared file type"
+        );
+      }
+    } finally {
+      await handle.close();
+    }
+  }
+}
+
+/**
+ * Maps a multer limit error to a client-facing HTTP error.
+ */
+function toUploadError(error) {
+  switch (error.code) {
+    case "LIMIT_FILE_SIZE":
+      return httpError(
+        413,
+        `Each file must be at most ${MAX_FILE_SIZE_MB} MB.`,
+        { maxFileSizeBytes: MAX_FILE_SIZE_MB * 1024 * 1024 }
+      );
+    case "LIMIT_FILE_COUNT":
+      return httpError(
+        413,
+        `At most ${MAX_FILES_PER_MESSAGE} files can be uploaded at once.`,
+        { maxFiles: MAX_FILES_PER_MESSAGE }
+      );
+    case "LIMIT_UNEXPECTED_FILE":
+      return httpError(400, `Unexpected file field '${error.field}'.`);
+    default:
+      return httpError(400, error.message);
+  }
+}
+
+/**
+ * Wraps a multer middleware with signature checks, JSON error responses and
+ * guaranteed cleanup: whatever happens in the route, the request's temp
+ * files are deleted once the response is closed.
+ */
+function guardUploads(multerMiddleware) {
+  return (req, res, next) => {
+    multerMiddleware(req, res, async (error) => {
+      const files = uploadedFiles(req);
+      res.on("close", () => removeFiles(files));
+
+      try {
+        if (error) throw error;
+        await verifySignatures(files);
+        next();
+      } catch (uploadError) {
+        await removeFiles(files);
+        const clientError =
+          uploadError instanceof multer.MulterError
+            ? toUploadError(uploadError)
+            : uploadError;
+        if (!clientError.expose) return next(clientError);
+        res
+          .status(clientError.status)
+          .json({ error: clientError.message, ...clientError.details });
+      }
+    });
+  };
+}
+
+// --- Orphan Sweeper ---
+
+/**
+ * Deletes temp files left in the uploads directory for longer than the
+ * orphan age, e.g. by a crash between upload and cleanup.
+ * @returns {Promise<number>} The number of files removed.
+ */
+export async function sweepOrphanedUploads() {
+  const cutoff = Date.now() - ORPHAN_MAX_AGE_MS;
+  let removed = 0;
+  for (const name of await fs.promises.readdir(uploadDir)) {
+    const filePath = path.join(uploadDir, name);
+    const stats = await fs.promises.stat(filePath).catch(() => null);
+    if (stats?.isFile() && stats.mtimeMs < cutoff) {
+      await fs.promises.rm(filePath, { force: true });
+      removed++;
+    }
+  }
+  return removed;
+}
+
+if (SWEEP_INTERVAL_MS) {
+  const sweeper = setInterval(() => {
+    sweepOrphanedUploads()
+      .then((count) => {
+        if (count > 0) console.log(`Removed ${count} orphaned upload(s).`);
+      })
+      .catch((error) => console.error("Upload sweep failed:", error));
+  }, SWEEP_INTERVAL_MS);
+  // Don't keep the process alive just for the sweeper.
+  sweeper.unref();
+}
+
+// --- Exported Middleware ---
+
+// Message attachments: a single `file` field (kept for older clients) and/or
+// a repeated `files` field.
+export const messageUpload = guardUploads(
+  upload.fields([
+    { name: "file", maxCount: 1 },
+    { name: "files", maxCount: MAX_FILES_PER_MESSAGE },
+  ])
+);
+
+// Reference images for image generation: a repeated `referenceImage` field.
+export const imageUpload = guardUploads(
+  upload.array("referenceImage", MAX_FILES_PER_MESSAGE)
+);
+
+// Knowledge-base documents: a repeated `files` field.
+export const documentUpload = guardUploads(
+  upload.array("files", MAX_FILES_PER_MESSAGE)
+);
 
 export default upload;
@@ -0,0 +1,45 @@
+import express from "express";
+import {
+  handleCompareArtifactVersions,
+  handleEditElement,
+  handleGetArtifact,
+  handleGetArtifactVersion,
+  handleIllustrateElement,
+  handleListArtifacts,
+  handleRegenerateElement,
+} from "../controllers/artifactController.js";
+import authenticate from "../middleware/authMiddleware.js";
+import {
+  imageRateLimit,
+  messageRateLimit,
+} from "../middleware/rateLimitMiddleware.js";
+
+const router = express.Router();
+
+// Every artifact route requires an API key or JWT (unless AUTH_DISABLED=true).
+router.use(authenticate);
+
+// Routes to browse the stored responses and their versions
+router.get("/", handleListArtifacts);
+router.get("/:id", handleGetArtifact);
+router.get("/:id/diff", handleCompareArtifactVersions);
+router.get("/:id/versions/:version", handleGetArtifactVersion);
+
+// Routes to revise one element, e.g. `slides/3` or `sections/2` (1-based);
+// each creates a new version with a diff against the previous one
+router.post(
+  "/:id/:collection/:position/regenerate",
+  messageRateLimit,
+  handleRegenerateElement
+);
+router.put("/:id/:collection/:position", handleEditElement);
+
+// Route to generate illustrations for one element, e.g. `slides/3`; the
+// images are served from /api/images and the artifact itself is unchanged
+router.post(
+  "/:id/:collection/:position/illustrate",
+  imageRateLimit,
+  handleIllustrateElement
+);
+
+export default router;
@@ -1,20 +1,91 @@
 import express from "express";
 import {
   handleImageGeneration,
+  handleListContentTypes,
+  handleListModels,
   handleSendMessage,
   handleStartSession,
+  handleStreamMessage,
 } from "../controllers/chatController.js";
-import upload from "../middleware/uploadMiddleware.js";
+import {
+  handleDocumentExport,
+  handlePptxExport,
+} from "../controllers/exportController.js";
+import {
+  handleDeleteSession,
+  handleForkSession,
+  handleGetSession,
+  handleListSessions,
+  handleRenameSession,
+} from "../controllers/sessionController.js";
+import authenticate from "../middleware/authMiddleware.js";
+import {
+  imageRateLimit,
+  messageRateLimit,
+} from "../middleware/rateLimitMiddleware.js";
+import { imageUpload, messageUpload } from "../middleware/uploadMiddleware.js";
 
 const router = express.Router();
 
+// Every chat route requires an API key or JWT (unless AUTH_DISABLED=true).
+router.use(authenticate);
+
 // Route to start a new chat session and get a session ID
 router.post("/start-session", handleStartSession);
 
+// Route to list the content types that can be passed as `contentType`
+router.get("/content-types", handleListContentTypes);
+
+// Route to list the models that can be passed as `model`, with the allowed
+// ranges for temperature, topP, maxOutputTokens and thinkingBudget
+router.get("/models", handleListModels);
+
 // Route to send a message within a session. The session ID must be provided.
-router.post("/send-message", upload.single("file"), handleSendMessage);
+// Attach files with `file`/`files`, or reuse earlier uploads with `fileIds`;
+// pass a `collectionId` to ground the answer in a knowledge base and
+// `model`/`temperature`/`topP`/`maxOutputTokens`/`thinkingBudget` to override
+// the content type's generation settings; `templateVariables` fills the
+// prompt template (see /api/prompt-templates). Add `?async=true` to run it as a
+// background job (see /api/jobs).
+router.post(
+  "/send-message",
+  messageRateLimit,
+  messageUpload,
+  handleSendMessage
+);
+
+// Streaming variant of send-message; responds with Server-Sent Events.
+router.post(
+  "/send-message/stream",
+  messageRateLimit,
+  messageUpload,
+  handleStreamMessage
+);
+
+// Session management routes (list, history, rename, fork, delete)
+router.get("/sessions", handleListSessions);
+router.get("/sessions/:id", handleGetSession);
+router.patch("/sessions/:id", handleRenameSession);
+router.post("/sessions/:id/fork", handleForkSession);
+router.delete("/sessions/:id", handleDeleteSession);
+
+// Route for generating images. Upload `referenceImage` (or pass
+// `referenceImageIds`) to edit existing images, set `variants` for several
+// alternatives and `sessionId` to file them under a chat session; the images
+// are stored and served from /api/images/:id.
+router.post(
+  "/generate-image",
+  imageRateLimit,
+  imageUpload,
+  handleImageGeneration
+);
+
+// Export routes take the response JSON or a stored `{ artifactId, version? }`
+
+// Route for exporting a presentation response as a .pptx download
+router.post("/export/pptx", handlePptxExport);
 
-// Route for generating images (remains stateless)
-router.post("/generate-image", handleImageGeneration);
+// Route for rendering a document response (format: md, html, docx or pdf)
+router.post("/export/document/:format", handleDocumentExport);
 
 export default router;
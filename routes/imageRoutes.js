@@ -0,0 +1,26 @@
+import express from "express";
+import {
+  handleGetImage,
+  handleListImages,
+} from "../controllers/imageController.js";
+import authenticate from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+// Image routes require an API key or JWT (unless AUTH_DISABLED=true), except
+// for the signed `url` each image description carries.
+
+// Route to list generated images (filter with `sessionId` or `artifactId`)
+router.get("/", authenticate, handleListImages);
+
+// Route to fetch an image's bytes. With its signed `expires`/`signature`
+// query (the `url` from a listing or generation) it needs no credentials, so
+// it can be used directly as an <img> src; without one it is authenticated.
+router.get(
+  "/:id",
+  (req, res, next) =>
+    req.query.signature ? next() : authenticate(req, res, next),
+  handleGetImage
+);
+
+export default router;
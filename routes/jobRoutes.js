@@ -0,0 +1,11 @@
+import express from "express";
+import { handleGetJob } from "../controllers/jobController.js";
+import authenticate from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+// Route to poll an async job (e.g. from `/api/chat/send-message?async=true`):
+// queued, running, succeeded (with `result`) or failed (with `error`)
+router.get("/:id", authenticate, handleGetJob);
+
+export default router;
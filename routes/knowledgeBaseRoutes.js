@@ -0,0 +1,33 @@
+import express from "express";
+import {
+  handleCreateCollection,
+  handleDeleteCollection,
+  handleGetCollection,
+  handleIngestDocuments,
+  handleListCollections,
+  handleRemoveDocument,
+  handleSearchCollection,
+} from "../controllers/knowledgeBaseController.js";
+import authenticate from "../middleware/authMiddleware.js";
+import { documentUpload } from "../middleware/uploadMiddleware.js";
+
+const router = express.Router();
+
+// Every knowledge-base route requires an API key or JWT (unless AUTH_DISABLED=true).
+router.use(authenticate);
+
+// Collection management routes (create, list, get, delete)
+router.post("/", handleCreateCollection);
+router.get("/", handleListCollections);
+router.get("/:id", handleGetCollection);
+router.delete("/:id", handleDeleteCollection);
+
+// Route to ingest documents: uploaded `files` and/or raw-text `documents`
+router.post("/:id/documents", documentUpload, handleIngestDocuments);
+router.delete("/:id/documents/:documentId", handleRemoveDocument);
+
+// Route to search a collection; send-message uses the same retrieval when
+// given a `collectionId`
+router.post("/:id/search", handleSearchCollection);
+
+export default router;
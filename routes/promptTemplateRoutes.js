@@ -0,0 +1,29 @@
+import express from "express";
+import {
+  handleAddPromptTemplateVersion,
+  handleCreatePromptTemplate,
+  handleDeletePromptTemplate,
+  handleGetPromptTemplate,
+  handleListPromptTemplates,
+  handleUpdatePromptTemplate,
+} from "../controllers/promptTemplateController.js";
+import authenticate from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+// Every template route requires an API key or JWT (unless AUTH_DISABLED=true);
+// only the users listed in PROMPT_TEMPLATE_EDITORS can change templates.
+router.use(authenticate);
+
+// Template management routes (list, get, create, update, delete)
+router.get("/", handleListPromptTemplates);
+router.get("/:id", handleGetPromptTemplate);
+router.post("/", handleCreatePromptTemplate);
+router.patch("/:id", handleUpdatePromptTemplate);
+router.delete("/:id", handleDeletePromptTemplate);
+
+// Route to add a new version; `activate: true` makes it live immediately,
+// or set `experiment` with PATCH to send a share of traffic to it first
+router.post("/:id/versions", handleAddPromptTemplateVersion);
+
+export default router;
@@ -0,0 +1,38 @@
+import express from "express";
+import {
+  handleCreateQuiz,
+  handleExportQuiz,
+  handleExportQuizBody,
+  handleGetAnswerKey,
+  handleGetQuiz,
+  handleListSubmissions,
+  handleSubmitAnswers,
+} from "../controllers/quizController.js";
+import authenticate from "../middleware/authMiddleware.js";
+import { quizSubmissionRateLimit } from "../middleware/rateLimitMiddleware.js";
+
+const router = express.Router();
+
+// Teacher routes require authentication; the student view and submissions
+// stay open so a quiz can be handed out by link.
+
+// Route to store a generated quiz and get its ID
+router.post("/", authenticate, handleCreateQuiz);
+
+// Route to export a quiz from the request body (format: gift, qti or csv)
+router.post("/export/:format", authenticate, handleExportQuizBody);
+
+// Student view of a quiz (correct answers removed)
+router.get("/:id", handleGetQuiz);
+
+// Teacher view of a quiz including the answer key
+router.get("/:id/answer-key", authenticate, handleGetAnswerKey);
+
+// Routes to grade a set of answers and list graded submissions
+router.post("/:id/submissions", quizSubmissionRateLimit, handleSubmitAnswers);
+router.get("/:id/submissions", authenticate, handleListSubmissions);
+
+// Route to export a stored quiz (format: gift, qti or csv)
+router.get("/:id/export/:format", authenticate, handleExportQuiz);
+
+export default router;
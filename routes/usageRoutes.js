@@ -0,0 +1,10 @@
+import express from "express";
+import { handleGetUsage } from "../controllers/usageController.js";
+import authenticate from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+// Route to see the caller's token usage for today and this month
+router.get("/", authenticate, handleGetUsage);
+
+export default router;
@@ -0,0 +1,64 @@
+// --- Structural JSON Diff ---
+
+/**
+ * Tells whether a value is a plain JSON object (not an array or null).
+ */
+function isObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Lists the differences between two JSON values, down to the leaves that
+ * changed. Array items are compared by position, so regenerating slide 3
+ * shows up under `$.slides[2]` only.
+ * @param {*} before - The previous value.
+ * @param {*} after - The new value.
+ * @param {string} [path] - The location being compared (used in the output).
+ * @returns {{path: string, op: "added"|"removed"|"changed", before?: *, after?: *}[]} The changes.
+ */
+export function diffValues(before, after, path = "$") {
+  if (Array.isArray(before) && Array.isArray(after)) {
+    const changes = [];
+    const length = Math.max(before.length, after.length);
+    for (let i = 0; i < length; i++) {
+      const itemPath = `${path}[${i}]`;
+      if (i >= after.length) {
+        changes.push({ path: itemPath, op: "removed", before: before[i] });
+      } else if (i >= before.length) {
+        changes.push({ path: itemPath, op: "added", after: after[i] });
+      } else {
+        changes.push(...diffValues(before[i], after[i], itemPath));
+      }
+    }
+    return changes;
+  }
+
+  if (isObject(before) && isObject(after)) {
+    const changes = [];
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    for (const key of keys) {
+      const keyPath = `${path}.${key}`;
+      if (!(key in after)) {
+        changes.push({ path: keyPath, op: "removed", before: before[key] });
+      } else if (!(key in before)) {
+        changes.push({ path: keyPath, op: "added", after: after[key] });
+      } else {
+        changes.push(...diffValues(before[key], after[key], keyPath));
+      }
+    }
+    return changes;
+  }
+
+  return before === after ? [] : [{ path, op: "changed", before, after }];
+}
+
+/**
+ * Counts changes by kind, for a one-line overview of a diff.
+ * @param {object[]} changes - The output of diffValues.
+ * @returns {{added: number, removed: number, changed: number}} The counts.
+ */
+export function summarizeChanges(changes) {
+  const counts = { added: 0, removed: 0, changed: 0 };
+  changes.forEach((change) => counts[change.op]++);
+  return counts;
+}
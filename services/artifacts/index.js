@@ -0,0 +1,336 @@
+import { randomUUID } from "crypto";
+import { httpError } from "../../utils/httpError.js";
+import { createKeyedLock } from "../../utils/keyedLock.js";
+import { ANONYMOUS_USER } from "../authService.js";
+import {
+  getContentType,
+  validateAgainstSchema,
+} from "../contentTypes/index.js";
+import { createRecordStore } from "../storage/index.js";
+import { diffValues, summarizeChanges } from "./diff.js";
+
+/*
+ * An artifact is one structured response from send-message plus every later
+ * revision of it. Each version keeps the full content and its diff against
+ * the version before, with a `source` describing how it was made:
+ *   { type: "message", prompt }                     - the original response
+ *   { type: "regenerate", element, instruction, generation }
+ *                                                   - one element regenerated by the model
+ *   { type: "edit", element }                       - one element replaced by the client
+ * where `element` is "<collection>/<position>", e.g. "slides/3" (1-based).
+ */
+const artifacts = createRecordStore("artifacts");
+
+// Revisions of the same artifact run one at a time, so none is lost.
+const withArtifactLock = createKeyedLock();
+
+// --- Helper Functions ---
+
+/**
+ * Loads an artifact on behalf of a user, or throws a 404/403.
+ */
+async function requireOwnedArtifact(artifactId, userId = ANONYMOUS_USER.id) {
+  const artifact = await artifacts.get(artifactId);
+  if (!artifact) {
+    throw httpError(404, `Artifact '${artifactId}' was not found.`);
+  }
+  if (artifact.ownerId !== userId) {
+    throw httpError(403, "You do not have access to this artifact.");
+  }
+  return artifact;
+}
+
+/**
+ * Returns the newest version of an artifact.
+ */
+function latestVersion(artifact) {
+  return artifact.versions[artifact.versions.length - 1];
+}
+
+/**
+ * Finds a version by number, or throws a 404.
+ */
+function requireVersion(artifact, version) {
+  const found = artifact.versions.find((entry) => entry.version === version);
+  if (!found) {
+    throw httpError(
+      404,
+      `Artifact '${artifact.id}' has no version ${version} (latest is ${artifact.versions.length}).`
+    );
+  }
+  return found;
+}
+
+/**
+ * Names the top-level arrays of a content type's schema (slides, sections,
+ * questions, ...); their items are the elements that can be revised one at a
+ * time.
+ */
+function elementCollections(schema) {
+  return Object.entries(schema.properties ?? {})
+    .filter(([, child]) => child.type === "ARRAY")
+    .map(([name]) => name);
+}
+
+/**
+ * Resolves "<collection>/<position>" against an artifact's latest content.
+ */
+function locateElement(artifact, content, { collection, position }) {
+  const { schema } = getContentType(artifact.contentType);
+  const collections = elementCollections(schema);
+  if (!collections.includes(collection)) {
+    throw httpError(
+      400,
+      `'${collection}' is not a revisable part of a ${artifact.contentType}.`,
+      { revisableCollections: collections }
+    );
+  }
+  const items = content[collection] ?? [];
+  if (!Number.isInteger(position) || position < 1 || position > items.length) {
+    throw httpError(
+      404,
+      `${artifact.contentType} '${collection}' has no item ${position} (it has ${items.length}).`
+    );
+  }
+  return {
+    index: position - 1,
+    value: items[position - 1],
+    schema: schema.properties[collection].items,
+  };
+}
+
+/**
+ * Describes an artifact for listings.
+ */
+function toSummary(artifact) {
+  const latest = latestVersion(artifact);
+  return {
+    id: artifact.id,
+    sessionId: artifact.sessionId,
+    contentType: artifact.contentType,
+    title: latest.content?.title ?? null,
+    latestVersion: latest.version,
+    createdAt: artifact.createdAt,
+    updatedAt: latest.createdAt,
+  };
+}
+
+/**
+ * Describes a version without its content.
+ */
+function toVersionSummary(entry) {
+  return {
+    version: entry.version,
+    createdAt: entry.createdAt,
+    source: entry.source,
+    changes: entry.diff ? summarizeChanges(entry.diff.changes) : null,
+  };
+}
+
+// --- Main Functions ---
+
+/**
+ * Stores a new structured response as version 1 of a new artifact.
+ * @param {object} details
+ * @param {string} details.ownerId - The user who owns the artifact.
+ * @param {string} details.sessionId - The session the response came from.
+ * @param {string} details.contentType - The content type it was generated as.
+ * @param {object} details.content - The structured response.
+ * @param {string} details.prompt - The prompt that produced it.
+ * @returns {Promise<{id: string, version: number}>} The artifact reference.
+ */
+export async function recordArtifact({
+  ownerId,
+  sessionId,
+  contentType,
+  content,
+  prompt,
+}) {
+  const now = new Date().toISOString();
+  const artifact = await artifacts.create({
+    id: randomUUID(),
+    ownerId,
+    sessionId,
+    contentType,
+    createdAt: now,
+    versions: [
+      {
+        version: 1,
+        createdAt: now,
+        source: { type: "message", prompt },
+        content,
+        diff: null,
+      },
+    ],
+  });
+  return { id: artifact.id, version: 1 };
+}
+
+/**
+ * Lists a user's artifacts, newest first.
+ * @param {string} [userId] - The requesting user's ID.
+ * @param {object} [filter]
+ * @param {string} [filter.sessionId] - Only artifacts from this session.
+ * @returns {Promise<object[]>} Artifact summaries.
+ */
+export async function listArtifacts(userId = ANONYMOUS_USER.id, filter = {}) {
+  return (await artifacts.list())
+    .filter(
+      (artifact) =>
+        artifact.ownerId === userId &&
+        (!filter.sessionId || artifact.sessionId === filter.sessionId)
+    )
+    .map(toSummary)
+    .sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt));
+}
+
+/**
+ * Fetches an artifact with its latest content and version history.
+ * @param {string} artifactId - The artifact ID.
+ * @param {string} [userId] - The requesting user's ID.
+ * @returns {Promise<object>} The summary plus `content` and `versions`.
+ */
+export async function getArtifact(artifactId, userId) {
+  const artifact = await requireOwnedArtifact(artifactId, userId);
+  return {
+    ...toSummary(artifact),
+    content: latestVersion(artifact).content,
+    versions: artifact.versions.map(toVersionSummary),
+  };
+}
+
+/**
+ * Fetches one version with its content and its diff against the previous one.
+ * @param {string} artifactId - The artifact ID.
+ * @param {number} version - The version number.
+ * @param {string} [userId] - The requesting user's ID.
+ * @returns {Promise<object>} The version.
+ */
+export async function getArtifactVersion(artifactId, version, userId) {
+  const artifact = await requireOwnedArtifact(artifactId, userId);
+  const entry = requireVersion(artifact, version);
+  return { artifactId: artifact.id, ...entry };
+}
+
+/**
+ * Fetches one element of an artifact's latest content, e.g. slide 3.
+ * @param {string} artifactId - The artifact ID.
+ * @param {{collection: string, position: number}} element - The element (1-based position).
+ * @param {string} [userId] - The requesting user's ID.
+ * @returns {Promise<{artifact: object, value: *}>} The artifact summary and the element.
+ */
+export async function getArtifactElement(artifactId, element, userId) {
+  const artifact = await requireOwnedArtifact(artifactId, userId);
+  const { value } = locateElement(
+    artifact,
+    latestVersion(artifact).content,
+    element
+  );
+  return { artifact: toSummary(artifact), value };
+}
+
+/**
+ * Compares any two versions of an artifact.
+ * @param {string} artifactId - The artifact ID.
+ * @param {number} from - The older version.
+ * @param {number} to - The newer version.
+ * @param {string} [userId] - The requesting user's ID.
+ * @returns {Promise<{artifactId: string, from: number, to: number, summary: object, changes: object[]}>}
+ */
+export async function compareArtifactVersions(artifactId, from, to, userId) {
+  const artifact = await requireOwnedArtifact(artifactId, userId);
+  const changes = diffValues(
+    requireVersion(artifact, from).content,
+    requireVersion(artifact, to).content
+  );
+  return {
+    artifactId: artifact.id,
+    from,
+    to,
+    summary: summarizeChanges(changes),
+    changes,
+  };
+}
+
+/**
+ * Replaces one element of an artifact's latest content and stores the result
+ * as a new version. `produce` receives the artifact, its latest content and
+ * the element ({ index, value, schema }) and resolves to the replacement,
+ * which must match the element's schema.
+ * @param {string} artifactId - The artifact ID.
+ * @param {{collection: string, position: number}} element - The element to replace (1-based position).
+ * @param {(context: object) => Promise<*>} produce - Builds the replacement.
+ * @param {object} source - Describes the revision (see the top of this file).
+ * @param {string} [userId] - The requesting user's ID.
+ * @returns {Promise<object>} The new version, with its diff.
+ */
+export async function reviseArtifactElement(
+  artifactId,
+  element,
+  produce,
+  source,
+  userId
+) {
+  // Check access before waiting behind other revisions.
+  await requireOwnedArtifact(artifactId, userId);
+
+  return withArtifactLock(artifactId, async () => {
+    const artifact = await requireOwnedArtifact(artifactId, userId);
+    const previous = latestVersion(artifact);
+    const located = locateElement(artifact, previous.content, element);
+
+    const replacement = await produce({
+      artifact,
+      content: previous.content,
+      element: located,
+    });
+    const errors = validateAgainstSchema(replacement, located.schema);
+    if (errors.length > 0) {
+      throw httpError(
+        400,
+        `The new ${element.collection} item does not match its schema.`,
+        { validationErrors: errors }
+      );
+    }
+
+    const content = structuredClone(previous.content);
+    content[element.collection][located.index] = replacement;
+    const entry = {
+      version: previous.version + 1,
+      createdAt: new Date().toISOString(),
+      source: {
+        ...source,
+        element: `${element.collection}/${element.position}`,
+      },
+      content,
+      diff: {
+        from: previous.version,
+        changes: diffValues(previous.content, content),
+      },
+    };
+    artifact.versions.push(entry);
+    await artifacts.save(artifact);
+    return { artifactId: artifact.id, ...entry };
+  });
+}
+
+/**
+ * Replaces one element with client-supplied content.
+ * @param {string} artifactId - The artifact ID.
+ * @param {{collection: string, position: number}} element - The element to replace.
+ * @param {*} value - The new element.
+ * @param {string} [userId] - The requesting user's ID.
+ * @returns {Promise<object>} The new version, with its diff.
+ */
+export async function editArtifactElement(artifactId, element, value, userId) {
+  if (value === undefined) {
+    throw httpError(400, "The new element is required in 'content'.");
+  }
+  return reviseArtifactElement(
+    artifactId,
+    element,
+    async () => value,
+    { type: "edit" },
+    userId
+  );
+}
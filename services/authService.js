@@ -0,0 +1,191 @@
+import { createHash, createHmac, timingSafeEqual } from "crypto";
+import "dotenv/config";
+import fs from "fs";
+import { resolve } from "path";
+
+// --- Configuration ---
+const API_KEYS_FILE = process.env.API_KEYS_FILE
+  ? resolve(process.env.API_KEYS_FILE)
+  : null;
+const JWT_SECRET = process.env.JWT_SECRET || null;
+const JWT_ISSUER = process.env.JWT_ISSUER || null;
+const JWT_AUDIENCE = process.env.JWT_AUDIENCE || null;
+// Running without authentication must be asked for: with AUTH_DISABLED=true
+// every caller is the anonymous user and shares its sessions. Otherwise
+// requests need credentials, and none verify until API_KEYS_FILE or
+// JWT_SECRET is set.
+const AUTH_DISABLED = process.env.AUTH_DISABLED === "true";
+// Allowed clock difference when checking `exp` / `nbf`.
+const CLOCK_TOLERANCE_SECONDS = 30;
+
+export const ANONYMOUS_USER = {
+  id: "anonymous",
+  name: "Anonymous",
+  via: "none",
+};
+
+// --- Helper Functions ---
+
+/**
+ * Hashes an API key the same way hashed entries in the keys file are stored.
+ */
+function hashKey(key) {
+  return `sha256:${createHash("sha256").update(key).digest("hex")}`;
+}
+
+/**
+ * Compares two strings in constant time.
+ */
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && timingSafeEqual(left, right);
+}
+
+/**
+ * Loads the API keys file. Each entry is `{ userId, name?, key }` or, to avoid
+ * keeping plaintext keys on disk, `{ userId, name?, keyHash: "sha256:<hex>" }`.
+ */
+function loadApiKeys() {
+  if (!API_KEYS_FILE) return [];
+  const parsed = JSON.parse(fs.readFileSync(API_KEYS_FILE, "utf8"));
+  const entries = Array.isArray(parsed) ? parsed : parsed.keys;
+  if (!Array.isArray(entries)) {
+    throw new Error(
+      `${API_KEYS_FILE} must contain an array of keys or { "keys": [...] }.`
+    );
+  }
+  return entries.map((entry, index) => {
+    if (!entry?.userId || !(entry.key || entry.keyHash)) {
+      throw new Error(
+        `API key entry ${index} in ${API_KEYS_FILE} needs a userId and a key or keyHash.`
+      );
+    }
+    if (String(entry.userId) === ANONYMOUS_USER.id) {
+      throw new Error(
+        `API key entry ${index} in ${API_KEYS_FILE} uses the reserved userId '${ANONYMOUS_USER.id}'.`
+      );
+    }
+    return {
+      userId: String(entry.userId),
+      name: entry.name ?? String(entry.userId),
+      keyHash: entry.keyHash ?? hashKey(entry.key),
+    };
+  });
+}
+
+const apiKeys = loadApiKeys();
+
+/**
+ * Decodes one base64url JWT segment as JSON.
+ */
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(segment, "base64url").toString("utf8"));
+}
+
+// --- Main Service Functions ---
+
+/**
+ * Whether requests must present credentials. Only AUTH_DISABLED=true turns
+ * this off; every caller is then the anonymous user.
+ * @returns {boolean}
+ */
+export function isAuthEnabled() {
+  return !AUTH_DISABLED;
+}
+
+/**
+ * Looks up the user an API key belongs to.
+ * @param {string} key - The presented API key.
+ * @returns {{id: string, name: string, via: "apiKey"}|null} The user, or null for an unknown key.
+ */
+export function authenticateApiKey(key) {
+  const presented = hashKey(key);
+  const entry = apiKeys.find((candidate) =>
+    safeEqual(candidate.keyHash, presented)
+  );
+  return entry ? { id: entry.userId, name: entry.name, via: "apiKey" } : null;
+}
+
+/**
+ * Verifies an HS256 JWT signed with JWT_SECRET and returns its user.
+ * Checks the signature, `exp`, `nbf` and, when configured, `iss` and `aud`.
+ * @param {string} token - The compact JWT.
+ * @returns {{id: string, name: string, via: "jwt"}} The user from the `sub` claim.
+ * @throws {Error} If the token is malformed, invalid or expired.
+ */
+export function verifyJwt(token) {
+  if (!JWT_SECRET) {
+    throw new Error("JWT authentication is not configured.");
+  }
+
+  const [headerPart, payloadPart, signaturePart] = String(token).split(".");
+  if (!headerPart || !payloadPart || !signaturePart) {
+    throw new Error("Malformed token.");
+  }
+
+  let header;
+  let payload;
+  try {
+    header = decodeSegment(headerPart);
+    payload = decodeSegment(payloadPart);
+  } catch {
+    throw new Error("Malformed token.");
+  }
+  if (header.alg !== "HS256") {
+    throw new Error(`Unsupported token algorithm '${header.alg}'.`);
+  }
+
+  const expected = createHmac("sha256", JWT_SECRET)
+    .update(`${headerPart}.${payloadPart}`)
+    .digest("base64url");
+  if (!safeEqual(expected, signaturePart)) {
+    throw new Error("Invalid token signature.");
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (
+    payload.exp !== undefined &&
+    now > payload.exp + CLOCK_TOLERANCE_SECONDS
+  ) {
+    throw new Error("Token has expired.");
+  }
+  if (
+    payload.nbf !== undefined &&
+    now < payload.nbf - CLOCK_TOLERANCE_SECONDS
+  ) {
+    throw new Error("Token is not valid yet.");
+  }
+  if (JWT_ISSUER && payload.iss !== JWT_ISSUER) {
+    throw new Error("Token issuer is not accepted.");
+  }
+  if (JWT_AUDIENCE) {
+    const audiences = [].concat(payload.aud ?? []);
+    if (!audiences.includes(JWT_AUDIENCE)) {
+      throw new Error("Token audience is not accepted.");
+    }
+  }
+  if (!payload.sub) {
+    throw new Error("Token has no 'sub' claim.");
+  }
+  // The anonymous user owns every session created while auth was disabled.
+  if (String(payload.sub) === ANONYMOUS_USER.id) {
+    throw new Error("Token 'sub' claim is reserved.");
+  }
+
+  return {
+    id: String(payload.sub),
+    name: payload.name ?? String(payload.sub),
+    via: "jwt",
+  };
+}
+
+if (AUTH_DISABLED) {
+  console.warn(
+    "Authentication is disabled (AUTH_DISABLED=true): every caller is the anonymous user."
+  );
+} else if (apiKeys.length === 0 && !JWT_SECRET) {
+  console.warn(
+    "No credentials are configured: every request will be refused until API_KEYS_FILE or JWT_SECRET is set (or AUTH_DISABLED=true)."
+  );
+}
@@ -0,0 +1,148 @@
+import "dotenv/config";
+import { withRetry } from "../utils/withRetry.js";
+import {
+  DEFAULT_CONTENT_TYPE,
+  listContentTypes,
+  matchContentTypes,
+} from "./contentTypes/index.js";
+import { getLLMProvider } from "./llmProviders/index.js";
+import { recordUsage } from "./usageService.js";
+
+// --- Configuration ---
+
+// "off" (keywords only), "ambiguous" (ask the model when keywords match two or
+// more types; a prompt matching none gets the default type without a model
+// call) or "always" (ask the model for every prompt).
+const CLASSIFIER_MODE = (
+  process.env.CONTENT_TYPE_CLASSIFIER || "off"
+).toLowerCase();
+const CLASSIFIER_MODEL =
+  process.env.CONTENT_TYPE_CLASSIFIER_MODEL || "gemini-2.5-flash-lite";
+const MIN_CONFIDENCE = Number(
+  process.env.CONTENT_TYPE_CLASSIFIER_MIN_CONFIDENCE || 0.6
+);
+
+// --- Helper Functions ---
+
+/**
+ * Builds the response schema for the classifier, restricted to known types.
+ */
+function classificationSchema(names) {
+  return {
+    type: "OBJECT",
+    properties: {
+      contentType: { type: "STRING", enum: names },
+      confidence: {
+        type: "NUMBER",
+        description: "How sure you are, from 0 to 1.",
+      },
+      reason: { type: "STRING" },
+    },
+    required: ["contentType", "confidence", "reason"],
+  };
+}
+
+/**
+ * Asks a cheap model which content type the user wants.
+ * @returns {Promise<{contentType: string, confidence: number, reason: string}>}
+ */
+async function classifyWithModel(prompt, userId) {
+  const types = listContentTypes();
+  const catalogue = types
+    .map((type) => `- ${type.name}: ${type.description || ""}`)
+    .join("\n");
+
+  const result = await withRetry(
+    () =>
+      getLLMProvider().generateContent({
+        model: CLASSIFIER_MODEL,
+        contents: [{ role: "user", parts: [{ text: prompt }] }],
+        config: {
+          systemInstruction: `You route user requests to an output format. Pick the single content type that best matches what the user wants produced (not merely which words they used).\n\nContent types:\n${catalogue}`,
+          responseMimeType: "application/json",
+          responseSchema: classificationSchema(types.map((type) => type.name)),
+          temperature: 0,
+        },
+      }),
+    2,
+    500
+  );
+
+  await recordUsage(
+    userId,
+    "classifier",
+    CLASSIFIER_MODEL,
+    result.usageMetadata
+  );
+
+  return JSON.parse(result.text);
+}
+
+/**
+ * Describes the keyword-based choice.
+ */
+function keywordSelection(matches) {
+  if (matches.length === 0) {
+    return {
+      contentType: DEFAULT_CONTENT_TYPE,
+      method: "default",
+      reason: "No content-type keywords matched the prompt.",
+    };
+  }
+  const [best, ...others] = matches;
+  const alsoMatched = others.length
+    ? ` (also matched: ${others.map((match) => match.name).join(", ")})`
+    : "";
+  return {
+    contentType: best.name,
+    method: "keywords",
+    reason: `Matched keyword(s) ${best.keywords
+      .map((keyword) => `"${keyword}"`)
+      .join(", ")}${alsoMatched}.`,
+  };
+}
+
+// --- Main Classifier Function ---
+
+/**
+ * Picks the content type for a prompt using the keyword rules and, depending
+ * on CONTENT_TYPE_CLASSIFIER, a model-based classifier. Any classifier failure
+ * or low-confidence answer falls back to the keyword rules.
+ * @param {string} prompt - The user's prompt.
+ * @param {object} [options]
+ * @param {string} [options.userId] - The user to bill the classifier call to.
+ * @returns {Promise<{contentType: string, method: string, reason: string, confidence?: number}>}
+ */
+export async function classifyContentType(prompt, options = {}) {
+  const matches = matchContentTypes(prompt);
+  const fallback = keywordSelection(matches);
+
+  const ambiguous = matches.length > 1;
+  const useModel =
+    CLASSIFIER_MODE === "always" ||
+    (CLASSIFIER_MODE === "ambiguous" && ambiguous);
+  if (!useModel) {
+    return fallback;
+  }
+
+  try {
+    const { contentType, confidence, reason } = await classifyWithModel(
+      prompt,
+      options.userId
+    );
+    const known = listContentTypes().some((type) => type.name === contentType);
+    if (known && confidence >= MIN_CONFIDENCE) {
+      return { contentType, method: "classifier", reason, confidence };
+    }
+    return {
+      ...fallback,
+      reason: `${fallback.reason} Classifier suggested '${contentType}' with confidence ${confidence}, below the ${MIN_CONFIDENCE} threshold.`,
+    };
+  } catch (error) {
+    console.warn("Content type classifier failed:", error.message);
+    return {
+      ...fallback,
+      reason: `${fallback.reason} Classifier unavailable: ${error.message}`,
+    };
+  }
+}
@@ -0,0 +1,107 @@
+import { saveQuiz } from "../quizService.js";
+import { DEFAULT_CONTENT_TYPE, registerContentType } from "./registry.js";
+import {
+  AssignmentSchema,
+  DocumentSchema,
+  GeneralContentSchema,
+  LectureSchema,
+  LessonPlanSchema,
+  PresentationSchema,
+  QuizSchema,
+} from "./schemas.js";
+
+// System instructions live in the prompt template library (/prompts); each
+// type names its template in `promptTemplate`.
+
+// --- Research Modes ---
+
+registerContentType({
+  name: "presentation",
+  description: "A researched slide deck with speaker notes and sources.",
+  keywords: ["ppt", "presentation", "powerpoint", "slides"],
+  priority: 1,
+  schema: PresentationSchema,
+  promptTemplate: "presentation",
+  model: "gemini-2.5-pro",
+  research: true,
+});
+
+registerContentType({
+  name: "document",
+  description:
+    "A formal, researched document with a summary, sections and sources.",
+  keywords: ["pdf", "docx", "document", "report"],
+  priority: 2,
+  schema: DocumentSchema,
+  promptTemplate: "document",
+  model: "gemini-2.5-pro",
+  research: true,
+});
+
+// --- Education Modes ---
+
+registerContentType({
+  name: "lessonPlan",
+  description:
+    "A lesson plan with objectives, key terms, activities and assessment.",
+  keywords: ["lesson plan"],
+  priority: 3,
+  schema: LessonPlanSchema,
+  promptTemplate: "lessonPlan",
+  model: "gemini-2.5-flash",
+  temperature: 0.7,
+});
+
+registerContentType({
+  name: "assignment",
+  description:
+    "A student assignment with instructions, submission criteria and a rubric.",
+  keywords: ["assignment"],
+  priority: 4,
+  schema: AssignmentSchema,
+  promptTemplate: "assignment",
+  model: "gemini-2.5-flash",
+  temperature: 0.7,
+});
+
+registerContentType({
+  name: "quiz",
+  description: "A multiple-choice quiz with an answer key.",
+  keywords: ["quiz", "quizzes"],
+  priority: 5,
+  schema: QuizSchema,
+  promptTemplate: "quiz",
+  // "... 10 questions ..." in the prompt sets the template's questionCount.
+  promptVariables: (prompt) => {
+    const match = prompt.match(/(\d+)\s*question/i);
+    return { questionCount: match ? parseInt(match[1]) : undefined };
+  },
+  model: "gemini-2.5-flash",
+  temperature: 0.7,
+  // Store every generated quiz so it can be handed out and graded by ID.
+  onResponse: async (quiz, { sessionId, userId }) => ({
+    quizId: (await saveQuiz(quiz, { sessionId, ownerId: userId })).id,
+  }),
+});
+
+registerContentType({
+  name: "lecture",
+  description: "A long-form lecture script with key concepts.",
+  keywords: ["lecture"],
+  priority: 6,
+  schema: LectureSchema,
+  promptTemplate: "lecture",
+  model: "gemini-2.5-flash",
+  temperature: 0.7,
+});
+
+// --- Fallback ---
+
+registerContentType({
+  name: DEFAULT_CONTENT_TYPE,
+  description: "A general long-form answer with a title, summary and content.",
+  keywords: [],
+  schema: GeneralContentSchema,
+  promptTemplate: DEFAULT_CONTENT_TYPE,
+  model: "gemini-2.5-pro",
+});
@@ -0,0 +1,18 @@
+// Importing the built-ins registers every shipped content type.
+import "./builtins.js";
+
+export {
+  DEFAULT_CONTENT_TYPE,
+  detectContentType,
+  getContentType,
+  listContentTypes,
+  matchContentTypes,
+  registerContentType,
+  resolveSystemInstruction,
+} from "./registry.js";
+export {
+  checkSchemaDefinition,
+  parseAndValidate,
+  validateAgainstSchema,
+} from "./schemaValidator.js";
+export * from "./schemas.js";
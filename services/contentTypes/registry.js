@@ -0,0 +1,125 @@
+import { checkSchemaDefinition } from "./schemaValidator.js";
+
+// --- Content Type Registry ---
+
+/*
+ * A content type describes one structured output mode:
+ *   {
+ *     name: "quiz",
+ *     description: "A multiple-choice quiz",  // shown to clients and the classifier
+ *     keywords: ["quiz", "quizzes"],   // matched case-insensitively in the prompt
+ *     priority: 5,                     // lower wins when several types match
+ *     schema: QuizSchema,              // Gemini responseSchema
+ *     systemInstruction: "..." | (prompt) => "...",
+ *     promptTemplate: "quiz",          // or: a template in the prompt library
+ *                                      // (see ../promptTemplates), used instead
+ *     promptVariables: (prompt) => ({ questionCount }), // optional; template
+ *                                      // variables derived from the prompt
+ *     model: "gemini-2.5-flash",
+ *     temperature: 0.7,                // optional
+ *     historyPolicy: { maxTokens: 20000 }, // optional; see ../historyManager.js
+ *     research: true,                  // optional; run web research first (see ../research)
+ *     onResponse: async (response, { sessionId, userId }) => ({ quizId }),
+ *                                      // optional; its result is merged into `meta`
+ *   }
+ * Adding a new mode means registering one more entry; nothing else changes.
+ */
+
+export const DEFAULT_CONTENT_TYPE = "default";
+
+const contentTypes = new Map();
+
+/**
+ * Registers (or replaces) a content type.
+ * @param {object} definition - The content type definition (see above).
+ * @returns {object} The stored definition.
+ */
+export function registerContentType(definition) {
+  const { name, schema, systemInstruction, promptTemplate, model } =
+    definition ?? {};
+  if (!name || typeof name !== "string") {
+    throw new Error("A content type needs a string 'name'.");
+  }
+  if (!schema || !(systemInstruction || promptTemplate) || !model) {
+    throw new Error(
+      `Content type '${name}' needs a schema, a systemInstruction or promptTemplate, and a model.`
+    );
+  }
+
+  const problems = checkSchemaDefinition(schema);
+  if (problems.length > 0) {
+    throw new Error(
+      `Content type '${name}' has an invalid schema:\n  ${problems.join(
+        "\n  "
+      )}`
+    );
+  }
+
+  const entry = {
+    keywords: [],
+    priority: Number.MAX_SAFE_INTEGER,
+    ...definition,
+    keywords: (definition.keywords ?? []).map((k) => k.toLowerCase()),
+  };
+  contentTypes.set(name, entry);
+  return entry;
+}
+
+/**
+ * Looks up a content type by name.
+ * @param {string} name - The content type name.
+ * @returns {object|undefined} The definition, if registered.
+ */
+export function getContentType(name) {
+  return contentTypes.get(name);
+}
+
+/**
+ * Lists every registered content type, highest priority first.
+ * @returns {object[]} The definitions.
+ */
+export function listContentTypes() {
+  return [...contentTypes.values()].sort((a, b) => a.priority - b.priority);
+}
+
+/**
+ * Finds every content type whose keywords appear in the prompt.
+ * @param {string} prompt - The user's prompt.
+ * @returns {{name: string, priority: number, keywords: string[]}[]} The matches, highest priority first.
+ */
+export function matchContentTypes(prompt) {
+  const lowerCasePrompt = prompt.toLowerCase();
+  const matches = [];
+  for (const type of contentTypes.values()) {
+    const keywords = type.keywords.filter((keyword) =>
+      lowerCasePrompt.includes(keyword)
+    );
+    if (keywords.length > 0) {
+      matches.push({ name: type.name, priority: type.priority, keywords });
+    }
+  }
+  return matches.sort((a, b) => a.priority - b.priority);
+}
+
+/**
+ * Detects the requested content type from the prompt using the registered
+ * keywords and priorities. Falls back to the default type.
+ * @param {string} prompt - The user's prompt.
+ * @returns {string} The detected content type name.
+ */
+export function detectContentType(prompt) {
+  return matchContentTypes(prompt)[0]?.name ?? DEFAULT_CONTENT_TYPE;
+}
+
+/**
+ * Resolves the inline system instruction for a content type and prompt
+ * (types using a prompt template are rendered by ../promptTemplates).
+ * @param {object} type - The content type definition.
+ * @param {string} prompt - The user's prompt.
+ * @returns {string} The system instruction.
+ */
+export function resolveSystemInstruction(type, prompt) {
+  return typeof type.systemInstruction === "function"
+    ? type.systemInstruction(prompt)
+    : type.systemInstruction;
+}
@@ -0,0 +1,162 @@
+// --- Gemini Response Schema Validation ---
+
+const SCHEMA_TYPES = new Set([
+  "STRING",
+  "NUMBER",
+  "INTEGER",
+  "BOOLEAN",
+  "ARRAY",
+  "OBJECT",
+]);
+
+/**
+ * Checks that a schema definition only uses constructs the Gemini
+ * responseSchema supports, so a typo is caught at startup rather than as an
+ * API error on the first request.
+ * @param {object} schema - The schema definition.
+ * @param {string} [path] - The location being checked (used in messages).
+ * @returns {string[]} Problems found; empty when the schema is valid.
+ */
+export function checkSchemaDefinition(schema, path = "$") {
+  if (!schema || typeof schema !== "object") {
+    return [`${path}: schema must be an object.`];
+  }
+  if (!SCHEMA_TYPES.has(schema.type)) {
+    return [
+      `${path}: unsupported type '${schema.type}' (expected one of ${[
+        ...SCHEMA_TYPES,
+      ].join(", ")}).`,
+    ];
+  }
+
+  const problems = [];
+  if (schema.enum !== undefined) {
+    if (
+      schema.type !== "STRING" ||
+      !Array.isArray(schema.enum) ||
+      !schema.enum.every((value) => typeof value === "string")
+    ) {
+      problems.push(`${path}: 'enum' must be an array of strings on a STRING.`);
+    }
+  }
+
+  if (schema.type === "ARRAY") {
+    if (!schema.items) {
+      problems.push(`${path}: ARRAY schemas need an 'items' schema.`);
+    } else {
+      problems.push(...checkSchemaDefinition(schema.items, `${path}[]`));
+    }
+  }
+
+  if (schema.type === "OBJECT") {
+    const properties = schema.properties ?? {};
+    for (const [key, child] of Object.entries(properties)) {
+      problems.push(...checkSchemaDefinition(child, `${path}.${key}`));
+    }
+    for (const key of schema.required ?? []) {
+      if (!(key in properties)) {
+        problems.push(`${path}: required property '${key}' is not defined.`);
+      }
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Validates a parsed model response against a Gemini responseSchema.
+ * Extra properties are allowed; missing required ones, wrong types and
+ * values outside an enum are reported.
+ * @param {*} value - The parsed JSON value.
+ * @param {object} schema - The schema to check against.
+ * @param {string} [path] - The location being checked (used in messages).
+ * @returns {{path: string, message: string}[]} Validation errors; empty when valid.
+ */
+export function validateAgainstSchema(value, schema, path = "$") {
+  if (value === null || value === undefined) {
+    return schema.nullable
+      ? []
+      : [{ path, message: `Expected ${schema.type}, got ${value}.` }];
+  }
+
+  const typeError = (expected) => [
+    {
+      path,
+      message: `Expected ${expected}, got ${
+        Array.isArray(value) ? "array" : typeof value
+      }.`,
+    },
+  ];
+
+  switch (schema.type) {
+    case "STRING":
+      if (typeof value !== "string") return typeError("STRING");
+      if (schema.enum && !schema.enum.includes(value)) {
+        return [
+          {
+            path,
+            message: `Expected one of ${schema.enum.join(", ")}, got '${value}'.`,
+          },
+        ];
+      }
+      return [];
+    case "NUMBER":
+      return typeof value === "number" && Number.isFinite(value)
+        ? []
+        : typeError("NUMBER");
+    case "INTEGER":
+      return Number.isInteger(value) ? [] : typeError("INTEGER");
+    case "BOOLEAN":
+      return typeof value === "boolean" ? [] : typeError("BOOLEAN");
+    case "ARRAY":
+      if (!Array.isArray(value)) return typeError("ARRAY");
+      return value.flatMap((item, index) =>
+        validateAgainstSchema(item, schema.items, `${path}[${index}]`)
+      );
+    case "OBJECT": {
+      if (typeof value !== "object" || Array.isArray(value)) {
+        return typeError("OBJECT");
+      }
+      const errors = [];
+      for (const key of schema.required ?? []) {
+        if (value[key] === undefined) {
+          errors.push({
+            path: `${path}.${key}`,
+            message: "Missing required property.",
+          });
+        }
+      }
+      for (const [key, child] of Object.entries(schema.properties ?? {})) {
+        if (value[key] !== undefined) {
+          errors.push(
+            ...validateAgainstSchema(value[key], child, `${path}.${key}`)
+          );
+        }
+      }
+      return errors;
+    }
+    default:
+      return [{ path, message: `Unsupported schema type '${schema.type}'.` }];
+  }
+}
+
+/**
+ * Parses model output and validates it in one step.
+ * @param {string} text - The raw model output.
+ * @param {object} schema - The schema to check against.
+ * @returns {{value: *, errors: {path: string, message: string}[]}}
+ */
+export function parseAndValidate(text, schema) {
+  let value;
+  try {
+    value = JSON.parse(text);
+  } catch (error) {
+    return {
+      value: undefined,
+      errors: [
+        { path: "$", message: `Response is not valid JSON: ${error.message}` },
+      ],
+    };
+  }
+  return { value, errors: validateAgainstSchema(value, schema) };
+}
@@ -0,0 +1,141 @@
+// --- Schemas for Different Content Types ---
+
+export const WebSearchResultSchema = {
+  type: "OBJECT",
+  properties: {
+    title: { type: "STRING" },
+    url: { type: "STRING" },
+    snippet: { type: "STRING" },
+  },
+  required: ["title", "url", "snippet"],
+};
+
+export const PresentationSchema = {
+  type: "OBJECT",
+  properties: {
+    title: { type: "STRING" },
+    sources: { type: "ARRAY", items: WebSearchResultSchema },
+    slides: {
+      type: "ARRAY",
+      items: {
+        type: "OBJECT",
+        properties: {
+          slideNumber: { type: "INTEGER" },
+          title: { type: "STRING" },
+          content: { type: "ARRAY", items: { type: "STRING" } },
+          speakerNotes: { type: "STRING" },
+          slideCode: {
+            type: "STRING",
+            description: "Self-contained HTML markup for rendering the slide.",
+          },
+        },
+        required: ["slideNumber", "title", "content", "speakerNotes"],
+      },
+    },
+  },
+  required: ["title", "sources", "slides"],
+};
+
+export const DocumentSchema = {
+  type: "OBJECT",
+  properties: {
+    title: { type: "STRING" },
+    sources: { type: "ARRAY", items: WebSearchResultSchema },
+    summary: { type: "STRING" },
+    sections: {
+      type: "ARRAY",
+      items: {
+        type: "OBJECT",
+        properties: {
+          subtitle: { type: "STRING" },
+          content: { type: "STRING" },
+        },
+        required: ["subtitle", "content"],
+      },
+    },
+  },
+  required: ["title", "sources", "summary", "sections"],
+};
+
+export const GeneralContentSchema = {
+  type: "OBJECT",
+  properties: {
+    title: { type: "STRING" },
+    summary: { type: "STRING" },
+    content: { type: "STRING" },
+  },
+  required: ["title", "summary", "content"],
+};
+
+// --- Education Schemas ---
+
+export const LessonPlanSchema = {
+  type: "OBJECT",
+  properties: {
+    title: { type: "STRING" },
+    gradeLevel: { type: "STRING" },
+    duration: { type: "STRING" },
+    learningObjectives: { type: "ARRAY", items: { type: "STRING" } },
+    keyTerms: { type: "ARRAY", items: { type: "STRING" } },
+    hookIntroduction: { type: "STRING" },
+    mainActivity: { type: "STRING" },
+    assessment: { type: "STRING" },
+  },
+  required: [
+    "title",
+    "gradeLevel",
+    "duration",
+    "learningObjectives",
+    "keyTerms",
+    "hookIntroduction",
+    "mainActivity",
+    "assessment",
+  ],
+};
+
+export const AssignmentSchema = {
+  type: "OBJECT",
+  properties: {
+    title: { type: "STRING" },
+    instructions: { type: "STRING" },
+    submissionCriteria: { type: "STRING" },
+    rubric: { type: "STRING", description: "A summary of the grading rubric." },
+  },
+  required: ["title", "instructions", "submissionCriteria", "rubric"],
+};
+
+export const QuizSchema = {
+  type: "OBJECT",
+  properties: {
+    title: { type: "STRING" },
+    questions: {
+      type: "ARRAY",
+      items: {
+        type: "OBJECT",
+        properties: {
+          questionNumber: { type: "INTEGER" },
+          question: { type: "STRING" },
+          choices: { type: "ARRAY", items: { type: "STRING" } },
+          correctAnswer: { type: "STRING" },
+        },
+        required: ["questionNumber", "question", "choices", "correctAnswer"],
+      },
+    },
+  },
+  required: ["title", "questions"],
+};
+
+export const LectureSchema = {
+  type: "OBJECT",
+  properties: {
+    title: { type: "STRING" },
+    duration: { type: "STRING" },
+    keyConcepts: { type: "ARRAY", items: { type: "STRING" } },
+    script: {
+      type: "STRING",
+      description:
+        "A detailed, long-form lecture script formatted with markdown.",
+    },
+  },
+  required: ["title", "duration", "keyConcepts", "script"],
+};
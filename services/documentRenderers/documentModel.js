@@ -0,0 +1,77 @@
+// --- Shared Document Helpers ---
+
+/**
+ * Returns a source URL if it is safe to link to (http or https), otherwise an
+ * empty string. Sources come from model output, and a `javascript:` or
+ * `data:` link in an exported HTML file would run when clicked.
+ * @param {*} url - The URL from the response.
+ * @returns {string} The URL, or "" when it must not become a link.
+ */
+export function toLinkUrl(url) {
+  try {
+    const { protocol } = new URL(String(url));
+    return protocol === "http:" || protocol === "https:" ? String(url) : "";
+  } catch {
+    return "";
+  }
+}
+
+/**
+ * Validates a DocumentSchema response and normalises it into a predictable shape
+ * so every renderer can rely on the same fields being present. References whose
+ * URL isn't http(s) are rendered as plain text (see toLinkUrl).
+ * @param {object} document - The parsed document JSON (title, summary, sections, sources).
+ * @returns {{title: string, summary: string, sections: {subtitle: string, content: string}[], references: {title: string, url: string, snippet: string}[]}}
+ */
+export function normalizeDocument(document) {
+  if (!document || typeof document !== "object") {
+    throw new Error("A document object is required.");
+  }
+  if (!Array.isArray(document.sections)) {
+    throw new Error("The document must contain a 'sections' array.");
+  }
+
+  return {
+    title: String(document.title || "Untitled Document"),
+    summary: String(document.summary || ""),
+    sections: document.sections.map((section, index) => ({
+      subtitle: String(section?.subtitle || `Section ${index + 1}`),
+      content: String(section?.content || ""),
+    })),
+    references: (Array.isArray(document.sources) ? document.sources : []).map(
+      (source) => ({
+        title: String(source?.title || source?.url || ""),
+        url: toLinkUrl(source?.url),
+        snippet: String(source?.snippet || ""),
+      })
+    ),
+  };
+}
+
+/**
+ * Splits section text into paragraphs on blank lines.
+ * @param {string} text - The raw section content.
+ * @returns {string[]} The non-empty paragraphs.
+ */
+export function toParagraphs(text) {
+  return text
+    .split(/\n\s*\n/)
+    .map((paragraph) => paragraph.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Turns a document (or presentation) title into a safe download file name.
+ * @param {string} title - The title.
+ * @param {string} extension - The file extension without the dot.
+ * @param {string} [fallback] - The name to use when the title has no usable characters.
+ * @returns {string} The file name.
+ */
+export function toFileName(title, extension, fallback = "document") {
+  const base = String(title || fallback)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 80);
+  return `${base || fallback}.${extension}`;
+}
@@ -0,0 +1,66 @@
+import {
+  Document,
+  ExternalHyperlink,
+  HeadingLevel,
+  Packer,
+  Paragraph,
+  TextRun,
+} from "docx";
+import { toParagraphs } from "./documentModel.js";
+
+/**
+ * Renders a normalised document as a .docx file.
+ * @param {object} doc - The output of normalizeDocument().
+ * @returns {Promise<Buffer>} A promise that resolves to the .docx contents.
+ */
+export async function renderDocx(doc) {
+  const children = [
+    new Paragraph({ text: doc.title, heading: HeadingLevel.TITLE }),
+  ];
+
+  if (doc.summary) {
+    children.push(
+      new Paragraph({ text: "Abstract", heading: HeadingLevel.HEADING_1 }),
+      new Paragraph({
+        children: [new TextRun({ text: doc.summary.trim(), italics: true })],
+      })
+    );
+  }
+
+  for (const section of doc.sections) {
+    children.push(
+      new Paragraph({ text: section.subtitle, heading: HeadingLevel.HEADING_1 })
+    );
+    for (const paragraph of toParagraphs(section.content)) {
+      children.push(new Paragraph({ text: paragraph }));
+    }
+  }
+
+  if (doc.references.length > 0) {
+    children.push(
+      new Paragraph({ text: "References", heading: HeadingLevel.HEADING_1 })
+    );
+    doc.references.forEach((ref, index) => {
+      const runs = [new TextRun(`${index + 1}. `)];
+      runs.push(
+        ref.url
+          ? new ExternalHyperlink({
+              link: ref.url,
+              children: [new TextRun({ text: ref.title, style: "Hyperlink" })],
+            })
+          : new TextRun(ref.title)
+      );
+      if (ref.snippet) {
+        runs.push(new TextRun(` — ${ref.snippet}`));
+      }
+      children.push(new Paragraph({ children: runs }));
+    });
+  }
+
+  const file = new Document({
+    title: doc.title,
+    sections: [{ children }],
+  });
+
+  return Packer.toBuffer(file);
+}
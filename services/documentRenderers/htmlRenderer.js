@@ -0,0 +1,71 @@
+import { toParagraphs } from "./documentModel.js";
+
+/**
+ * Escapes text for safe inclusion in HTML.
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * Renders a normalised document as a standalone HTML page.
+ * @param {object} doc - The output of normalizeDocument().
+ * @returns {string} The HTML markup.
+ */
+export function renderHtml(doc) {
+  const body = [`<h1>${escapeHtml(doc.title)}</h1>`];
+
+  if (doc.summary) {
+    body.push(
+      `<section class="abstract"><h2>Abstract</h2><p>${escapeHtml(
+        doc.summary.trim()
+      )}</p></section>`
+    );
+  }
+
+  for (const section of doc.sections) {
+    const paragraphs = toParagraphs(section.content)
+      .map((paragraph) => `<p>${escapeHtml(paragraph)}</p>`)
+      .join("\n");
+    body.push(
+      `<section><h2>${escapeHtml(section.subtitle)}</h2>\n${paragraphs}</section>`
+    );
+  }
+
+  if (doc.references.length > 0) {
+    const items = doc.references
+      .map((ref) => {
+        const label = ref.url
+          ? `<a href="${escapeHtml(ref.url)}">${escapeHtml(ref.title)}</a>`
+          : escapeHtml(ref.title);
+        const snippet = ref.snippet ? ` — ${escapeHtml(ref.snippet)}` : "";
+        return `<li>${label}${snippet}</li>`;
+      })
+      .join("\n");
+    body.push(
+      `<section class="references"><h2>References</h2><ol>\n${items}</ol></section>`
+    );
+  }
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(doc.title)}</title>
+<style>
+body { font-family: Georgia, serif; max-width: 50rem; margin: 2rem auto; line-height: 1.6; color: #222; }
+.abstract { font-style: italic; border-left: 4px solid #1f3864; padding-left: 1rem; }
+h1, h2 { color: #1f3864; }
+</style>
+</head>
+<body>
+${body.join("\n")}
+</body>
+</html>
+`;
+}
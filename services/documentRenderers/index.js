@@ -0,0 +1,74 @@
+import { renderDocx } from "./docxRenderer.js";
+import { normalizeDocument, toFileName } from "./documentModel.js";
+import { renderHtml } from "./htmlRenderer.js";
+import { renderMarkdown } from "./markdownRenderer.js";
+import { renderPdf } from "./pdfRenderer.js";
+
+// --- Format Registry ---
+const FORMATS = {
+  md: {
+    mimeType: "text/markdown; charset=utf-8",
+    extension: "md",
+    render: renderMarkdown,
+  },
+  html: {
+    mimeType: "text/html; charset=utf-8",
+    extension: "html",
+    render: renderHtml,
+  },
+  docx: {
+    mimeType:
+      "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+    extension: "docx",
+    render: renderDocx,
+  },
+  pdf: {
+    mimeType: "application/pdf",
+    extension: "pdf",
+    render: renderPdf,
+  },
+};
+
+// "markdown" is accepted as an alias for "md".
+const FORMAT_ALIASES = { markdown: "md" };
+
+/**
+ * Lists the output formats the renderer supports.
+ * @returns {string[]} The supported format names.
+ */
+export function listDocumentFormats() {
+  return Object.keys(FORMATS);
+}
+
+/**
+ * Resolves a user-supplied format name, or returns null if it is unsupported.
+ * @param {string} format - The requested format (e.g. "pdf", "markdown").
+ * @returns {string|null} The canonical format name.
+ */
+export function resolveDocumentFormat(format) {
+  const key = String(format || "").toLowerCase();
+  const canonical = FORMAT_ALIASES[key] || key;
+  return FORMATS[canonical] ? canonical : null;
+}
+
+/**
+ * Renders a DocumentSchema response into the requested output format.
+ * Runs entirely locally; no model calls are made.
+ * @param {object} document - The parsed document JSON (title, summary, sections, sources).
+ * @param {string} format - One of listDocumentFormats() or an alias.
+ * @returns {Promise<{body: string|Buffer, mimeType: string, fileName: string}>}
+ */
+export async function renderDocument(document, format) {
+  const canonical = resolveDocumentFormat(format);
+  if (!canonical) {
+    throw new Error(
+      `Unsupported document format '${format}'. Use one of: ${listDocumentFormats().join(", ")}.`
+    );
+  }
+
+  const doc = normalizeDocument(document);
+  const { render, mimeType, extension } = FORMATS[canonical];
+  const body = await render(doc);
+
+  return { body, mimeType, fileName: toFileName(doc.title, extension) };
+}
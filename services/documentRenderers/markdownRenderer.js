@@ -0,0 +1,34 @@
+import { toParagraphs } from "./documentModel.js";
+
+/**
+ * Renders a normalised document as Markdown.
+ * @param {object} doc - The output of normalizeDocument().
+ * @returns {string} The Markdown text.
+ */
+export function renderMarkdown(doc) {
+  const lines = [`# ${doc.title}`, ""];
+
+  if (doc.summary) {
+    lines.push("## Abstract", "", doc.summary.trim(), "");
+  }
+
+  for (const section of doc.sections) {
+    lines.push(`## ${section.subtitle}`, "");
+    for (const paragraph of toParagraphs(section.content)) {
+      lines.push(paragraph, "");
+    }
+  }
+
+  if (doc.references.length > 0) {
+    lines.push("## References", "");
+    doc.references.forEach((ref, index) => {
+      const label = ref.url ? `[${ref.title}](${ref.url})` : ref.title;
+      lines.push(
+        `${index + 1}. ${label}${ref.snippet ? ` — ${ref.snippet}` : ""}`
+      );
+    });
+    lines.push("");
+  }
+
+  return lines.join("\n");
+}
@@ -0,0 +1,85 @@
+import PDFDocument from "pdfkit";
+import { toParagraphs } from "./documentModel.js";
+
+const TITLE_COLOR = "#1F3864";
+const BODY_COLOR = "#222222";
+
+/**
+ * Renders a normalised document as a PDF using pdfkit's built-in fonts, so no
+ * font files or network access are needed.
+ * @param {object} doc - The output of normalizeDocument().
+ * @returns {Promise<Buffer>} A promise that resolves to the PDF contents.
+ */
+export function renderPdf(doc) {
+  return new Promise((resolve, reject) => {
+    const pdf = new PDFDocument({
+      size: "A4",
+      margin: 56,
+      info: { Title: doc.title },
+    });
+    const chunks = [];
+    pdf.on("data", (chunk) => chunks.push(chunk));
+    pdf.on("end", () => resolve(Buffer.concat(chunks)));
+    pdf.on("error", reject);
+
+    pdf
+      .font("Helvetica-Bold")
+      .fontSize(22)
+      .fillColor(TITLE_COLOR)
+      .text(doc.title);
+    pdf.moveDown();
+
+    if (doc.summary) {
+      pdf
+        .font("Helvetica-Bold")
+        .fontSize(14)
+        .fillColor(TITLE_COLOR)
+        .text("Abstract");
+      pdf.moveDown(0.3);
+      pdf
+        .font("Helvetica-Oblique")
+        .fontSize(11)
+        .fillColor(BODY_COLOR)
+        .text(doc.summary.trim(), { align: "justify" });
+      pdf.moveDown();
+    }
+
+    for (const section of doc.sections) {
+      pdf
+        .font("Helvetica-Bold")
+        .fontSize(14)
+        .fillColor(TITLE_COLOR)
+        .text(section.subtitle);
+      pdf.moveDown(0.3);
+      pdf.font("Helvetica").fontSize(11).fillColor(BODY_COLOR);
+      for (const paragraph of toParagraphs(section.content)) {
+        pdf.text(paragraph, { align: "justify" });
+        pdf.moveDown(0.5);
+      }
+      pdf.moveDown(0.5);
+    }
+
+    if (doc.references.length > 0) {
+      pdf
+        .font("Helvetica-Bold")
+        .fontSize(14)
+        .fillColor(TITLE_COLOR)
+        .text("References");
+      pdf.moveDown(0.3);
+      pdf.font("Helvetica").fontSize(10).fillColor(BODY_COLOR);
+      doc.references.forEach((ref, index) => {
+        pdf.text(`${index + 1}. ${ref.title}`, { continued: Boolean(ref.url) });
+        if (ref.url) {
+          pdf.fillColor("blue").text(` ${ref.url}`, { link: ref.url });
+          pdf.fillColor(BODY_COLOR);
+        }
+        if (ref.snippet) {
+          pdf.fontSize(9).text(ref.snippet, { indent: 14 }).fontSize(10);
+        }
+        pdf.moveDown(0.3);
+      });
+    }
+
+    pdf.end();
+  });
+}
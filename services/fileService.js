@@ -0,0 +1,266 @@
+import { randomUUID } from "crypto";
+import "dotenv/config";
+import fs from "fs/promises";
+import { httpError } from "../utils/httpError.js";
+import { withRetry } from "../utils/withRetry.js";
+import { getLLMProvider } from "./llmProviders/index.js";
+import { canExtractText, extractText } from "./textExtractors/index.js";
+
+// --- Configuration ---
+// Files up to this size are sent inline as base64; larger ones go through
+// the Gemini Files API and only their URI is kept in the session history.
+// Documents that can be converted to text (see ./textExtractors) are always
+// sent as text.
+const INLINE_FILE_MAX_BYTES = Number(
+  process.env.INLINE_FILE_MAX_BYTES || 1024 * 1024
+);
+// How long to wait for the Files API to finish processing an upload (video,
+// large PDFs) before giving up.
+const FILE_PROCESSING_TIMEOUT_MS = Number(
+  process.env.FILE_PROCESSING_TIMEOUT_MS || 120000
+);
+const FILE_PROCESSING_POLL_MS = 2000;
+
+// --- Helper Functions ---
+
+/**
+ * Waits until an uploaded file has left the PROCESSING state.
+ */
+async function waitUntilActive(file) {
+  const deadline = Date.now() + FILE_PROCESSING_TIMEOUT_MS;
+  let current = file;
+  while (current.state === "PROCESSING") {
+    if (Date.now() > deadline) {
+      throw httpError(
+        504,
+        `The uploaded file '${file.displayName}' is still being processed. Try again later.`
+      );
+    }
+    await new Promise((resolve) =>
+      setTimeout(resolve, FILE_PROCESSING_POLL_MS)
+    );
+    current = await getLLMProvider().getFile({ name: current.name });
+  }
+  if (current.state === "FAILED") {
+    throw httpError(
+      422,
+      `The uploaded file '${file.displayName}' could not be processed.`
+    );
+  }
+  return current;
+}
+
+/**
+ * Uploads a multer file to the Gemini Files API.
+ */
+async function uploadToFilesApi(upload) {
+  const file = await withRetry(() =>
+    getLLMProvider().uploadFile({
+      file: upload.path,
+      config: {
+        mimeType: upload.mimetype,
+        displayName: upload.originalname,
+      },
+    })
+  );
+  return waitUntilActive(file);
+}
+
+/**
+ * Converts an Office, HTML, CSV, Markdown or text upload into a text part
+ * headed with the file name, so the model sees the content even for formats
+ * it doesn't accept as files.
+ */
+async function toTextPart(upload) {
+  let extracted;
+  try {
+    extracted = await extractText(
+      await fs.readFile(upload.path),
+      upload.mimetype
+    );
+  } catch (error) {
+    // Keep an extractor's own status (e.g. 413 for an oversized part).
+    throw httpError(
+      error.expose ? error.status : 422,
+      `Could not read the text of '${upload.originalname}': ${error.message}`,
+      error.details
+    );
+  }
+
+  const header = `[Attached file: ${upload.originalname}${
+    extracted.truncated ? " (truncated)" : ""
+  }]`;
+  return { text: `${header}\n${extracted.text}` };
+}
+
+/**
+ * Turns one multer upload into a message part plus the session file record
+ * that lets later turns refer to it again.
+ */
+async function toFilePart(upload) {
+  const record = {
+    id: randomUUID(),
+    name: upload.originalname,
+    mimeType: upload.mimetype,
+    sizeBytes: upload.size,
+    uploadedAt: new Date().toISOString(),
+  };
+
+  if (canExtractText(upload.mimetype)) {
+    const part = await toTextPart(upload);
+    return { part, record: { ...record, transport: "text", text: part.text } };
+  }
+
+  if (upload.size <= INLINE_FILE_MAX_BYTES) {
+    const data = (await fs.readFile(upload.path)).toString("base64");
+    return {
+      part: { inlineData: { data, mimeType: upload.mimetype } },
+      record: { ...record, transport: "inline", data },
+    };
+  }
+
+  const file = await uploadToFilesApi(upload);
+  const mimeType = file.mimeType || upload.mimetype;
+  return {
+    part: { fileData: { fileUri: file.uri, mimeType } },
+    record: {
+      ...record,
+      mimeType,
+      transport: "files-api",
+      uri: file.uri,
+      remoteName: file.name,
+      expiresAt: file.expirationTime ?? null,
+    },
+  };
+}
+
+/**
+ * Builds the message part for a file recorded earlier in the session.
+ */
+function referenceToPart(record) {
+  switch (record.transport) {
+    case "text":
+      return { text: record.text };
+    case "inline":
+      return { inlineData: { data: record.data, mimeType: record.mimeType } };
+    default:
+      return { fileData: { fileUri: record.uri, mimeType: record.mimeType } };
+  }
+}
+
+// --- Main Service Functions ---
+
+/**
+ * Tells whether a Files API upload has passed its expiry time (the API keeps
+ * files for 48 hours). Inline files never expire.
+ * @param {object} record - A session file record.
+ * @returns {boolean} True if the file can no longer be sent to the model.
+ */
+export function isFileExpired(record) {
+  return (
+    Boolean(record.expiresAt) && Date.parse(record.expiresAt) <= Date.now()
+  );
+}
+
+/**
+ * Describes a session file record for API responses, without its data.
+ * @param {object} record - A session file record.
+ * @returns {object} The public view of the file.
+ */
+export function describeFile(record) {
+  return {
+    id: record.id,
+    name: record.name,
+    mimeType: record.mimeType,
+    sizeBytes: record.sizeBytes,
+    transport: record.transport,
+    uploadedAt: record.uploadedAt,
+    expiresAt: record.expiresAt ?? null,
+    expired: isFileExpired(record),
+  };
+}
+
+/**
+ * Returns a message's attachment parts as they are stored in the session
+ * history. Inline data is already kept in the session's file record, so the
+ * history only refers to it (see resolveFileRefs) instead of holding a second
+ * copy.
+ * @param {{parts: object[], files: object[]}} attachments - The output of prepareFileParts.
+ * @returns {object[]} The parts to store.
+ */
+export function toStoredParts({ parts, files }) {
+  return parts.map((part, index) =>
+    part.inlineData
+      ? { fileRef: { id: files[index].id, mimeType: files[index].mimeType } }
+      : part
+  );
+}
+
+/**
+ * Turns the `fileRef` parts of stored history messages back into inline data
+ * from the session's file records. A reference to a record that is gone
+ * becomes a short text note.
+ * @param {object[]} messages - The stored history.
+ * @param {object[]} [records] - The session's file records.
+ * @returns {object[]} The messages, ready to send to the model.
+ */
+export function resolveFileRefs(messages, records = []) {
+  const byId = new Map(records.map((record) => [record.id, record]));
+  return messages.map((message) => {
+    if (!message.parts.some((part) => part.fileRef)) return message;
+    const parts = message.parts.map((part) => {
+      if (!part.fileRef) return part;
+      const record = byId.get(part.fileRef.id);
+      return record?.data
+        ? referenceToPart(record)
+        : {
+            text: `[An earlier attachment (${part.fileRef.mimeType}) is no longer available.]`,
+          };
+    });
+    return { ...message, parts };
+  });
+}
+
+/**
+ * Converts a message's new uploads and references to earlier uploads into
+ * message parts. New uploads are added to `registry` (the session's `files`)
+ * so later turns can reuse them by ID, and their temp files are removed.
+ * @param {object[]} uploads - File objects from multer.
+ * @param {string[]} fileIds - IDs of files uploaded earlier in the session.
+ * @param {object[]|null} registry - The session's file records, or null when there is no session.
+ * @returns {Promise<{parts: object[], files: object[]}>} The parts to send and the records they came from.
+ */
+export async function prepareFileParts(uploads, fileIds, registry) {
+  const parts = [];
+  const files = [];
+
+  try {
+    for (const id of fileIds) {
+      const record = registry?.find((file) => file.id === id);
+      if (!record) {
+        throw httpError(400, `File '${id}' was not uploaded in this session.`);
+      }
+      if (isFileExpired(record)) {
+        throw httpError(
+          410,
+          `File '${record.name}' has expired. Please upload it again.`
+        );
+      }
+      parts.push(referenceToPart(record));
+      files.push(record);
+    }
+
+    for (const upload of uploads) {
+      const { part, record } = await toFilePart(upload);
+      parts.push(part);
+      files.push(record);
+      registry?.push(record);
+    }
+  } finally {
+    await Promise.all(
+      uploads.map((upload) => fs.rm(upload.path, { force: true }))
+    );
+  }
+
+  return { parts, files };
+}
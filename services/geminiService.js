@@ -1,174 +1,514 @@
-import { GoogleGenAI } from "@google/genai";
 import { randomUUID } from "crypto";
 import "dotenv/config";
-import fs from "fs";
-import { dirname, join } from "path";
-import { fileURLToPath } from "url";
-
-// --- File Path Setup ---
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-
-// --- Gemini API Initialization ---
-const API_KEY = process.env.GEMINI_API_KEY;
-if (!API_KEY) {
-  throw new Error("GEMINI_API_KEY is not set in the environment variables.");
-}
-const ai = new GoogleGenAI({ apiKey: API_KEY });
+import fs from "fs/promises";
+import { httpError } from "../utils/httpError.js";
+import { withRetry } from "../utils/withRetry.js";
+import { classifyContentType } from "./contentTypeClassifier.js";
+import {
+  getContentType,
+  listContentTypes,
+  parseAndValidate,
+} from "./contentTypes/index.js";
+import {
+  describeFile,
+  prepareFileParts,
+  toStoredParts,
+} from "./fileService.js";
+import { prepareHistory } from "./historyManager.js";
+import {
+  listModels,
+  resolveGenerationSettings,
+  resolveImageModel,
+} from "./modelCatalog.js";
+import {
+  resolveCitations,
+  retrieveContext,
+  toKnowledgeNote,
+  withCitations,
+} from "./knowledgeBase/index.js";
+import { getLLMProvider } from "./llmProviders/index.js";
+import { renderSystemInstruction } from "./promptTemplates/index.js";
+import {
+  checkCitations,
+  runResearch,
+  toResearchNote,
+} from "./research/index.js";
+import {
+  getArtifact,
+  getArtifactElement,
+  recordArtifact,
+  reviseArtifactElement,
+} from "./artifacts/index.js";
+import { ANONYMOUS_USER } from "./authService.js";
+import { describeImage, readImage, saveImage } from "./imageService.js";
+import { createSession, updateSession } from "./sessionStore/index.js";
+import { requireOwnedSession } from "./sessionService.js";
+import { assertWithinQuota, recordUsage } from "./usageService.js";
 
-// --- In-Memory Chat History Storage ---
-const chatHistories = {};
+// --- Configuration ---
+// How many times the model is asked to fix a response that fails validation.
+const MAX_REPAIR_ATTEMPTS = Number(process.env.SCHEMA_REPAIR_ATTEMPTS ?? 2);
+// The most image variants one request can ask for.
+const MAX_IMAGE_VARIANTS = Number(process.env.IMAGE_MAX_VARIANTS || 4);
 
 // --- Helper Functions ---
 
 /**
- * A robust retry mechanism with exponential backoff and jitter.
+ * Normalizes a `files` argument (a single multer file, an array or nothing).
  */
-async function withRetry(apiCallFn, maxRetries = 5, initialDelay = 2000) {
-  for (let attempt = 0; attempt < maxRetries; attempt++) {
-    try {
-      return await apiCallFn();
-    } catch (error) {
-      if (error.status === 429 || error.status === 503) {
-        if (attempt === maxRetries - 1) {
-          console.error(
-            `API call failed after ${maxRetries} attempts. No more retries.`
-          );
-          throw error;
-        }
-        const delay =
-          initialDelay * Math.pow(2, attempt) + Math.random() * 1000;
-        console.warn(
-          `API Error (${error.status}). Retrying in ${Math.round(
-            delay / 1000
-          )}s...`
-        );
-        await new Promise((resolve) => setTimeout(resolve, delay));
-      } else {
-        throw error;
-      }
+function toUploadList(files) {
+  return files ? [].concat(files) : [];
+}
+
+/**
+ * Calls the configured LLM provider with retries and records the tokens it used against
+ * the requesting user.
+ * @param {object} request - The generateContent parameters.
+ * @param {{userId?: string, operation: string}} usage - Who and what to bill the call to.
+ */
+async function generate(request, usage) {
+  const result = await withRetry(() =>
+    getLLMProvider().generateContent(request)
+  );
+  await recordUsage(
+    usage.userId,
+    usage.operation,
+    request.model,
+    result.usageMetadata
+  );
+  return result;
+}
+
+/**
+ * Chooses the content type for a message: the client's explicit choice when
+ * given, otherwise the keyword rules and (optionally) the model classifier.
+ * @returns {Promise<{contentType: string, method: string, reason: string, confidence?: number}>}
+ */
+async function selectContentType(prompt, requestedType, userId) {
+  if (requestedType) {
+    if (!getContentType(requestedType)) {
+      throw httpError(400, `Unknown contentType '${requestedType}'.`, {
+        availableContentTypes: listContentTypes().map((type) => type.name),
+      });
     }
+    return {
+      contentType: requestedType,
+      method: "explicit",
+      reason: "Requested by the client.",
+    };
   }
+  return classifyContentType(prompt, { userId });
+}
+
+/**
+ * Runs web research first if the selected content type asks for it.
+ * @returns {Promise<object|null>} The research results (see ./research), or null.
+ */
+async function researchFor(selection, prompt, userId) {
+  const contentType = getContentType(selection.contentType);
+  return contentType.research ? runResearch(prompt, { userId }) : null;
 }
 
 /**
- * Converts a local file to a GoogleGenerativeAI.Part object.
+ * Builds the model request (model, contents, config) for a new user message.
+ * `fileParts` are the message's attachments (see prepareFileParts),
+ * `generation` is the model and settings from resolveGenerationSettings,
+ * `instruction` is the rendered system instruction (see renderSystemInstruction),
+ * `systemNotes` (e.g. a summary of older turns, research results) are
+ * appended to the system instruction and `citations` adds a `citations`
+ * array to the response schema (for knowledge-base excerpts).
  */
-function fileToGenerativePart(path, mimeType) {
+function buildGenerationRequest(
+  history,
+  prompt,
+  fileParts,
+  selection,
+  { generation, instruction, systemNotes = [], citations = false } = {}
+) {
+  const contentType = getContentType(selection.contentType);
+  const { model, config } =
+    generation ?? resolveGenerationSettings(contentType);
+
+  // --- Construct the new user message ---
+  const userMessage = {
+    role: "user",
+    parts: [{ text: prompt }, ...fileParts],
+  };
+
   return {
-    inlineData: {
-      data: Buffer.from(fs.readFileSync(path)).toString("base64"),
-      mimeType,
+    contentType,
+    userMessage,
+    request: {
+      model,
+      contents: [...history, userMessage], // History trimmed by prepareHistory
+      config: {
+        systemInstruction: [instruction.text, ...systemNotes]
+          .filter(Boolean)
+          .join("\n\n"),
+        responseMimeType: "application/json",
+        responseSchema: citations
+          ? withCitations(contentType.schema)
+          : contentType.schema,
+        ...config,
+      },
     },
   };
 }
 
-// --- Schemas for Different Content Types ---
-
-const WebSearchResultSchema = {
-  type: "OBJECT",
-  properties: {
-    title: { type: "STRING" },
-    url: { type: "STRING" },
-    snippet: { type: "STRING" },
-  },
-  required: ["title", "url", "snippet"],
-};
-
-const PresentationSchema = {
-  type: "OBJECT",
-  properties: {
-    title: { type: "STRING" },
-    simulatedSources: { type: "ARRAY", items: WebSearchResultSchema },
-    slides: {
-      type: "ARRAY",
-      items: {
-        type: "OBJECT",
-        properties: {
-          slideNumber: { type: "INTEGER" },
-          title: { type: "STRING" },
-          content: { type: "ARRAY", items: { type: "STRING" } },
-          speakerNotes: { type: "STRING" },
-          slideCode: { type: "XML/HTML" },
-        },
-        required: ["slideNumber", "title", "content", "speakerNotes"],
-      },
-    },
-  },
-  required: ["title", "simulatedSources", "slides"],
-};
-
-const DocumentSchema = {
-  type: "OBJECT",
-  properties: {
-    title: { type: "STRING" },
-    simulatedSources: { type: "ARRAY", items: WebSearchResultSchema },
-    summary: { type: "STRING" },
-    sections: {
-      type: "ARRAY",
-      items: {
-        type: "OBJECT",
-        properties: {
-          subtitle: { type: "STRING" },
-          content: { type: "STRING" },
-        },
-        required: ["subtitle", "content"],
+/**
+ * Validates model output against the request's response schema and, while it is
+ * invalid, re-prompts the model with the validation errors. Yields a `repair`
+ * event before each attempt and finally a `valid` event with the parsed value.
+ * Throws a 502 error carrying the validation errors if every attempt fails.
+ */
+async function* repairUntilValid(request, contentType, responseText, userId) {
+  let text = responseText;
+  const schema = request.config.responseSchema;
+  let { value, errors } = parseAndValidate(text, schema);
+  let attempts = 0;
+
+  while (errors.length > 0 && attempts < MAX_REPAIR_ATTEMPTS) {
+    attempts++;
+    yield {
+      type: "repair",
+      data: { attempt: attempts, validationErrors: errors },
+    };
+
+    const errorList = errors
+      .map((error) => `- ${error.path}: ${error.message}`)
+      .join("\n");
+    const result = await generate(
+      {
+        ...request,
+        contents: [
+          ...request.contents,
+          { role: "model", parts: [{ text }] },
+          {
+            role: "user",
+            parts: [
+              {
+                text: `Your previous response did not match the required JSON schema:\n${errorList}\nReturn the complete corrected JSON only.`,
+              },
+            ],
+          },
+        ],
       },
-    },
-  },
-  required: ["title", "simulatedSources", "summary", "sections"],
-};
-
-const GeneralContentSchema = {
-  type: "OBJECT",
-  properties: {
-    title: { type: "STRING" },
-    summary: { type: "STRING" },
-    content: { type: "STRING" },
-  },
-  required: ["title", "summary", "content"],
-};
+      { userId, operation: "repair" }
+    );
+    text = result.text;
+    ({ value, errors } = parseAndValidate(text, schema));
+  }
+
+  if (errors.length > 0) {
+    throw httpError(
+      502,
+      "The AI model returned a response that does not match the expected schema.",
+      {
+        contentType: contentType.name,
+        validationErrors: errors,
+        repairAttempts: attempts,
+      }
+    );
+  }
+
+  yield { type: "valid", data: { value, text, repairAttempts: attempts } };
+}
 
 /**
- * Detects the requested content type from the prompt using a priority system.
+ * Runs the content type's optional `onResponse` hook and returns the extra
+ * fields it wants added to `meta`. A failing hook is logged, not fatal, so the
+ * user still gets the generated content.
  */
-function detectContentType(prompt) {
-  const lowerCasePrompt = prompt.toLowerCase();
-  const keywordPriority = [
-    {
-      name: "presentation",
-      keywords: ["ppt", "presentation", "powerpoint", "slides"],
-      priority: 1,
-    },
+async function runResponseHook(contentType, response, context) {
+  if (!contentType.onResponse) return {};
+  try {
+    return (await contentType.onResponse(response, context)) ?? {};
+  } catch (error) {
+    console.error(`onResponse hook for '${contentType.name}' failed:`, error);
+    return {};
+  }
+}
+
+/**
+ * Appends a completed user/model exchange to the stored session, together
+ * with any files uploaded and any history summary made during this message.
+ * The session is re-read under its lock, so messages, uploads and renames
+ * that finished meanwhile are kept. Only called once the model has answered,
+ * so a failed call never leaves a dangling user message in the stored history.
+ */
+async function recordExchange(session, userMessage, responseText) {
+  await updateSession(session.id, (stored) => {
+    stored.history.push(userMessage, {
+      role: "model",
+      parts: [{ text: responseText }],
+    });
+    const storedFileIds = new Set((stored.files ?? []).map((file) => file.id));
+    stored.files = [
+      ...(stored.files ?? []),
+      ...(session.files ?? []).filter((file) => !storedFileIds.has(file.id)),
+    ];
+    if (
+      session.contextSummary &&
+      session.contextSummary.turnCount >=
+        (stored.contextSummary?.turnCount ?? 0)
+    ) {
+      stored.contextSummary = session.contextSummary;
+    }
+  });
+}
+
+/**
+ * Does everything sendMessage and streamMessage need before calling the
+ * model: loads the session, checks the quota, picks the content type,
+ * resolves the generation settings and prompt template, gathers knowledge-base
+ * excerpts, attachments, history and research, and builds the request.
+ * @returns {Promise<object>} The session, the request and everything needed
+ *   to finish the message (see finishMessage).
+ */
+async function prepareMessage(sessionId, prompt, files, options) {
+  const session = await requireOwnedSession(sessionId, options.userId);
+  await assertWithinQuota(session.ownerId);
+  const selection = await selectContentType(
+    prompt,
+    options.contentType,
+    session.ownerId
+  );
+  const generation = resolveGenerationSettings(
+    getContentType(selection.contentType),
+    options.generation
+  );
+  const instruction = await renderSystemInstruction(
+    getContentType(selection.contentType),
+    prompt,
+    { variables: options.templateVariables, sessionId }
+  );
+  const knowledge = options.collectionId
+    ? await retrieveContext(options.collectionId, prompt, session.ownerId)
+    : null;
+  session.files ??= [];
+  const attachments = await prepareFileParts(
+    toUploadList(files),
+    options.fileIds ?? [],
+    session.files
+  );
+  const context = await prepareHistory(
+    session,
+    getContentType(selection.contentType),
+    session.ownerId
+  );
+  const research = await researchFor(selection, prompt, session.ownerId);
+  const { contentType, userMessage, request } = buildGenerationRequest(
+    context.contents,
+    prompt,
+    attachments.parts,
+    selection,
     {
-      name: "document",
-      keywords: ["pdf", "docx", "document", "report"],
-      priority: 2,
+      generation,
+      instruction,
+      systemNotes: [
+        context.systemNote,
+        research && toResearchNote(research),
+        knowledge && toKnowledgeNote(knowledge),
+      ],
+      citations: Boolean(knowledge),
+    }
+  );
+
+  // The history keeps inline files as references to session.files, so their
+  // data is stored once.
+  const storedMessage = {
+    ...userMessage,
+    parts: [{ text: prompt }, ...toStoredParts(attachments)],
+  };
+
+  return {
+    session,
+    selection,
+    generation,
+    instruction,
+    knowledge,
+    attachments,
+    context,
+    research,
+    contentType,
+    storedMessage,
+    request,
+  };
+}
+
+/**
+ * Stores a validated answer (session history, artifact), runs the content
+ * type's response hook and builds the `{ response, meta }` result.
+ * @param {object} message - The output of prepareMessage.
+ * @param {string} prompt - The user's text prompt.
+ * @param {{value: object, text: string, repairAttempts: number}} validated - The checked response.
+ * @returns {Promise<{response: object, meta: object}>}
+ */
+async function finishMessage(message, prompt, validated) {
+  const { session, contentType, research, knowledge } = message;
+  await recordExchange(session, message.storedMessage, validated.text);
+  const artifact = await recordArtifact({
+    ownerId: session.ownerId,
+    sessionId: session.id,
+    contentType: contentType.name,
+    content: validated.value,
+    prompt,
+  });
+  const hookMeta = await runResponseHook(contentType, validated.value, {
+    sessionId: session.id,
+    userId: session.ownerId,
+  });
+
+  return {
+    response: validated.value,
+    meta: {
+      selection: message.selection,
+      generation: message.generation.settings,
+      promptTemplate: message.instruction.template,
+      artifact,
+      validation: { repairAttempts: validated.repairAttempts },
+      context: message.context.stats,
+      files: message.attachments.files.map(describeFile),
+      ...(research && {
+        research: checkCitations(validated.value, research),
+      }),
+      ...(knowledge && {
+        knowledge: resolveCitations(validated.value, knowledge),
+      }),
+      ...hookMeta,
     },
-  ];
-  let bestMatch = { name: "default", priority: 99 };
-  for (const type of keywordPriority) {
-    for (const keyword of type.keywords) {
-      if (
-        lowerCasePrompt.includes(keyword) &&
-        type.priority < bestMatch.priority
-      ) {
-        bestMatch = { name: type.name, priority: type.priority };
+  };
+}
+
+/**
+ * Generates images for a prompt, optionally editing reference images. Each
+ * of the `variants` is a separate model call; every image part returned is
+ * stored (see ./imageService.js) with the text the model sent alongside it as
+ * its caption. `details` (ownerId, sessionId, artifact, referenceImageIds)
+ * are recorded with each image.
+ * @returns {Promise<{images: object[], model: string}>}
+ */
+async function renderImages(prompt, references, options, details) {
+  const model = resolveImageModel(options.model);
+  const variants = options.variants ?? 1;
+  if (
+    !Number.isInteger(variants) ||
+    variants < 1 ||
+    variants > MAX_IMAGE_VARIANTS
+  ) {
+    throw httpError(
+      400,
+      `'variants' must be a whole number from 1 to ${MAX_IMAGE_VARIANTS}.`
+    );
+  }
+
+  try {
+    const responses = await Promise.all(
+      Array.from({ length: variants }, () =>
+        generate(
+          {
+            model,
+            contents: [
+              { role: "user", parts: [...references, { text: prompt }] },
+            ],
+            config: {
+              responseModalities: ["TEXT", "IMAGE"],
+            },
+          },
+          { userId: details.ownerId, operation: "image" }
+        )
+      )
+    );
+
+    const images = [];
+    for (const [index, response] of responses.entries()) {
+      const parts = response.candidates?.[0]?.content?.parts ?? [];
+      const caption = parts
+        .filter((part) => typeof part.text === "string" && !part.thought)
+        .map((part) => part.text)
+        .join("")
+        .trim();
+      for (const part of parts.filter((part) => part.inlineData?.data)) {
+        const image = await saveImage({
+          data: part.inlineData.data,
+          mimeType: part.inlineData.mimeType || "image/png",
+          prompt,
+          model,
+          caption,
+          ...details,
+        });
+        images.push({ ...describeImage(image), variant: index + 1 });
       }
     }
+
+    if (images.length === 0) {
+      throw new Error("The AI model did not return a valid image.");
+    }
+    return { images, model };
+  } catch (error) {
+    console.error("Error in Gemini Image API call:", error);
+    if (error.expose) throw error;
+    throw new Error("Failed to generate image from the AI model.");
   }
-  return bestMatch.name;
+}
+
+/**
+ * Loads reference images as inline parts: uploaded files and images stored
+ * earlier (by ID), which lets a client keep editing a generated image.
+ */
+async function prepareReferenceImages(uploads, imageIds, userId) {
+  const parts = [];
+  for (const upload of uploads) {
+    if (!upload.mimetype?.startsWith("image/")) {
+      throw httpError(
+        415,
+        `'${upload.originalname}' (${upload.mimetype}) is not an image.`
+      );
+    }
+    const data = await fs.readFile(upload.path);
+    parts.push({
+      inlineData: { mimeType: upload.mimetype, data: data.toString("base64") },
+    });
+  }
+  for (const imageId of imageIds) {
+    const { image, data } = await readImage(imageId, userId);
+    parts.push({
+      inlineData: { mimeType: image.mimeType, data: data.toString("base64") },
+    });
+  }
+  return parts;
 }
 
 // --- Main Service Functions ---
 
+/**
+ * Lists the content types a client can request explicitly.
+ * @returns {{name: string, description: string}[]} The content types.
+ */
+export function getAvailableContentTypes() {
+  return listContentTypes().map(({ name, description }) => ({
+    name,
+    description,
+  }));
+}
+
+/**
+ * Lists the models a client can request, with the limits their settings are
+ * checked against.
+ * @returns {{text: object[], image: object[]}} The models by kind.
+ */
+export function getAvailableModels() {
+  return { text: listModels("text"), image: listModels("image") };
+}
+
 /**
  * Starts a new chat session and returns a unique session ID.
- * @returns {string} The unique ID for the new chat session.
+ * @param {string} [userId] - The ID of the user who will own the session.
+ * @returns {Promise<string>} The unique ID for the new chat session.
  */
-export function startChatSession() {
+export async function startChatSession(userId = ANONYMOUS_USER.id) {
   const sessionId = randomUUID();
-  chatHistories[sessionId] = []; // Initialize an empty history
+  await createSession(sessionId, userId); // Initialize an empty history
   console.log(`New chat session started: ${sessionId}`);
   return sessionId;
 }
@@ -177,109 +517,356 @@ export function startChatSession() {
  * Sends a message within a chat session and gets a structured response.
  * @param {string} sessionId - The ID of the current chat session.
  * @param {string} prompt - The user's text prompt.
- * @param {object} [file] - An optional file object from multer.
- * @returns {Promise<object>} A promise that resolves to the parsed JSON object from the AI.
+ * @param {object|object[]} [files] - Optional file objects from multer.
+ * @param {object} [options]
+ * @param {string} [options.contentType] - Force a content type instead of detecting one.
+ * @param {string[]} [options.fileIds] - Files uploaded earlier in the session to attach again.
+ * @param {string} [options.collectionId] - A knowledge-base collection to retrieve excerpts from;
+ *   the response then cites them in `citations`.
+ * @param {object} [options.generation] - Overrides for { model, temperature, topP,
+ *   maxOutputTokens, thinkingBudget }, checked against the model catalogue.
+ * @param {object} [options.templateVariables] - Values for the prompt template's
+ *   variables (e.g. { questionCount: 10, tone: "playful" }).
+ * @param {string} [options.userId] - The requesting user; must own the session.
+ * @returns {Promise<{response: object, meta: object}>} The parsed JSON from the AI plus
+ *   `meta.selection` describing which content type was used and why,
+ *   `meta.generation` with the model and settings used, `meta.promptTemplate`
+ *   with the template ID and version of the system instruction, `meta.artifact`
+ *   with the ID of the stored (versioned) response, and
+ *   `meta.files` listing the attached files (with IDs for reuse).
  */
-export async function sendMessage(sessionId, prompt, file) {
-  if (!chatHistories[sessionId]) {
-    throw new Error("Invalid session ID. Please start a new session.");
-  }
-
+export async function sendMessage(sessionId, prompt, files, options = {}) {
   try {
-    const history = chatHistories[sessionId];
-    const contentType = detectContentType(prompt);
-    let schema;
-    let systemInstruction;
-    const model = "gemini-2.5-pro";
-
-    // --- Determine Schema and System Instruction ---
-    switch (contentType) {
-      case "presentation":
-        schema = PresentationSchema;
-        systemInstruction =
-          "You are a research assistant creating a presentation. First, Gather sources by finding 3-5 relevant web sources. Then, use that synthesized information to generate a comprehensive slide deck, adhering strictly to the provided JSON schema. Provide HTML in the last feild for each slide that can be used to create presentation slides.";
-        break;
-      case "document":
-        schema = DocumentSchema;
-        systemInstruction =
-          "You are a professional writer creating a formal document. First, simulate a web search by generating 3-5 relevant sources. Then, based on that simulated research, write a comprehensive document, adhering strictly to the provided JSON schema.";
-        break;
-      default:
-        schema = GeneralContentSchema;
-        systemInstruction =
-          "You are a helpful AI assistant. Generate a long-form, comprehensive response with a title, summary, and content, adhering strictly to the provided JSON schema.";
-        break;
-    }
+    const message = await prepareMessage(sessionId, prompt, files, options);
 
-    // --- Construct the new user message ---
-    const userMessage = { role: "user", parts: [{ text: prompt }] };
+    // --- Make the API call with the entire history ---
+    const result = await generate(message.request, {
+      userId: message.session.ownerId,
+      operation: "message",
+    });
 
-    if (file) {
-      const tempDir = join(__dirname, "..", "uploads");
-      const tempFilePath = join(tempDir, file.filename);
-      if (!fs.existsSync(tempFilePath)) {
-        throw new Error(`File not found: ${tempFilePath}`);
-      }
-      userMessage.parts.push(fileToGenerativePart(tempFilePath, file.mimetype));
-      fs.unlinkSync(tempFilePath);
+    let validated;
+    for await (const event of repairUntilValid(
+      message.request,
+      message.contentType,
+      result.text,
+      message.session.ownerId
+    )) {
+      if (event.type === "valid") validated = event.data;
     }
 
-    // Add the new user message to the session's history
-    history.push(userMessage);
+    return await finishMessage(message, prompt, validated);
+  } catch (error) {
+    console.error(`Error in session ${sessionId}:`, error);
+    if (error.expose) throw error;
+    throw new Error("Failed to get a structured response from the AI model.");
+  }
+}
 
-    // --- Make the API call with the entire history ---
-    const result = await withRetry(() =>
-      ai.models.generateContent({
-        model: model,
-        contents: history, // Send the full conversation history
-        config: {
-          systemInstruction: systemInstruction,
-          responseMimeType: "application/json",
-          responseSchema: schema,
-        },
-      })
+/**
+ * Streaming variant of sendMessage. Yields a `research` event with the sources
+ * found (for researched content types), `progress` events as text chunks
+ * arrive, `repair` events if the output has to be fixed, and a final `result`
+ * event with the parsed JSON, then stores the exchange in the session history
+ * exactly like sendMessage does.
+ * @param {string} sessionId - The ID of the current chat session.
+ * @param {string} prompt - The user's text prompt.
+ * @param {object|object[]} [files] - Optional file objects from multer.
+ * @param {object} [options] - Same as sendMessage.
+ * @returns {AsyncGenerator<{type: "research"|"progress"|"repair"|"result", data: object}>} The event stream.
+ */
+export async function* streamMessage(sessionId, prompt, files, options = {}) {
+  let result;
+  try {
+    const message = await prepareMessage(sessionId, prompt, files, options);
+    const { session, request, research } = message;
+    if (research) {
+      yield {
+        type: "research",
+        data: { provider: research.provider, sources: research.sources },
+      };
+    }
+
+    // Only the initial request is retried; a stream that fails midway is
+    // reported to the client rather than silently restarted.
+    const stream = await withRetry(() =>
+      getLLMProvider().generateContentStream(request)
     );
 
-    const modelResponseJson = JSON.parse(result.text);
+    let responseText = "";
+    let usageMetadata;
+    for await (const chunk of stream) {
+      // Usage totals arrive on the last chunk(s) of the stream.
+      usageMetadata = chunk.usageMetadata ?? usageMetadata;
+      const text = chunk.text;
+      if (!text) continue;
+      responseText += text;
+      yield {
+        type: "progress",
+        data: { text, receivedChars: responseText.length },
+      };
+    }
 
-    // Add the model's response to the history for future context
-    history.push({ role: "model", parts: [{ text: result.text }] });
+    await recordUsage(session.ownerId, "message", request.model, usageMetadata);
+
+    let validated;
+    for await (const event of repairUntilValid(
+      request,
+      message.contentType,
+      responseText,
+      session.ownerId
+    )) {
+      if (event.type === "valid") {
+        validated = event.data;
+      } else {
+        yield event;
+      }
+    }
 
-    return modelResponseJson;
+    result = await finishMessage(message, prompt, validated);
   } catch (error) {
-    console.error(`Error in session ${sessionId}:`, error);
+    console.error(`Error in streaming session ${sessionId}:`, error);
+    if (error.expose) throw error;
     throw new Error("Failed to get a structured response from the AI model.");
   }
+
+  yield { type: "result", data: result };
 }
 
 /**
- * Generates an image using the Gemini model. (Stateless)
+ * Generates structured content for a single prompt without a session.
+ * Uses the same content-type registry as sendMessage.
+ * @param {string} prompt - The user's text prompt.
+ * @param {object|object[]} [files] - Optional file objects from multer.
+ * @param {object} [options]
+ * @param {string} [options.contentType] - Force a content type instead of detecting one.
+ * @param {object} [options.generation] - Generation overrides, as for sendMessage.
+ * @param {object} [options.templateVariables] - Prompt template variables, as for sendMessage.
+ * @param {string} [options.userId] - The user to bill the tokens to.
+ * @returns {Promise<object>} A promise that resolves to the parsed JSON object from the AI.
  */
-export async function generateImage(prompt) {
+export async function generateStructuredContent(prompt, files, options = {}) {
+  await assertWithinQuota(options.userId ?? ANONYMOUS_USER.id);
+  const selection = await selectContentType(
+    prompt,
+    options.contentType,
+    options.userId
+  );
+
   try {
-    const model = "gemini-2.5-flash-image-preview";
-
-    const response = await withRetry(() =>
-      ai.models.generateContent({
-        model: model,
-        contents: [{ role: "user", parts: [{ text: prompt }] }],
-        config: {
-          responseModalities: ["IMAGE"],
-        },
-      })
+    const generation = resolveGenerationSettings(
+      getContentType(selection.contentType),
+      options.generation
     );
-
-    const imagePart = response.candidates?.[0]?.content?.parts?.find(
-      (p) => p.inlineData
+    const instruction = await renderSystemInstruction(
+      getContentType(selection.contentType),
+      prompt,
+      { variables: options.templateVariables }
+    );
+    const attachments = await prepareFileParts(toUploadList(files), [], null);
+    const research = await researchFor(selection, prompt, options.userId);
+    const { contentType, request } = buildGenerationRequest(
+      [],
+      prompt,
+      attachments.parts,
+      selection,
+      {
+        generation,
+        instruction,
+        systemNotes: [research && toResearchNote(research)],
+      }
     );
 
-    if (imagePart && imagePart.inlineData.data) {
-      return imagePart.inlineData.data;
-    } else {
-      throw new Error("The AI model did not return a valid image.");
+    const result = await generate(request, {
+      userId: options.userId,
+      operation: "structured",
+    });
+
+    for await (const event of repairUntilValid(
+      request,
+      contentType,
+      result.text,
+      options.userId
+    )) {
+      if (event.type !== "valid") continue;
+      // Marks each of the response's `sources` as verified or not.
+      if (research) checkCitations(event.data.value, research);
+      return event.data.value;
     }
   } catch (error) {
-    console.error("Error in Gemini Image API call:", error);
-    throw new Error("Failed to generate image from the AI model.");
+    console.error("Error in Gemini Content Generation call:", error);
+    if (error.expose) throw error;
+    throw new Error(
+      "Failed to generate a structured response from the AI model."
+    );
+  }
+}
+
+/**
+ * Regenerates one element of a stored artifact (e.g. slide 3 of a
+ * presentation) following an instruction, and stores the result as a new
+ * version. The model sees the whole artifact for context but only returns
+ * the replacement element.
+ * @param {string} artifactId - The artifact ID.
+ * @param {{collection: string, position: number}} element - The element to regenerate (1-based position).
+ * @param {string} instruction - What to change.
+ * @param {object} [options]
+ * @param {object} [options.generation] - Generation overrides, as for sendMessage.
+ * @param {string} [options.userId] - The requesting user; must own the artifact.
+ * @returns {Promise<object>} The new version, with its content and diff.
+ */
+export async function regenerateArtifactElement(
+  artifactId,
+  element,
+  instruction,
+  options = {}
+) {
+  if (typeof instruction !== "string" || !instruction.trim()) {
+    throw httpError(400, "An 'instruction' is required.");
   }
+  const userId = options.userId ?? ANONYMOUS_USER.id;
+  const { contentType: typeName, sessionId } = await getArtifact(
+    artifactId,
+    userId
+  );
+  await assertWithinQuota(userId);
+  const contentType = getContentType(typeName);
+  const generation = resolveGenerationSettings(contentType, options.generation);
+
+  try {
+    const systemInstruction = await renderSystemInstruction(
+      contentType,
+      instruction,
+      { variables: options.templateVariables, sessionId }
+    );
+    return await reviseArtifactElement(
+      artifactId,
+      element,
+      async ({ content, element: current }) => {
+        const request = {
+          model: generation.model,
+          contents: [
+            {
+              role: "user",
+              parts: [
+                {
+                  text: `Here is the current ${contentType.name}:\n${JSON.stringify(content)}\n\nRewrite only ${element.collection} item ${element.position}:\n${JSON.stringify(current.value)}\n\nInstruction: ${instruction.trim()}\n\nReturn the new item alone as JSON. Keep its numbering and anything the instruction does not ask to change, and keep it consistent with the rest of the ${contentType.name}.`,
+                },
+              ],
+            },
+          ],
+          config: {
+            systemInstruction: systemInstruction.text,
+            responseMimeType: "application/json",
+            responseSchema: current.schema,
+            ...generation.config,
+          },
+        };
+        const result = await generate(request, {
+          userId,
+          operation: "regenerate",
+        });
+        for await (const event of repairUntilValid(
+          request,
+          contentType,
+          result.text,
+          userId
+        )) {
+          if (event.type === "valid") return event.data.value;
+        }
+      },
+      {
+        type: "regenerate",
+        instruction: instruction.trim(),
+        generation: generation.settings,
+        promptTemplate: systemInstruction.template,
+      },
+      userId
+    );
+  } catch (error) {
+    console.error(`Error regenerating artifact ${artifactId}:`, error);
+    if (error.expose) throw error;
+    throw new Error("Failed to regenerate the element with the AI model.");
+  }
+}
+
+/**
+ * Generates one or more images, optionally by editing reference images, and
+ * stores them so they can be fetched from `/api/images/:id`.
+ * @param {string} prompt - The image description (or, with references, the edit to make).
+ * @param {object} [options]
+ * @param {string} [options.model] - An image model from the catalogue (defaults to the catalogue's).
+ * @param {number} [options.variants] - How many alternatives to generate (default 1).
+ * @param {object|object[]} [options.referenceImages] - Uploaded images (multer files) to edit or draw on.
+ * @param {string[]} [options.referenceImageIds] - Stored images to edit or draw on.
+ * @param {string} [options.sessionId] - A chat session to file the images under; must be the user's.
+ * @param {string} [options.userId] - The requesting user, who owns the images.
+ * @returns {Promise<{images: object[], model: string}>} The stored images (with
+ *   `url`, `caption` and `variant`) and the model used.
+ */
+export async function generateImage(prompt, options = {}) {
+  const userId = options.userId ?? ANONYMOUS_USER.id;
+  await assertWithinQuota(userId);
+  if (options.sessionId) {
+    await requireOwnedSession(options.sessionId, userId);
+  }
+  const referenceImageIds = options.referenceImageIds ?? [];
+  const references = await prepareReferenceImages(
+    toUploadList(options.referenceImages),
+    referenceImageIds,
+    userId
+  );
+  return renderImages(prompt, references, options, {
+    ownerId: userId,
+    sessionId: options.sessionId,
+    referenceImageIds,
+  });
+}
+
+/**
+ * Generates illustrations for one element of a stored artifact, e.g. slide 3
+ * of a presentation. The images are filed under the artifact (and its
+ * session); the artifact's content is left unchanged.
+ * @param {string} artifactId - The artifact ID.
+ * @param {{collection: string, position: number}} element - The element to illustrate (1-based position).
+ * @param {object} [options]
+ * @param {string} [options.instruction] - Extra direction (style, subject, ...).
+ * @param {string} [options.model] - An image model from the catalogue.
+ * @param {number} [options.variants] - How many alternatives to generate (default 1).
+ * @param {string} [options.userId] - The requesting user; must own the artifact.
+ * @returns {Promise<{images: object[], model: string}>} The stored images and the model used.
+ */
+export async function illustrateArtifactElement(
+  artifactId,
+  element,
+  options = {}
+) {
+  const userId = options.userId ?? ANONYMOUS_USER.id;
+  await assertWithinQuota(userId);
+  const { artifact, value } = await getArtifactElement(
+    artifactId,
+    element,
+    userId
+  );
+
+  // Rendering markup says nothing about what to draw.
+  const { slideCode, ...subject } =
+    value && typeof value === "object" ? value : { text: value };
+  const prompt = [
+    `Create an illustration for ${element.collection} item ${element.position} of the ${artifact.contentType} "${artifact.title}":`,
+    JSON.stringify(subject),
+    options.instruction?.trim() && `Direction: ${options.instruction.trim()}`,
+    "Illustrate the ideas; do not render the text itself.",
+  ]
+    .filter(Boolean)
+    .join("\n\n");
+
+  return renderImages(prompt, [], options, {
+    ownerId: userId,
+    sessionId: artifact.sessionId,
+    artifact: {
+      id: artifact.id,
+      element: `${element.collection}/${element.position}`,
+    },
+  });
 }
@@ -0,0 +1,31 @@
+import { GoogleGenAI } from "@google/genai";
+import "dotenv/config";
+
+// --- Gemini API Client ---
+let client = null;
+
+/**
+ * Returns the shared GoogleGenAI client, creating it on first use.
+ * @returns {GoogleGenAI} The client.
+ */
+export function getGenAIClient() {
+  if (!client) {
+    const API_KEY = process.env.GEMINI_API_KEY;
+    if (!API_KEY) {
+      throw new Error(
+        "GEMINI_API_KEY is not set in the environment variables."
+      );
+    }
+    client = new GoogleGenAI({ apiKey: API_KEY });
+  }
+  return client;
+}
+
+/**
+ * Replaces the shared client, e.g. with a stub whose `models.generateContent`
+ * and `models.generateContentStream` return canned responses in tests.
+ * @param {object|null} stub - The replacement client, or null to reset.
+ */
+export function setGenAIClient(stub) {
+  client = stub;
+}
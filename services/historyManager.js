@@ -0,0 +1,283 @@
+import "dotenv/config";
+import { withRetry } from "../utils/withRetry.js";
+import { isFileExpired, resolveFileRefs } from "./fileService.js";
+import { getLLMProvider } from "./llmProviders/index.js";
+import { recordUsage } from "./usageService.js";
+
+// --- Configuration ---
+
+/*
+ * A history policy controls how much of a session is sent to the model:
+ *   maxTokens        - estimated token budget for the history (excluding the new message)
+ *   keepRecentTurns  - turns that are always sent verbatim
+ *   inlineFileTurns  - how many of the latest turns keep their uploaded files inline;
+ *                      older inline files are replaced with a short text reference
+ *                      (Files API uploads are sent by URI until they expire)
+ *   summarize        - fold older turns into a summary (true) or just drop them (false)
+ *
+ * The defaults below can be overridden per content type, either with a
+ * `historyPolicy` on the registry entry or with HISTORY_POLICIES, a JSON
+ * object keyed by content type name (e.g. {"quiz":{"maxTokens":20000}}).
+ */
+const DEFAULT_POLICY = {
+  maxTokens: Number(process.env.HISTORY_TOKEN_BUDGET || 100000),
+  keepRecentTurns: Number(process.env.HISTORY_KEEP_RECENT_TURNS || 4),
+  inlineFileTurns: Number(process.env.HISTORY_INLINE_FILE_TURNS || 1),
+  summarize: process.env.HISTORY_SUMMARIZE !== "false",
+};
+const POLICY_OVERRIDES = parsePolicyOverrides(process.env.HISTORY_POLICIES);
+const SUMMARY_MODEL =
+  process.env.HISTORY_SUMMARY_MODEL || "gemini-2.5-flash-lite";
+
+/**
+ * Parses HISTORY_POLICIES, naming the setting when it isn't a JSON object
+ * rather than failing with a bare SyntaxError.
+ */
+function parsePolicyOverrides(value) {
+  if (!value) return {};
+  let parsed;
+  try {
+    parsed = JSON.parse(value);
+  } catch (error) {
+    throw new Error(`HISTORY_POLICIES is not valid JSON: ${error.message}`);
+  }
+  if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+    throw new Error(
+      'HISTORY_POLICIES must be a JSON object keyed by content type name, e.g. {"quiz":{"maxTokens":20000}}.'
+    );
+  }
+  return parsed;
+}
+
+// Rough token costs: ~4 characters per text token, and a flat cost per image.
+const CHARS_PER_TOKEN = 4;
+const IMAGE_TOKENS = 258;
+
+// --- Helper Functions ---
+
+/**
+ * Estimates the tokens a single message part will cost.
+ */
+function estimatePartTokens(part) {
+  if (typeof part.text === "string") {
+    return Math.ceil(part.text.length / CHARS_PER_TOKEN);
+  }
+  if (part.inlineData) {
+    if (part.inlineData.mimeType?.startsWith("image/")) return IMAGE_TOKENS;
+    // Decoded size of the base64 payload, treated like text.
+    const bytes = Math.floor((part.inlineData.data?.length ?? 0) * 0.75);
+    return Math.ceil(bytes / CHARS_PER_TOKEN);
+  }
+  return IMAGE_TOKENS;
+}
+
+/**
+ * Estimates the tokens a list of messages will cost.
+ * @param {object[]} contents - Gemini-style messages ({ role, parts }).
+ * @returns {number} The estimated token count.
+ */
+export function estimateTokens(contents) {
+  return contents.reduce(
+    (sum, message) =>
+      sum +
+      (message.parts ?? []).reduce(
+        (partSum, part) => partSum + estimatePartTokens(part),
+        0
+      ),
+    0
+  );
+}
+
+/**
+ * Groups a history into turns, each starting with a user message.
+ */
+function toTurns(history) {
+  const turns = [];
+  for (const message of history) {
+    if (message.role === "user" || turns.length === 0) {
+      turns.push([message]);
+    } else {
+      turns[turns.length - 1].push(message);
+    }
+  }
+  return turns;
+}
+
+/**
+ * Replaces the file parts of a message selected by `shouldOmit` with a short
+ * text reference.
+ * @returns {{message: object, omitted: number}}
+ */
+function omitFiles(message, shouldOmit) {
+  let omitted = 0;
+  const parts = message.parts.map((part) => {
+    if (!shouldOmit(part)) return part;
+    omitted++;
+    const { mimeType } = part.inlineData ?? part.fileData;
+    return {
+      text: `[An earlier attachment (${mimeType}) was sent here; its content is no longer included.]`,
+    };
+  });
+  return { message: { ...message, parts }, omitted };
+}
+
+/**
+ * Renders turns as plain text for the summarizer, leaving out file data.
+ */
+function turnsToTranscript(turns) {
+  return turns
+    .flat()
+    .map((message) => {
+      const text = message.parts
+        .map((part) =>
+          typeof part.text === "string" ? part.text : "[attachment]"
+        )
+        .join("\n");
+      return `${message.role === "model" ? "Assistant" : "User"}: ${text}`;
+    })
+    .join("\n\n");
+}
+
+/**
+ * Asks a cheap model to fold older turns into the running summary.
+ */
+async function summarizeTurns(previousSummary, turns, userId) {
+  const result = await withRetry(
+    () =>
+      getLLMProvider().generateContent({
+        model: SUMMARY_MODEL,
+        contents: [
+          {
+            role: "user",
+            parts: [
+              {
+                text: `${
+                  previousSummary
+                    ? `Summary so far:\n${previousSummary}\n\n`
+                    : ""
+                }New conversation turns:\n${turnsToTranscript(turns)}`,
+              },
+            ],
+          },
+        ],
+        config: {
+          systemInstruction:
+            "You maintain a compact running summary of a conversation between a user and an assistant that produces structured content (presentations, documents, lesson plans, quizzes). Merge the new turns into the summary. Keep the user's goals, constraints, preferences, decisions and the titles/key points of generated content. Write at most 250 words of plain text.",
+          temperature: 0.2,
+        },
+      }),
+    3,
+    1000
+  );
+  await recordUsage(userId, "summary", SUMMARY_MODEL, result.usageMetadata);
+  return result.text.trim();
+}
+
+// --- Main Functions ---
+
+/**
+ * Resolves the history policy for a content type.
+ * @param {object} contentType - The content type definition.
+ * @returns {object} The effective policy.
+ */
+export function resolveHistoryPolicy(contentType) {
+  return {
+    ...DEFAULT_POLICY,
+    ...contentType.historyPolicy,
+    ...POLICY_OVERRIDES[contentType.name],
+  };
+}
+
+/**
+ * Builds the history to send for the next message within the content type's
+ * budget. Old inline files and expired Files API uploads are replaced with
+ * text references; once the budget is crossed, older turns are folded into
+ * `session.contextSummary` (persisted with the session) or, if summarizing is
+ * off or fails, dropped.
+ * @param {object} session - The session; `contextSummary` may be updated in place.
+ * @param {object} contentType - The content type definition.
+ * @param {string} [userId] - The user to bill summary calls to.
+ * @returns {Promise<{contents: object[], systemNote: string|null, stats: object}>}
+ */
+export async function prepareHistory(session, contentType, userId) {
+  const policy = resolveHistoryPolicy(contentType);
+  const allTurns = toTurns(resolveFileRefs(session.history, session.files));
+  const summary = session.contextSummary;
+
+  // Turns already folded into the summary are never sent again.
+  const summarizedCount = Math.min(summary?.turnCount ?? 0, allTurns.length);
+  let turns = allTurns.slice(summarizedCount);
+
+  // --- Replace old inline files and expired uploads with references ---
+  const expiredUris = new Set(
+    (session.files ?? []).filter(isFileExpired).map((file) => file.uri)
+  );
+  let omittedFiles = 0;
+  turns = turns.map((turn, index) => {
+    const keepInline = index >= turns.length - policy.inlineFileTurns;
+    const shouldOmit = (part) =>
+      (part.inlineData && !keepInline) ||
+      (part.fileData && expiredUris.has(part.fileData.fileUri));
+    return turn.map((message) => {
+      const result = omitFiles(message, shouldOmit);
+      omittedFiles += result.omitted;
+      return result.message;
+    });
+  });
+
+  let summaryText = summary?.text ?? null;
+  let newlySummarized = 0;
+  let droppedTurns = 0;
+
+  // --- Fold or drop older turns once the budget is crossed ---
+  if (estimateTokens(turns.flat()) > policy.maxTokens) {
+    const keep = Math.max(1, policy.keepRecentTurns);
+    const older = turns.slice(0, Math.max(0, turns.length - keep));
+
+    if (older.length > 0) {
+      if (policy.summarize) {
+        try {
+          summaryText = await summarizeTurns(summaryText, older, userId);
+          newlySummarized = older.length;
+          session.contextSummary = {
+            text: summaryText,
+            turnCount: summarizedCount + older.length,
+            updatedAt: new Date().toISOString(),
+          };
+        } catch (error) {
+          console.warn("History summarization failed:", error.message);
+          droppedTurns = older.length;
+        }
+      } else {
+        droppedTurns = older.length;
+      }
+      turns = turns.slice(older.length);
+    }
+
+    // Recent turns alone may still be too large; drop the oldest of them.
+    while (
+      turns.length > 1 &&
+      estimateTokens(turns.flat()) > policy.maxTokens
+    ) {
+      turns = turns.slice(1);
+      droppedTurns++;
+    }
+  }
+
+  const contents = turns.flat();
+  return {
+    contents,
+    systemNote: summaryText
+      ? `Summary of the earlier conversation (older turns are not included verbatim):\n${summaryText}`
+      : null,
+    stats: {
+      estimatedTokens: estimateTokens(contents),
+      tokenBudget: policy.maxTokens,
+      sentTurns: turns.length,
+      summarizedTurns: session.contextSummary?.turnCount ?? 0,
+      newlySummarizedTurns: newlySummarized,
+      droppedTurns,
+      omittedFiles,
+    },
+  };
+}
@@ -0,0 +1,212 @@
+import { createHmac, randomBytes, randomUUID, timingSafeEqual } from "crypto";
+import "dotenv/config";
+import fs from "fs/promises";
+import { dirname, join, resolve } from "path";
+import { fileURLToPath } from "url";
+import { httpError } from "../utils/httpError.js";
+import { ANONYMOUS_USER } from "./authService.js";
+import { createRecordStore } from "./storage/index.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+// --- Configuration ---
+// Generated images are kept on disk: `<id>.<ext>` holds the bytes and
+// `<id>.json` the record describing them.
+const IMAGE_DIR = process.env.IMAGE_STORE_DIR
+  ? resolve(process.env.IMAGE_STORE_DIR)
+  : join(__dirname, "..", "data", "images");
+
+// Image URLs are signed so an <img> can load them without an Authorization
+// header. Without IMAGE_URL_SECRET a random key is used, so URLs stop working
+// when the server restarts; fetch them again from /api/images.
+const URL_SECRET = process.env.IMAGE_URL_SECRET || randomBytes(32);
+const URL_TTL_SECONDS = Number(process.env.IMAGE_URL_TTL_SECONDS || 3600);
+
+const EXTENSIONS = {
+  "image/png": "png",
+  "image/jpeg": "jpg",
+  "image/webp": "webp",
+  "image/gif": "gif",
+};
+
+// Always a file store: the records must survive as long as the image files.
+const images = createRecordStore("images", { kind: "file", dir: IMAGE_DIR });
+
+// --- Helper Functions ---
+
+/**
+ * Returns the path of an image's bytes.
+ */
+function filePathFor(image) {
+  return join(IMAGE_DIR, `${image.id}.${EXTENSIONS[image.mimeType] ?? "bin"}`);
+}
+
+/**
+ * Signs an image ID and expiry time (Unix seconds).
+ */
+function signatureFor(imageId, expires) {
+  return createHmac("sha256", URL_SECRET)
+    .update(`${imageId}:${expires}`)
+    .digest("base64url");
+}
+
+/**
+ * Builds a short-lived URL that serves an image's bytes to anyone holding it.
+ * @returns {{url: string, expiresAt: string}}
+ */
+function signedUrlFor(imageId) {
+  const expires = Math.floor(Date.now() / 1000) + URL_TTL_SECONDS;
+  const signature = signatureFor(imageId, expires);
+  return {
+    url: `/api/images/${imageId}?expires=${expires}&signature=${signature}`,
+    expiresAt: new Date(expires * 1000).toISOString(),
+  };
+}
+
+/**
+ * Reads an image's bytes from disk, or throws a 404 if the file is missing.
+ */
+async function readImageFile(image) {
+  try {
+    return await fs.readFile(filePathFor(image));
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      throw httpError(404, `Image '${image.id}' has no stored file.`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Describes an image for API responses; the bytes are served from `url`, a
+ * signed link that works without credentials until `urlExpiresAt`.
+ * @param {object} image - The stored image record.
+ * @returns {object} The description.
+ */
+export function describeImage(image) {
+  const link = signedUrlFor(image.id);
+  return {
+    id: image.id,
+    url: link.url,
+    urlExpiresAt: link.expiresAt,
+    mimeType: image.mimeType,
+    sizeBytes: image.sizeBytes,
+    caption: image.caption ?? null,
+    prompt: image.prompt,
+    model: image.model,
+    sessionId: image.sessionId ?? null,
+    ...(image.artifact && { artifact: image.artifact }),
+    ...(image.referenceImageIds?.length && {
+      referenceImageIds: image.referenceImageIds,
+    }),
+    createdAt: image.createdAt,
+  };
+}
+
+// --- Main Functions ---
+
+/**
+ * Writes a generated image to disk.
+ * @param {object} details
+ * @param {string} details.data - The image bytes, base64-encoded.
+ * @param {string} details.mimeType - The image's MIME type.
+ * @param {string} details.ownerId - The user who may read it.
+ * @param {string} details.prompt - The prompt that produced it.
+ * @param {string} details.model - The model that produced it.
+ * @param {string} [details.caption] - Text the model returned with it.
+ * @param {string} [details.sessionId] - The chat session it belongs to.
+ * @param {{id: string, element: string}} [details.artifact] - The artifact element it illustrates.
+ * @param {string[]} [details.referenceImageIds] - Stored images it was edited from.
+ * @returns {Promise<object>} The stored image record.
+ */
+export async function saveImage({ data, mimeType, ...details }) {
+  const bytes = Buffer.from(data, "base64");
+  const image = {
+    id: randomUUID(),
+    ownerId: details.ownerId ?? ANONYMOUS_USER.id,
+    mimeType,
+    sizeBytes: bytes.length,
+    prompt: details.prompt,
+    model: details.model,
+    caption: details.caption || null,
+    sessionId: details.sessionId ?? null,
+    artifact: details.artifact ?? null,
+    referenceImageIds: details.referenceImageIds ?? [],
+    createdAt: new Date().toISOString(),
+  };
+  await fs.mkdir(IMAGE_DIR, { recursive: true });
+  await fs.writeFile(filePathFor(image), bytes);
+  return images.create(image);
+}
+
+/**
+ * Loads an image record on behalf of a user, or throws a 404/403.
+ * @param {string} imageId - The image ID.
+ * @param {string} [userId] - The requesting user's ID.
+ * @returns {Promise<object>} The image record.
+ */
+export async function getImage(imageId, userId = ANONYMOUS_USER.id) {
+  const image = await images.get(imageId);
+  if (!image) {
+    throw httpError(404, `Image '${imageId}' was not found.`);
+  }
+  if (image.ownerId !== userId) {
+    throw httpError(403, "You do not have access to this image.");
+  }
+  return image;
+}
+
+/**
+ * Reads an image's bytes on behalf of a user.
+ * @param {string} imageId - The image ID.
+ * @param {string} [userId] - The requesting user's ID.
+ * @returns {Promise<{image: object, data: Buffer}>} The record and its bytes.
+ */
+export async function readImage(imageId, userId) {
+  const image = await getImage(imageId, userId);
+  return { image, data: await readImageFile(image) };
+}
+
+/**
+ * Reads an image's bytes through a signed URL (see describeImage), without
+ * credentials. Throws a 403 if the signature is wrong or has expired.
+ * @param {string} imageId - The image ID.
+ * @param {string} expires - The URL's `expires` parameter (Unix seconds).
+ * @param {string} signature - The URL's `signature` parameter.
+ * @returns {Promise<{image: object, data: Buffer}>} The record and its bytes.
+ */
+export async function readSignedImage(imageId, expires, signature) {
+  const expected = Buffer.from(signatureFor(imageId, expires));
+  const given = Buffer.from(String(signature));
+  if (given.length !== expected.length || !timingSafeEqual(given, expected)) {
+    throw httpError(403, "The image link is not valid.");
+  }
+  if (!(Number(expires) * 1000 > Date.now())) {
+    throw httpError(403, "The image link has expired.");
+  }
+  const image = await images.get(imageId);
+  if (!image) {
+    throw httpError(404, `Image '${imageId}' was not found.`);
+  }
+  return { image, data: await readImageFile(image) };
+}
+
+/**
+ * Lists a user's images, newest first.
+ * @param {string} [userId] - The requesting user's ID.
+ * @param {object} [filter]
+ * @param {string} [filter.sessionId] - Only images generated in this session.
+ * @param {string} [filter.artifactId] - Only illustrations of this artifact.
+ * @returns {Promise<object[]>} Image descriptions.
+ */
+export async function listImages(userId = ANONYMOUS_USER.id, filter = {}) {
+  return (await images.list())
+    .filter(
+      (image) =>
+        image.ownerId === userId &&
+        (!filter.sessionId || image.sessionId === filter.sessionId) &&
+        (!filter.artifactId || image.artifact?.id === filter.artifactId)
+    )
+    .sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt))
+    .map(describeImage);
+}
@@ -0,0 +1,235 @@
+import { randomUUID } from "crypto";
+import "dotenv/config";
+import { httpError } from "../../utils/httpError.js";
+import { ANONYMOUS_USER } from "../authService.js";
+import { sendMessage } from "../geminiService.js";
+import { createRecordStore } from "../storage/index.js";
+import { deliverWebhook, validateCallbackUrl } from "./webhooks.js";
+
+// --- Configuration ---
+// How many jobs run at the same time; the rest wait in the queue.
+const JOB_CONCURRENCY = Number(process.env.JOB_CONCURRENCY || 2);
+// How many jobs may wait in the queue; new jobs are refused with a 503 beyond
+// that.
+const JOB_QUEUE_MAX = Number(process.env.JOB_QUEUE_MAX || 100);
+// Suggested wait (Retry-After) when the queue is full.
+const JOB_QUEUE_RETRY_AFTER_SECONDS = 30;
+// Finished jobs (and their results) are deleted after this long.
+const JOB_RETENTION_MS =
+  Number(process.env.JOB_RETENTION_HOURS || 24) * 60 * 60 * 1000;
+const JOB_SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+// Jobs are persisted when DATA_STORE is "file", so a restart picks up
+// queued and interrupted jobs again.
+const jobs = createRecordStore("jobs");
+
+const queue = [];
+let running = 0;
+
+// --- Job Handlers ---
+/*
+ * A handler runs one job type: handler(input, ownerId) resolves to the
+ * job's result, which must be JSON-serialisable.
+ */
+const HANDLERS = {
+  // An async send-message; the result has the same shape as the sync response.
+  async message({ sessionId, prompt, options }, ownerId) {
+    const { response, meta } = await sendMessage(sessionId, prompt, [], {
+      ...options,
+      userId: ownerId,
+    });
+    return { ...response, meta };
+  },
+};
+
+// --- Helper Functions ---
+
+/**
+ * Describes a job for API responses and webhooks (without its input).
+ */
+function describeJob(job) {
+  return {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    sessionId: job.input.sessionId ?? null,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt ?? null,
+    finishedAt: job.finishedAt ?? null,
+    ...(job.status === "succeeded" && { result: job.result }),
+    ...(job.status === "failed" && { error: job.error }),
+    ...(job.callbackUrl && { webhook: job.webhook ?? null }),
+  };
+}
+
+/**
+ * Sends the completion webhook, if the job has a callback URL, and stores
+ * the delivery outcome on the job.
+ */
+async function notify(job) {
+  if (!job.callbackUrl) return;
+  job.webhook = await deliverWebhook(job.callbackUrl, {
+    event: `job.${job.status}`,
+    job: describeJob(job),
+  });
+  await jobs.save(job);
+}
+
+/**
+ * Runs one job to completion and records its result or error.
+ */
+async function runJob(jobId) {
+  const job = await jobs.get(jobId);
+  if (!job || (job.status !== "queued" && job.status !== "running")) return;
+
+  job.status = "running";
+  job.startedAt = new Date().toISOString();
+  await jobs.save(job);
+
+  try {
+    job.result = await HANDLERS[job.type](job.input, job.ownerId);
+    job.status = "succeeded";
+  } catch (error) {
+    console.error(`Job ${job.id} failed:`, error.message);
+    job.status = "failed";
+    job.error = {
+      message: error.message || "The job failed.",
+      status: error.status || 500,
+      ...(error.details && { details: error.details }),
+    };
+  }
+  job.finishedAt = new Date().toISOString();
+  await jobs.save(job);
+  await notify(job);
+}
+
+/**
+ * Starts queued jobs while there is spare capacity.
+ */
+function drainQueue() {
+  while (running < JOB_CONCURRENCY && queue.length > 0) {
+    const jobId = queue.shift();
+    running++;
+    runJob(jobId)
+      .catch((error) => console.error(`Job ${jobId} crashed:`, error))
+      .finally(() => {
+        running--;
+        drainQueue();
+      });
+  }
+}
+
+/**
+ * Adds a job to the in-process queue.
+ */
+function enqueue(jobId) {
+  queue.push(jobId);
+  drainQueue();
+}
+
+// --- Main Functions ---
+
+/**
+ * Throws a 503 (with `retryAfter` seconds) when the queue has no room for
+ * another job, so callers can check before doing any work for one.
+ */
+export function assertQueueCapacity() {
+  if (queue.length >= JOB_QUEUE_MAX) {
+    const error = httpError(
+      503,
+      "Too many jobs are waiting. Try again later.",
+      { retryAfterSeconds: JOB_QUEUE_RETRY_AFTER_SECONDS }
+    );
+    error.retryAfter = JOB_QUEUE_RETRY_AFTER_SECONDS;
+    throw error;
+  }
+}
+
+/**
+ * Creates a job and queues it.
+ * @param {string} type - The job type (currently "message").
+ * @param {object} input - The handler's input.
+ * @param {object} [options]
+ * @param {string} [options.userId] - The user the job runs as and who may read it.
+ * @param {string} [options.callbackUrl] - Receives a signed webhook when the job finishes.
+ * @returns {Promise<object>} The job description.
+ * @throws A 503 with `retryAfter` when the queue is full.
+ */
+export async function createJob(type, input, options = {}) {
+  if (!HANDLERS[type]) {
+    throw new Error(`Unknown job type '${type}'.`);
+  }
+  assertQueueCapacity();
+  const job = await jobs.create({
+    id: randomUUID(),
+    type,
+    status: "queued",
+    ownerId: options.userId ?? ANONYMOUS_USER.id,
+    input,
+    callbackUrl: await validateCallbackUrl(options.callbackUrl),
+    createdAt: new Date().toISOString(),
+  });
+  enqueue(job.id);
+  return describeJob(job);
+}
+
+/**
+ * Fetches a job on behalf of a user, or throws a 404/403.
+ * @param {string} jobId - The job ID.
+ * @param {string} [userId] - The requesting user's ID.
+ * @returns {Promise<object>} The job description, with the result once finished.
+ */
+export async function getJob(jobId, userId = ANONYMOUS_USER.id) {
+  const job = await jobs.get(jobId);
+  if (!job) {
+    throw httpError(404, `Job '${jobId}' was not found.`);
+  }
+  if (job.ownerId !== userId) {
+    throw httpError(403, "You do not have access to this job.");
+  }
+  return describeJob(job);
+}
+
+/**
+ * Re-queues jobs that were queued or running when the server stopped.
+ * Interrupted jobs run again from the start; a message is only added to its
+ * session once generation has finished, so nothing is recorded twice.
+ * @returns {Promise<number>} The number of jobs resumed.
+ */
+export async function resumePendingJobs() {
+  const pending = (await jobs.list())
+    .filter((job) => job.status === "queued" || job.status === "running")
+    .sort((a, b) => Date.parse(a.createdAt) - Date.parse(b.createdAt));
+  pending.forEach((job) => enqueue(job.id));
+  return pending.length;
+}
+
+/**
+ * Deletes finished jobs older than the retention period.
+ * @returns {Promise<number>} The number of jobs removed.
+ */
+export async function sweepFinishedJobs() {
+  const cutoff = Date.now() - JOB_RETENTION_MS;
+  let removed = 0;
+  for (const job of await jobs.list()) {
+    if (job.finishedAt && Date.parse(job.finishedAt) < cutoff) {
+      await jobs.delete(job.id);
+      removed++;
+    }
+  }
+  return removed;
+}
+
+resumePendingJobs()
+  .then((count) => {
+    if (count > 0) console.log(`Resumed ${count} pending job(s).`);
+  })
+  .catch((error) => console.error("Failed to resume pending jobs:", error));
+
+const sweeper = setInterval(() => {
+  sweepFinishedJobs().catch((error) =>
+    console.error("Job sweep failed:", error)
+  );
+}, JOB_SWEEP_INTERVAL_MS);
+// Don't keep the process alive just for the sweeper.
+sweeper.unref();
@@ -0,0 +1,240 @@
+import { createHmac, randomUUID } from "crypto";
+import "dotenv/config";
+import { lookup } from "dns/promises";
+import http from "http";
+import https from "https";
+import { BlockList, isIP } from "net";
+import { httpError } from "../../utils/httpError.js";
+
+// --- Configuration ---
+// Webhooks are signed with this secret; without it callback URLs are refused.
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET;
+const WEBHOOK_TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS || 10000);
+const WEBHOOK_MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS || 3);
+const WEBHOOK_RETRY_DELAY_MS = 1000;
+// Comma-separated host names that callbacks may target even when they resolve
+// to a private address (e.g. an internal worker). Every other host must
+// resolve to public addresses only.
+const WEBHOOK_ALLOWED_HOSTS = new Set(
+  (process.env.WEBHOOK_ALLOWED_HOSTS || "")
+    .split(",")
+    .map((host) => host.trim().toLowerCase())
+    .filter(Boolean)
+);
+
+// Loopback, private, link-local (incl. cloud metadata at 169.254.169.254),
+// shared, multicast and reserved ranges: nothing a client should make the
+// server call. BlockList checks IPv4-mapped IPv6 addresses (::ffff:127.0.0.1,
+// ::ffff:7f00:1) against the IPv4 ranges; IPv4-compatible and NAT64 addresses
+// embed an IPv4 address too and are refused outright.
+const BLOCKED_ADDRESSES = new BlockList();
+for (const [network, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, "ipv4");
+}
+for (const [network, prefix] of [
+  ["::", 96],
+  ["::1", 128],
+  ["64:ff9b::", 96],
+  ["64:ff9b:1::", 48],
+  ["100::", 64],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, "ipv6");
+}
+
+// --- Helper Functions ---
+
+/**
+ * Signs `${timestamp}.${body}` with HMAC-SHA256. Receivers recompute it with
+ * the shared secret and should reject old timestamps to stop replays.
+ */
+function sign(timestamp, body) {
+  return createHmac("sha256", WEBHOOK_SECRET)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+}
+
+/**
+ * Tells whether an IP address is one callbacks must not reach.
+ */
+function isBlockedAddress(address) {
+  return BLOCKED_ADDRESSES.check(
+    address,
+    isIP(address) === 6 ? "ipv6" : "ipv4"
+  );
+}
+
+/**
+ * Resolves a callback URL's host and throws a 400 if it is not allow-listed
+ * and any of its addresses is loopback, private, link-local or reserved.
+ * @returns {Promise<Array<{address: string, family: number}>|null>} The checked
+ *   addresses, or null for an allow-listed host (resolved normally).
+ */
+async function resolvePublicHost(parsed) {
+  const host = parsed.hostname.replace(/^\[|\]$/g, "").toLowerCase();
+  if (WEBHOOK_ALLOWED_HOSTS.has(host)) return null;
+  if (WEBHOOK_ALLOWED_HOSTS.size > 0) {
+    throw httpError(
+      400,
+      "'callbackUrl' must point to one of the hosts allowed on this server."
+    );
+  }
+
+  let addresses;
+  try {
+    addresses = isIP(host)
+      ? [{ address: host, family: isIP(host) }]
+      : await lookup(host, { all: true, verbatim: true });
+  } catch {
+    throw httpError(400, "'callbackUrl' has a host that cannot be resolved.");
+  }
+  if (addresses.some(({ address }) => isBlockedAddress(address))) {
+    throw httpError(
+      400,
+      "'callbackUrl' must not point to a loopback, private or link-local address."
+    );
+  }
+  return addresses;
+}
+
+/**
+ * Builds a `lookup` for http(s).request that answers with the addresses
+ * already checked, so a DNS change between the check and the connect
+ * (rebinding) can't redirect the request to an internal host.
+ */
+function pinnedLookup(addresses) {
+  return (hostname, options, callback) => {
+    if (options.all) {
+      callback(null, addresses);
+    } else {
+      callback(null, addresses[0].address, addresses[0].family);
+    }
+  };
+}
+
+/**
+ * POSTs the payload once to the checked addresses. Redirects are not followed
+ * (a public host could redirect to an internal one), so any non-2xx response,
+ * 3xx included, throws, as do network errors and timeouts.
+ */
+function postOnce(url, addresses, deliveryId, body) {
+  const timestamp = Math.floor(Date.now() / 1000);
+  const parsed = new URL(url);
+  const transport = parsed.protocol === "https:" ? https : http;
+  return new Promise((resolve, reject) => {
+    const request = transport.request(
+      parsed,
+      {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "Content-Length": Buffer.byteLength(body),
+          "X-Webhook-Id": deliveryId,
+          "X-Webhook-Timestamp": String(timestamp),
+          "X-Webhook-Signature": `sha256=${sign(timestamp, body)}`,
+        },
+        ...(addresses && { lookup: pinnedLookup(addresses) }),
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+      },
+      (response) => {
+        response.resume();
+        if (response.statusCode >= 200 && response.statusCode < 300) {
+          resolve();
+        } else {
+          reject(
+            new Error(`Callback responded with HTTP ${response.statusCode}.`)
+          );
+        }
+      }
+    );
+    request.on("error", reject);
+    request.end(body);
+  });
+}
+
+// --- Main Functions ---
+
+/**
+ * Checks a client-supplied callback URL before a job is accepted: it must be
+ * http(s) and, unless its host is in WEBHOOK_ALLOWED_HOSTS, resolve only to
+ * public addresses.
+ * @param {string} [url] - The callback URL.
+ * @returns {Promise<string|null>} The normalized URL, or null when none was given.
+ */
+export async function validateCallbackUrl(url) {
+  if (!url) return null;
+  if (!WEBHOOK_SECRET) {
+    throw httpError(
+      400,
+      "Callbacks are not enabled on this server (WEBHOOK_SECRET is not set)."
+    );
+  }
+  let parsed;
+  try {
+    parsed = new URL(String(url));
+  } catch {
+    throw httpError(400, "'callbackUrl' must be a valid URL.");
+  }
+  if (parsed.protocol !== "http:" && parsed.protocol !== "https:") {
+    throw httpError(400, "'callbackUrl' must be an http(s) URL.");
+  }
+  await resolvePublicHost(parsed);
+  return parsed.toString();
+}
+
+/**
+ * Delivers a signed webhook, retrying with backoff. Never throws: the outcome
+ * is returned so it can be stored on the job (without the failure's details).
+ * @param {string} url - The callback URL.
+ * @param {object} payload - The JSON body.
+ * @returns {Promise<{id: string, delivered: boolean, attempts: number, deliveredAt?: string, error?: string}>}
+ */
+export async function deliverWebhook(url, payload) {
+  const id = randomUUID();
+  const body = JSON.stringify(payload);
+  let lastError;
+  for (let attempt = 1; attempt <= WEBHOOK_MAX_ATTEMPTS; attempt++) {
+    try {
+      // Checked again at delivery (DNS may have changed since the job was
+      // accepted), and the request connects to exactly the addresses checked.
+      const addresses = await resolvePublicHost(new URL(url));
+      await postOnce(url, addresses, id, body);
+      return {
+        id,
+        delivered: true,
+        attempts: attempt,
+        deliveredAt: new Date().toISOString(),
+      };
+    } catch (error) {
+      lastError = error;
+      if (attempt < WEBHOOK_MAX_ATTEMPTS) {
+        await new Promise((resolve) =>
+          setTimeout(resolve, WEBHOOK_RETRY_DELAY_MS * 2 ** (attempt - 1))
+        );
+      }
+    }
+  }
+  // The reason stays in the server log: the job is visible to the caller, and
+  // what the callback host answered would let it probe other hosts.
+  console.error(`Webhook ${id} to ${url} failed:`, lastError.message);
+  return {
+    id,
+    delivered: false,
+    attempts: WEBHOOK_MAX_ATTEMPTS,
+    error: "The callback could not be delivered.",
+  };
+}
@@ -0,0 +1,72 @@
+// --- Text Chunking ---
+
+/**
+ * Splits an over-long paragraph into overlapping slices, preferring to cut
+ * at sentence ends.
+ */
+function splitLongParagraph(paragraph, maxChars, overlapChars) {
+  const slices = [];
+  let start = 0;
+  while (start < paragraph.length) {
+    let end = Math.min(start + maxChars, paragraph.length);
+    if (end < paragraph.length) {
+      const sentenceEnd = paragraph.lastIndexOf(". ", end);
+      if (sentenceEnd > start + maxChars / 2) end = sentenceEnd + 1;
+    }
+    slices.push(paragraph.slice(start, end).trim());
+    if (end >= paragraph.length) break;
+    start = Math.max(end - overlapChars, start + 1);
+  }
+  return slices;
+}
+
+/**
+ * Splits extracted document text into chunks for embedding. Chunks never
+ * span a Markdown heading (a section, slide or sheet from ./textExtractors),
+ * and each chunk remembers the heading it sits under so it can be cited.
+ * @param {string} text - The document text.
+ * @param {object} options
+ * @param {number} options.maxChars - The target maximum chunk length.
+ * @param {number} options.overlapChars - Overlap between slices of a long paragraph.
+ * @returns {{heading: string|null, text: string}[]} The chunks, in document order.
+ */
+export function chunkText(text, { maxChars, overlapChars }) {
+  const chunks = [];
+  let heading = null;
+  let buffer = [];
+
+  const flush = () => {
+    const body = buffer.join("\n\n").trim();
+    if (body) chunks.push({ heading, text: body });
+    buffer = [];
+  };
+
+  for (const block of text.split(/\n\s*\n/)) {
+    const paragraph = block.trim();
+    if (!paragraph) continue;
+
+    const headingMatch = paragraph.split("\n")[0].match(/^#{1,6}\s+(.+)$/);
+    if (headingMatch) {
+      flush();
+      heading = headingMatch[1].trim();
+    }
+
+    if (paragraph.length > maxChars) {
+      flush();
+      for (const slice of splitLongParagraph(
+        paragraph,
+        maxChars,
+        overlapChars
+      )) {
+        chunks.push({ heading, text: slice });
+      }
+      continue;
+    }
+
+    const length = buffer.reduce((sum, part) => sum + part.length + 2, 0);
+    if (length + paragraph.length > maxChars) flush();
+    buffer.push(paragraph);
+  }
+  flush();
+  return chunks;
+}
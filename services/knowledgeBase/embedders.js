@@ -0,0 +1,113 @@
+import "dotenv/config";
+import { withRetry } from "../../utils/withRetry.js";
+import { getLLMProvider } from "../llmProviders/index.js";
+
+// --- Configuration ---
+const EMBEDDING_MODEL =
+  process.env.KB_EMBEDDING_MODEL || "gemini-embedding-001";
+const EMBEDDING_DIMENSIONS = Number(process.env.KB_EMBEDDING_DIMENSIONS || 768);
+const LOCAL_DIMENSIONS = 512;
+// The embedding API accepts at most this many texts per call.
+const BATCH_SIZE = 100;
+
+// --- Helper Functions ---
+
+/**
+ * Scales a vector to unit length so a dot product is the cosine similarity.
+ */
+function normalize(vector) {
+  const length = Math.sqrt(
+    vector.reduce((sum, value) => sum + value * value, 0)
+  );
+  return length ? vector.map((value) => value / length) : vector;
+}
+
+/**
+ * 32-bit FNV-1a hash of a string.
+ */
+function hash(text) {
+  let value = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    value ^= text.charCodeAt(i);
+    value = Math.imul(value, 0x01000193);
+  }
+  return value >>> 0;
+}
+
+// --- Embedders ---
+/*
+ * An embedder is { name, model, embed(texts, { task }) } where `task` is
+ * "document" or "query" and `embed` resolves to one unit vector per text.
+ */
+
+/**
+ * Gemini text embeddings.
+ */
+const geminiEmbedder = {
+  name: "gemini",
+  model: EMBEDDING_MODEL,
+
+  async embed(texts, { task }) {
+    const vectors = [];
+    for (let i = 0; i < texts.length; i += BATCH_SIZE) {
+      const result = await withRetry(() =>
+        getLLMProvider().embedContent({
+          model: EMBEDDING_MODEL,
+          contents: texts.slice(i, i + BATCH_SIZE),
+          config: {
+            taskType:
+              task === "query" ? "RETRIEVAL_QUERY" : "RETRIEVAL_DOCUMENT",
+            outputDimensionality: EMBEDDING_DIMENSIONS,
+          },
+        })
+      );
+      vectors.push(
+        ...result.embeddings.map((embedding) => normalize(embedding.values))
+      );
+    }
+    return vectors;
+  },
+};
+
+/**
+ * A deterministic, offline embedder for tests and demos: hashes words and
+ * word pairs into a fixed-size vector ("feature hashing"). It only captures
+ * word overlap, not meaning.
+ */
+const localEmbedder = {
+  name: "local",
+  model: `hashing-${LOCAL_DIMENSIONS}`,
+
+  async embed(texts) {
+    return texts.map((text) => {
+      const vector = new Array(LOCAL_DIMENSIONS).fill(0);
+      const words = text.toLowerCase().match(/[\p{L}\p{N}]+/gu) ?? [];
+      const features = [
+        ...words,
+        ...words.slice(1).map((word, i) => `${words[i]} ${word}`),
+      ];
+      for (const feature of features) {
+        const value = hash(feature);
+        vector[value % LOCAL_DIMENSIONS] += value & 0x80000000 ? -1 : 1;
+      }
+      return normalize(vector);
+    });
+  },
+};
+
+const EMBEDDERS = { gemini: geminiEmbedder, local: localEmbedder };
+
+/**
+ * Returns the embedder selected by KB_EMBEDDER ("gemini" or "local").
+ * @returns {object} The embedder.
+ */
+export function getEmbedder() {
+  const name = (process.env.KB_EMBEDDER || "gemini").toLowerCase();
+  const embedder = EMBEDDERS[name];
+  if (!embedder) {
+    throw new Error(
+      `Unknown KB_EMBEDDER '${name}'. Use one of: ${Object.keys(EMBEDDERS).join(", ")}.`
+    );
+  }
+  return embedder;
+}
@@ -0,0 +1,459 @@
+import { randomUUID } from "crypto";
+import "dotenv/config";
+import fs from "fs/promises";
+import { httpError } from "../../utils/httpError.js";
+import { createKeyedLock } from "../../utils/keyedLock.js";
+import { ANONYMOUS_USER } from "../authService.js";
+import { createRecordStore } from "../storage/index.js";
+import { canExtractText, extractText } from "../textExtractors/index.js";
+import { chunkText } from "./chunker.js";
+import { getEmbedder } from "./embedders.js";
+
+// --- Configuration ---
+const CHUNK_CHARS = Number(process.env.KB_CHUNK_CHARS || 1500);
+const CHUNK_OVERLAP_CHARS = Number(process.env.KB_CHUNK_OVERLAP_CHARS || 200);
+const DEFAULT_TOP_K = Number(process.env.KB_TOP_K || 5);
+// Excerpts scoring at or below this similarity are not added to a message.
+const MIN_SCORE = Number(process.env.KB_MIN_SCORE || 0);
+const MAX_TOP_K = 20;
+const MAX_NAME_LENGTH = 120;
+
+// Collection metadata and vectors are stored separately so listing
+// collections doesn't load every embedding.
+const collections = createRecordStore("kb-collections");
+const vectors = createRecordStore("kb-vectors");
+
+// Ingests into the same collection run one at a time.
+const withCollectionLock = createKeyedLock();
+
+// --- Helper Functions ---
+
+/**
+ * Loads a collection on behalf of a user, or throws a 404/403.
+ */
+async function requireOwnedCollection(
+  collectionId,
+  userId = ANONYMOUS_USER.id
+) {
+  const collection = await collections.get(collectionId);
+  if (!collection) {
+    throw httpError(404, `Collection '${collectionId}' was not found.`);
+  }
+  if (collection.ownerId !== userId) {
+    throw httpError(403, "You do not have access to this collection.");
+  }
+  return collection;
+}
+
+/**
+ * Returns the current embedder, refusing to mix it with vectors that were
+ * made by a different one.
+ */
+function embedderFor(collection) {
+  const embedder = getEmbedder();
+  const { name, model } = collection.embedder;
+  if (embedder.name !== name || embedder.model !== model) {
+    throw httpError(
+      409,
+      `Collection '${collection.name}' was embedded with ${name} (${model}), but the server now uses ${embedder.name} (${embedder.model}). Re-create the collection to switch embedders.`
+    );
+  }
+  return embedder;
+}
+
+/**
+ * Builds the public view of a collection.
+ */
+function toSummary(collection) {
+  return {
+    id: collection.id,
+    name: collection.name,
+    description: collection.description,
+    embedder: collection.embedder,
+    documentCount: collection.documents.length,
+    chunkCount: collection.documents.reduce(
+      (sum, document) => sum + document.chunkCount,
+      0
+    ),
+    createdAt: collection.createdAt,
+    updatedAt: collection.updatedAt,
+  };
+}
+
+/**
+ * Reads the text of uploaded files (temp files are removed afterwards) and
+ * combines it with any raw-text documents.
+ */
+async function loadDocuments(uploads, texts) {
+  const documents = [];
+  try {
+    for (const upload of uploads) {
+      if (!canExtractText(upload.mimetype)) {
+        throw httpError(
+          415,
+          `'${upload.originalname}' can't be added to a knowledge base; only text-based documents (DOCX, PPTX, XLSX, CSV, Markdown, HTML, text) are supported.`
+        );
+      }
+      const { text } = await extractText(
+        await fs.readFile(upload.path),
+        upload.mimetype
+      );
+      documents.push({
+        name: upload.originalname,
+        mimeType: upload.mimetype,
+        text,
+      });
+    }
+  } finally {
+    await Promise.all(
+      uploads.map((upload) => fs.rm(upload.path, { force: true }))
+    );
+  }
+
+  for (const [index, document] of texts.entries()) {
+    if (typeof document?.text !== "string" || !document.text.trim()) {
+      throw httpError(400, `documents[${index}] needs a non-empty 'text'.`);
+    }
+    documents.push({
+      name: String(document.name || `Document ${index + 1}`),
+      mimeType: "text/plain",
+      text: document.text,
+    });
+  }
+  return documents;
+}
+
+/**
+ * Scores every chunk of a collection against the query (cosine similarity;
+ * all vectors are unit length) and returns the best `topK`.
+ */
+async function findMatches(collection, query, topK) {
+  const embedder = embedderFor(collection);
+  const stored = await vectors.get(collection.id);
+  if (!stored || stored.chunks.length === 0) return [];
+
+  const [queryVector] = await embedder.embed([query], { task: "query" });
+  return stored.chunks
+    .map((chunk) => ({
+      chunk,
+      score: chunk.vector.reduce(
+        (sum, value, i) => sum + value * (queryVector[i] ?? 0),
+        0
+      ),
+    }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, topK)
+    .map(({ chunk, score }) => ({
+      chunkId: chunk.id,
+      documentId: chunk.documentId,
+      documentName: chunk.documentName,
+      heading: chunk.heading,
+      text: chunk.text,
+      score: Number(score.toFixed(4)),
+    }));
+}
+
+// --- Collection Management ---
+
+/**
+ * Creates an empty collection owned by the user.
+ * @param {{name: string, description?: string}} details - The collection's name and description.
+ * @param {string} [userId] - The owner's ID.
+ * @returns {Promise<object>} The collection summary.
+ */
+export async function createCollection(details, userId = ANONYMOUS_USER.id) {
+  const name = typeof details?.name === "string" ? details.name.trim() : "";
+  if (!name) {
+    throw httpError(400, "A non-empty 'name' string is required.");
+  }
+
+  const embedder = getEmbedder();
+  const now = new Date().toISOString();
+  const collection = await collections.create({
+    id: randomUUID(),
+    ownerId: userId,
+    name: name.slice(0, MAX_NAME_LENGTH),
+    description: String(details.description || ""),
+    embedder: { name: embedder.name, model: embedder.model },
+    documents: [],
+    createdAt: now,
+    updatedAt: now,
+  });
+  await vectors.create({ id: collection.id, chunks: [] });
+  return toSummary(collection);
+}
+
+/**
+ * Lists a user's collections, most recently updated first.
+ * @param {string} [userId] - The requesting user's ID.
+ * @returns {Promise<object[]>} Collection summaries.
+ */
+export async function listCollections(userId = ANONYMOUS_USER.id) {
+  return (await collections.list())
+    .filter((collection) => collection.ownerId === userId)
+    .map(toSummary)
+    .sort((a, b) => Date.parse(b.updatedAt) - Date.parse(a.updatedAt));
+}
+
+/**
+ * Fetches a collection with its document list.
+ * @param {string} collectionId - The collection ID.
+ * @param {string} [userId] - The requesting user's ID.
+ * @returns {Promise<object>} The collection summary plus `documents`.
+ */
+export async function getCollection(collectionId, userId) {
+  const collection = await requireOwnedCollection(collectionId, userId);
+  return { ...toSummary(collection), documents: collection.documents };
+}
+
+/**
+ * Deletes a collection and its vectors.
+ * @param {string} collectionId - The collection ID.
+ * @param {string} [userId] - The requesting user's ID.
+ */
+export async function deleteCollection(collectionId, userId) {
+  await requireOwnedCollection(collectionId, userId);
+  await withCollectionLock(collectionId, async () => {
+    await vectors.delete(collectionId);
+    await collections.delete(collectionId);
+  });
+}
+
+/**
+ * Extracts, chunks and embeds documents into a collection.
+ * @param {string} collectionId - The collection ID.
+ * @param {object} input
+ * @param {object[]} [input.uploads] - File objects from multer.
+ * @param {{name?: string, text: string}[]} [input.texts] - Raw-text documents.
+ * @param {string} [userId] - The requesting user's ID.
+ * @returns {Promise<object[]>} The added document records.
+ */
+export async function ingestDocuments(collectionId, input, userId) {
+  const { uploads = [], texts = [] } = input;
+  const collection = await requireOwnedCollection(collectionId, userId);
+  const embedder = embedderFor(collection);
+
+  const documents = await loadDocuments(uploads, texts);
+  if (documents.length === 0) {
+    throw httpError(400, "Upload 'files' or send 'documents' to ingest.");
+  }
+
+  // Embed outside the lock; only the read-modify-write is serialized.
+  const prepared = [];
+  for (const document of documents) {
+    const chunks = chunkText(document.text, {
+      maxChars: CHUNK_CHARS,
+      overlapChars: CHUNK_OVERLAP_CHARS,
+    });
+    const embeddings = await embedder.embed(
+      chunks.map((chunk) =>
+        chunk.heading ? `${chunk.heading}\n${chunk.text}` : chunk.text
+      ),
+      { task: "document" }
+    );
+    const record = {
+      id: randomUUID(),
+      name: document.name,
+      mimeType: document.mimeType,
+      characters: document.text.length,
+      chunkCount: chunks.length,
+      addedAt: new Date().toISOString(),
+    };
+    prepared.push({
+      record,
+      chunks: chunks.map((chunk, index) => ({
+        id: `${record.id}:${index}`,
+        documentId: record.id,
+        documentName: record.name,
+        heading: chunk.heading,
+        text: chunk.text,
+        vector: embeddings[index],
+      })),
+    });
+  }
+
+  return withCollectionLock(collectionId, async () => {
+    const current = await requireOwnedCollection(collectionId, userId);
+    const stored = (await vectors.get(collectionId)) ?? {
+      id: collectionId,
+      chunks: [],
+    };
+    for (const { record, chunks } of prepared) {
+      current.documents.push(record);
+      stored.chunks.push(...chunks);
+    }
+    current.updatedAt = new Date().toISOString();
+    await vectors.save(stored);
+    await collections.save(current);
+    return prepared.map(({ record }) => record);
+  });
+}
+
+/**
+ * Removes one document and its chunks from a collection.
+ * @param {string} collectionId - The collection ID.
+ * @param {string} documentId - The document ID.
+ * @param {string} [userId] - The requesting user's ID.
+ */
+export async function removeDocument(collectionId, documentId, userId) {
+  await requireOwnedCollection(collectionId, userId);
+  await withCollectionLock(collectionId, async () => {
+    const collection = await requireOwnedCollection(collectionId, userId);
+    if (!collection.documents.some((document) => document.id === documentId)) {
+      throw httpError(404, `Document '${documentId}' was not found.`);
+    }
+    collection.documents = collection.documents.filter(
+      (document) => document.id !== documentId
+    );
+    collection.updatedAt = new Date().toISOString();
+
+    const stored = await vectors.get(collectionId);
+    if (stored) {
+      stored.chunks = stored.chunks.filter(
+        (chunk) => chunk.documentId !== documentId
+      );
+      await vectors.save(stored);
+    }
+    await collections.save(collection);
+  });
+}
+
+/**
+ * Finds the chunks most similar to a query.
+ * @param {string} collectionId - The collection ID.
+ * @param {string} query - The search text.
+ * @param {object} [options]
+ * @param {number} [options.topK] - How many chunks to return (1-20).
+ * @param {string} [userId] - The requesting user's ID.
+ * @returns {Promise<{collectionId: string, query: string, matches: object[]}>}
+ */
+export async function searchCollection(
+  collectionId,
+  query,
+  options = {},
+  userId
+) {
+  if (typeof query !== "string" || !query.trim()) {
+    throw httpError(400, "A non-empty 'query' string is required.");
+  }
+  const topK = options.topK ?? DEFAULT_TOP_K;
+  if (!Number.isInteger(topK) || topK < 1 || topK > MAX_TOP_K) {
+    throw httpError(
+      400,
+      `'topK' must be an integer between 1 and ${MAX_TOP_K}.`
+    );
+  }
+
+  const collection = await requireOwnedCollection(collectionId, userId);
+  return {
+    collectionId,
+    query,
+    matches: await findMatches(collection, query, topK),
+  };
+}
+
+// --- Retrieval for Generation ---
+
+/**
+ * Retrieves the chunks to add to a chat message's context. Each match gets an
+ * excerpt ID ("K1", "K2", ...) that the model cites.
+ * @param {string} collectionId - The collection ID.
+ * @param {string} prompt - The user's prompt, used as the query.
+ * @param {string} [userId] - The requesting user's ID.
+ * @returns {Promise<{collectionId: string, collectionName: string, excerpts: object[]}>}
+ */
+export async function retrieveContext(collectionId, prompt, userId) {
+  const collection = await requireOwnedCollection(collectionId, userId);
+  const matches = await findMatches(collection, prompt, DEFAULT_TOP_K);
+  return {
+    collectionId,
+    collectionName: collection.name,
+    excerpts: matches
+      .filter((match) => match.score > MIN_SCORE)
+      .map((match, index) => ({ excerptId: `K${index + 1}`, ...match })),
+  };
+}
+
+/**
+ * Renders retrieved excerpts as instructions for the generation model.
+ * @param {object} retrieval - The result of retrieveContext.
+ * @returns {string} Text to append to the system instruction.
+ */
+export function toKnowledgeNote(retrieval) {
+  if (retrieval.excerpts.length === 0) {
+    return `The knowledge base '${retrieval.collectionName}' has no content relevant to this request. Leave \`citations\` empty.`;
+  }
+  const excerpts = retrieval.excerpts
+    .map(
+      (excerpt) =>
+        `[${excerpt.excerptId}] ${excerpt.documentName}${
+          excerpt.heading ? ` — ${excerpt.heading}` : ""
+        }\n${excerpt.text}`
+    )
+    .join("\n\n");
+  return `Excerpts from the knowledge base '${retrieval.collectionName}' (prefer these over general knowledge; list every excerpt you use in \`citations\` by its ID, e.g. "K1"):\n\n${excerpts}`;
+}
+
+/**
+ * Adds a `citations` array to a response schema, for responses generated
+ * with knowledge-base excerpts.
+ * @param {object} schema - The content type's response schema.
+ * @returns {object} A copy of the schema with `citations`.
+ */
+export function withCitations(schema) {
+  return {
+    ...schema,
+    properties: {
+      ...schema.properties,
+      citations: {
+        type: "ARRAY",
+        description: "The knowledge base excerpts used, by excerpt ID.",
+        items: {
+          type: "OBJECT",
+          properties: {
+            excerptId: { type: "STRING" },
+            quote: { type: "STRING" },
+          },
+          required: ["excerptId"],
+        },
+      },
+    },
+    required: [...(schema.required ?? []), "citations"],
+  };
+}
+
+/**
+ * Matches a response's `citations` to the retrieved excerpts, adding the
+ * document name and heading to each and flagging IDs that weren't retrieved.
+ * @param {object} response - The validated model response (updated in place).
+ * @param {object} retrieval - The result of retrieveContext.
+ * @returns {object} The knowledge-base summary for `meta.knowledge`.
+ */
+export function resolveCitations(response, retrieval) {
+  const byId = new Map(
+    retrieval.excerpts.map((excerpt) => [excerpt.excerptId, excerpt])
+  );
+  const unknownExcerptIds = [];
+
+  for (const citation of response.citations ?? []) {
+    const id = String(citation.excerptId)
+      .replace(/[[\]\s]/g, "")
+      .toUpperCase();
+    const excerpt = byId.get(id);
+    citation.excerptId = id;
+    citation.verified = Boolean(excerpt);
+    if (excerpt) {
+      citation.documentId = excerpt.documentId;
+      citation.documentName = excerpt.documentName;
+      citation.heading = excerpt.heading;
+    } else {
+      unknownExcerptIds.push(id);
+    }
+  }
+
+  return {
+    collectionId: retrieval.collectionId,
+    excerpts: retrieval.excerpts.map(({ text, ...excerpt }) => excerpt),
+    unknownExcerptIds,
+  };
+}
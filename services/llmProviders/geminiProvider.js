@@ -0,0 +1,28 @@
+import { getGenAIClient } from "../genaiClient.js";
+
+/**
+ * The Gemini API, through the shared GoogleGenAI client (see ../genaiClient.js).
+ */
+export const geminiProvider = {
+  name: "gemini",
+
+  generateContent(request) {
+    return getGenAIClient().models.generateContent(request);
+  },
+
+  generateContentStream(request) {
+    return getGenAIClient().models.generateContentStream(request);
+  },
+
+  embedContent(request) {
+    return getGenAIClient().models.embedContent(request);
+  },
+
+  uploadFile(params) {
+    return getGenAIClient().files.upload(params);
+  },
+
+  getFile(params) {
+    return getGenAIClient().files.get(params);
+  },
+};
@@ -0,0 +1,54 @@
+import "dotenv/config";
+import { geminiProvider } from "./geminiProvider.js";
+import { mockProvider } from "./mockProvider.js";
+
+// --- Configuration ---
+// LLM_PROVIDER picks the backend for text and image generation, search
+// grounding and embeddings: "gemini" (the Gemini API) or "mock"
+// (deterministic, offline; see ./mockProvider.js).
+const PROVIDER_NAME = (process.env.LLM_PROVIDER || "gemini").toLowerCase();
+
+// --- Provider Registry ---
+/*
+ * An LLM provider takes requests and returns results in the shape of the
+ * @google/genai SDK:
+ *   name
+ *   generateContent(request)        - resolves to { text, candidates, usageMetadata }
+ *   generateContentStream(request)  - resolves to an async iterable of such chunks
+ *   embedContent(request)           - resolves to { embeddings: [{ values }] }
+ *   uploadFile({ file, config })    - resolves to { name, uri, mimeType, state, expirationTime }
+ *   getFile({ name })               - resolves to the same file description
+ */
+const PROVIDERS = {
+  gemini: geminiProvider,
+  mock: mockProvider,
+};
+
+if (!PROVIDERS[PROVIDER_NAME]) {
+  throw new Error(
+    `Unknown LLM_PROVIDER '${PROVIDER_NAME}'. Use one of: ${Object.keys(
+      PROVIDERS
+    ).join(", ")}.`
+  );
+}
+
+console.log(`Using '${PROVIDER_NAME}' LLM provider.`);
+
+let override = null;
+
+/**
+ * Returns the provider selected by LLM_PROVIDER (or set with setLLMProvider).
+ * @returns {object} The provider.
+ */
+export function getLLMProvider() {
+  return override ?? PROVIDERS[PROVIDER_NAME];
+}
+
+/**
+ * Replaces the provider for every caller, e.g. with one that records or
+ * replays responses (see /evals).
+ * @param {object|null} provider - The replacement provider, or null to reset.
+ */
+export function setLLMProvider(provider) {
+  override = provider;
+}
@@ -0,0 +1,281 @@
+import "dotenv/config";
+import fs from "fs";
+
+// --- Configuration ---
+// Optional JSON file of canned responses:
+//   { "entries": [{ "match": ["keyword", ...], "response": {...} | "text" }] }
+// The first entry whose `match` keywords all appear in the latest user
+// message wins; otherwise a response is generated from the request's
+// responseSchema.
+const FIXTURES_FILE = process.env.LLM_MOCK_FIXTURES_FILE;
+// Characters per streamed chunk.
+const STREAM_CHUNK_CHARS = 40;
+// Vector length for embedding requests that don't set outputDimensionality.
+const DEFAULT_EMBEDDING_DIMENSIONS = 768;
+// A 1x1 transparent PNG, returned for image requests.
+const MOCK_IMAGE_BASE64 =
+  "iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==";
+
+let fixtures = null;
+const files = new Map();
+
+// --- Helper Functions ---
+
+/**
+ * Loads the fixture file once (an empty set when none is configured).
+ */
+function loadFixtures() {
+  if (!fixtures) {
+    fixtures = FIXTURES_FILE
+      ? JSON.parse(fs.readFileSync(FIXTURES_FILE, "utf8"))
+      : { entries: [] };
+  }
+  return fixtures;
+}
+
+/**
+ * Returns the text of the latest user message in a request.
+ */
+function latestUserText(request) {
+  const contents = [].concat(request.contents ?? []);
+  const message = contents.findLast(
+    (content) => typeof content === "string" || content.role === "user"
+  );
+  if (!message) return "";
+  if (typeof message === "string") return message;
+  return message.parts
+    .filter((part) => typeof part.text === "string")
+    .map((part) => part.text)
+    .join("\n");
+}
+
+/**
+ * Builds the smallest value that satisfies a Gemini responseSchema: the first
+ * enum value, the minimum number, `minItems` (at least one) array items and
+ * every declared object property.
+ */
+function sampleFromSchema(schema, key = "value") {
+  switch (schema.type) {
+    case "STRING":
+      return schema.enum?.[0] ?? `Mock ${key}`;
+    case "NUMBER":
+      return Number(schema.minimum ?? 0);
+    case "INTEGER":
+      return Math.ceil(Number(schema.minimum ?? 0));
+    case "BOOLEAN":
+      return false;
+    case "ARRAY":
+      return Array.from(
+        { length: Math.max(Number(schema.minItems ?? 1), 1) },
+        (_, index) => sampleFromSchema(schema.items, `${key} ${index + 1}`)
+      );
+    case "OBJECT":
+      return Object.fromEntries(
+        Object.entries(schema.properties ?? {}).map(([name, child]) => [
+          name,
+          sampleFromSchema(child, name),
+        ])
+      );
+    default:
+      return null;
+  }
+}
+
+/**
+ * Picks the response text for a text request: a matching fixture, a value
+ * generated from the response schema, or a fixed plain-text reply.
+ */
+function responseText(request, prompt) {
+  const lowerPrompt = prompt.toLowerCase();
+  const entry = loadFixtures().entries?.find((candidate) =>
+    []
+      .concat(candidate.match)
+      .every((keyword) => lowerPrompt.includes(String(keyword).toLowerCase()))
+  );
+  if (entry) {
+    return typeof entry.response === "string"
+      ? entry.response
+      : JSON.stringify(entry.response);
+  }
+  if (request.config?.responseSchema) {
+    return JSON.stringify(sampleFromSchema(request.config.responseSchema));
+  }
+  return `Mock response to: ${prompt.slice(0, 200)}`;
+}
+
+/**
+ * Estimates token counts (about four characters per token) so usage tracking
+ * and quotas behave as they would against the real API.
+ */
+function usageFor(request, outputChars) {
+  const promptTokenCount = Math.ceil(
+    JSON.stringify(request.contents ?? "").length / 4
+  );
+  const candidatesTokenCount = Math.ceil(outputChars / 4);
+  return {
+    promptTokenCount,
+    candidatesTokenCount,
+    totalTokenCount: promptTokenCount + candidatesTokenCount,
+  };
+}
+
+/**
+ * Tells whether a request asks for Google Search grounding.
+ */
+function usesSearch(request) {
+  return (request.config?.tools ?? []).some((tool) => tool.googleSearch);
+}
+
+/**
+ * Builds grounding metadata citing two made-up pages about the query.
+ */
+function mockGrounding(query, notes) {
+  const slug =
+    query
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-|-$/g, "")
+      .slice(0, 40) || "topic";
+  return {
+    webSearchQueries: [query],
+    groundingChunks: [1, 2].map((n) => ({
+      web: {
+        uri: `https://example.com/${slug}/source-${n}`,
+        title: `Mock source ${n}`,
+      },
+    })),
+    groundingSupports: [
+      {
+        segment: { text: notes },
+        groundingChunkIndices: [0, 1],
+      },
+    ],
+  };
+}
+
+/**
+ * Hashes a text's words into a unit vector, so equal texts get equal
+ * embeddings and texts sharing words score as similar.
+ */
+function mockEmbedding(text, dimensions) {
+  const vector = new Array(dimensions).fill(0);
+  const words =
+    String(text)
+      .toLowerCase()
+      .match(/[\p{L}\p{N}]+/gu) ?? [];
+  for (const word of words) {
+    let value = 0x811c9dc5;
+    for (let i = 0; i < word.length; i++) {
+      value = Math.imul(value ^ word.charCodeAt(i), 0x01000193);
+    }
+    vector[(value >>> 0) % dimensions] += 1;
+  }
+  const length = Math.sqrt(vector.reduce((sum, x) => sum + x * x, 0));
+  return length ? vector.map((x) => x / length) : vector;
+}
+
+/**
+ * Wraps response parts in the SDK's result shape.
+ */
+function toResult(parts, usageMetadata, groundingMetadata) {
+  return {
+    text: parts
+      .filter((part) => typeof part.text === "string")
+      .map((part) => part.text)
+      .join(""),
+    candidates: [
+      {
+        content: { role: "model", parts },
+        finishReason: "STOP",
+        index: 0,
+        ...(groundingMetadata && { groundingMetadata }),
+      },
+    ],
+    usageMetadata,
+  };
+}
+
+// --- Provider ---
+
+/**
+ * A deterministic, offline provider for integration tests and demos. It never
+ * calls the network: JSON requests get a schema-conformant response (or a
+ * fixture), image requests get a 1x1 PNG, search-grounded requests cite two
+ * example.com pages, embeddings are hashed from the words of each text and
+ * uploads are kept in memory.
+ */
+export const mockProvider = {
+  name: "mock",
+
+  async generateContent(request) {
+    const modalities = request.config?.responseModalities ?? [];
+    if (modalities.includes("IMAGE")) {
+      // A caption accompanies the image when text output is allowed too.
+      const caption = modalities.includes("TEXT")
+        ? `Mock image for: ${latestUserText(request).slice(0, 200)}`
+        : null;
+      return toResult(
+        [
+          ...(caption ? [{ text: caption }] : []),
+          { inlineData: { mimeType: "image/png", data: MOCK_IMAGE_BASE64 } },
+        ],
+        usageFor(request, caption?.length ?? 0)
+      );
+    }
+    if (usesSearch(request)) {
+      const query = latestUserText(request);
+      const notes = `Mock research notes on: ${query.slice(0, 200)}`;
+      return toResult(
+        [{ text: notes }],
+        usageFor(request, notes.length),
+        mockGrounding(query, notes)
+      );
+    }
+    const text = responseText(request, latestUserText(request));
+    return toResult([{ text }], usageFor(request, text.length));
+  },
+
+  async generateContentStream(request) {
+    const text = responseText(request, latestUserText(request));
+    const usageMetadata = usageFor(request, text.length);
+    return (async function* () {
+      for (let i = 0; i < text.length; i += STREAM_CHUNK_CHARS) {
+        const isLast = i + STREAM_CHUNK_CHARS >= text.length;
+        yield toResult(
+          [{ text: text.slice(i, i + STREAM_CHUNK_CHARS) }],
+          isLast ? usageMetadata : undefined
+        );
+      }
+    })();
+  },
+
+  async embedContent(request) {
+    const dimensions =
+      request.config?.outputDimensionality ?? DEFAULT_EMBEDDING_DIMENSIONS;
+    return {
+      embeddings: [].concat(request.contents ?? []).map((text) => ({
+        values: mockEmbedding(text, dimensions),
+      })),
+    };
+  },
+
+  async uploadFile({ config }) {
+    const name = `files/mock-${files.size + 1}`;
+    const file = {
+      name,
+      uri: `mock://${name}`,
+      mimeType: config?.mimeType,
+      displayName: config?.displayName,
+      state: "ACTIVE",
+      expirationTime: new Date(Date.now() + 48 * 3600 * 1000).toISOString(),
+    };
+    files.set(name, file);
+    return file;
+  },
+
+  async getFile({ name }) {
+    const file = files.get(name);
+    if (!file) throw new Error(`File '${name}' does not exist.`);
+    return file;
+  },
+};
@@ -0,0 +1,216 @@
+import "dotenv/config";
+import fs from "fs";
+import { httpError } from "../utils/httpError.js";
+
+// --- Default Catalogue ---
+/*
+ * The catalogue lists every model a client may pick and the limits its
+ * settings are checked against:
+ *   models       - name -> { kind: "text" | "image", maxOutputTokens?, thinking? }
+ *                  where thinking is { min, max, canDisable } for the thinking budget
+ *   defaults     - the model used per kind when nothing else picks one
+ *   contentTypes - per content type defaults that override the registry entry
+ *                  (e.g. { "quiz": { "model": "gemini-2.5-pro", "temperature": 0.4 } })
+ *
+ * MODEL_CATALOG_FILE points at a JSON file with the same shape; each section
+ * it contains replaces the matching section below.
+ */
+const DEFAULT_CATALOG = {
+  models: {
+    "gemini-2.5-pro": {
+      kind: "text",
+      maxOutputTokens: 65536,
+      thinking: { min: 128, max: 32768, canDisable: false },
+    },
+    "gemini-2.5-flash": {
+      kind: "text",
+      maxOutputTokens: 65536,
+      thinking: { min: 1, max: 24576, canDisable: true },
+    },
+    "gemini-2.5-flash-lite": {
+      kind: "text",
+      maxOutputTokens: 65536,
+      thinking: { min: 512, max: 24576, canDisable: true },
+    },
+    "gemini-2.5-flash-image-preview": { kind: "image" },
+  },
+  defaults: {
+    text: "gemini-2.5-flash",
+    image: "gemini-2.5-flash-image-preview",
+  },
+  contentTypes: {},
+};
+
+/**
+ * Loads the catalogue, applying MODEL_CATALOG_FILE if it is set.
+ */
+function loadCatalog() {
+  const file = process.env.MODEL_CATALOG_FILE;
+  if (!file) return DEFAULT_CATALOG;
+  const overrides = JSON.parse(fs.readFileSync(file, "utf8"));
+  return { ...DEFAULT_CATALOG, ...overrides };
+}
+
+const catalog = loadCatalog();
+
+// Request fields that can override the generation settings.
+export const GENERATION_OVERRIDE_FIELDS = [
+  "model",
+  "temperature",
+  "topP",
+  "maxOutputTokens",
+  "thinkingBudget",
+];
+
+// --- Helper Functions ---
+
+/**
+ * Looks up an allowed model of the given kind, or throws a 400 listing the
+ * allowed ones.
+ */
+function requireModel(name, kind) {
+  const entry = catalog.models[name];
+  if (!entry || entry.kind !== kind) {
+    throw httpError(400, `Model '${name}' is not allowed.`, {
+      allowedModels: listModels(kind).map((model) => model.name),
+    });
+  }
+  return entry;
+}
+
+/**
+ * Checks that a setting is a number within [min, max].
+ */
+function checkRange(name, value, min, max, { integer = false } = {}) {
+  if (
+    typeof value !== "number" ||
+    Number.isNaN(value) ||
+    (integer && !Number.isInteger(value)) ||
+    value < min ||
+    value > max
+  ) {
+    throw httpError(
+      400,
+      `'${name}' must be ${integer ? "an integer" : "a number"} between ${min} and ${max}.`
+    );
+  }
+}
+
+/**
+ * Checks a thinking budget against a model's limits. -1 asks the model to
+ * choose its own budget; 0 turns thinking off where that is supported.
+ */
+function checkThinkingBudget(modelName, entry, budget) {
+  if (!entry?.thinking) {
+    throw httpError(
+      400,
+      `Model '${modelName}' does not support 'thinkingBudget'.`
+    );
+  }
+  if (budget === -1) return;
+  if (budget === 0) {
+    if (entry.thinking.canDisable) return;
+    throw httpError(400, `Thinking cannot be turned off for '${modelName}'.`);
+  }
+  checkRange("thinkingBudget", budget, entry.thinking.min, entry.thinking.max, {
+    integer: true,
+  });
+}
+
+// --- Main Functions ---
+
+/**
+ * Lists the allowed models, optionally of one kind.
+ * @param {string} [kind] - "text" or "image".
+ * @returns {object[]} The catalogue entries with their names.
+ */
+export function listModels(kind) {
+  return Object.entries(catalog.models)
+    .filter(([, entry]) => !kind || entry.kind === kind)
+    .map(([name, entry]) => ({
+      name,
+      ...entry,
+      isDefault: catalog.defaults[entry.kind] === name,
+    }));
+}
+
+/**
+ * Works out the model and generation settings for a content type: request
+ * overrides win over the catalogue's per-type defaults, which win over the
+ * registry entry. Requested values are checked against the catalogue.
+ * @param {object} contentType - The content type definition.
+ * @param {object} [overrides] - Request-level { model, temperature, topP, maxOutputTokens, thinkingBudget }.
+ * @returns {{model: string, config: object, settings: object}} The model, the
+ *   generateContent config fields to add, and the settings to report in `meta`.
+ */
+export function resolveGenerationSettings(contentType, overrides = {}) {
+  const requested = Object.fromEntries(
+    GENERATION_OVERRIDE_FIELDS.filter(
+      (field) => overrides[field] !== undefined
+    ).map((field) => [field, overrides[field]])
+  );
+  const settings = {
+    model: contentType.model ?? catalog.defaults.text,
+    temperature: contentType.temperature,
+    ...catalog.contentTypes[contentType.name],
+    ...requested,
+  };
+
+  // Configured defaults are trusted; only the request's values are checked.
+  const entry = requested.model
+    ? requireModel(requested.model, "text")
+    : catalog.models[settings.model];
+  if (requested.temperature !== undefined) {
+    checkRange("temperature", requested.temperature, 0, 2);
+  }
+  if (requested.topP !== undefined) {
+    checkRange("topP", requested.topP, 0, 1);
+  }
+  if (requested.maxOutputTokens !== undefined) {
+    checkRange(
+      "maxOutputTokens",
+      requested.maxOutputTokens,
+      1,
+      entry?.maxOutputTokens ?? Infinity,
+      { integer: true }
+    );
+  }
+  if (requested.thinkingBudget !== undefined) {
+    checkThinkingBudget(settings.model, entry, requested.thinkingBudget);
+  }
+
+  return {
+    model: settings.model,
+    config: {
+      ...(settings.temperature !== undefined && {
+        temperature: settings.temperature,
+      }),
+      ...(settings.topP !== undefined && { topP: settings.topP }),
+      ...(settings.maxOutputTokens !== undefined && {
+        maxOutputTokens: settings.maxOutputTokens,
+      }),
+      ...(settings.thinkingBudget !== undefined && {
+        thinkingConfig: { thinkingBudget: settings.thinkingBudget },
+      }),
+    },
+    // Unset values (null) mean the model's own default was used.
+    settings: {
+      model: settings.model,
+      temperature: settings.temperature ?? null,
+      topP: settings.topP ?? null,
+      maxOutputTokens: settings.maxOutputTokens ?? null,
+      thinkingBudget: settings.thinkingBudget ?? null,
+    },
+  };
+}
+
+/**
+ * Resolves the image generation model (the request's choice or the default).
+ * @param {string} [model] - The requested model.
+ * @returns {string} The allowed model name.
+ */
+export function resolveImageModel(model) {
+  const name = model ?? catalog.defaults.image;
+  requireModel(name, "image");
+  return name;
+}
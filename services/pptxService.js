@@ -0,0 +1,165 @@
+import PptxGenJS from "pptxgenjs";
+
+// --- Deck Layout Constants ---
+const LAYOUT = "LAYOUT_WIDE"; // 13.33 x 7.5 inches
+const TITLE_COLOR = "1F3864";
+const BODY_COLOR = "333333";
+const FONT_FACE = "Calibri";
+
+// --- Helper Functions ---
+
+/**
+ * Makes sure the payload looks like a PresentationSchema response.
+ */
+function assertPresentation(presentation) {
+  if (!presentation || typeof presentation !== "object") {
+    throw new Error("A presentation object is required.");
+  }
+  if (!Array.isArray(presentation.slides) || presentation.slides.length === 0) {
+    throw new Error(
+      "The presentation must contain a non-empty 'slides' array."
+    );
+  }
+}
+
+/**
+ * Adds the opening title slide.
+ */
+function addTitleSlide(pptx, presentation) {
+  const slide = pptx.addSlide();
+  slide.addText(presentation.title || "Untitled Presentation", {
+    x: 0.5,
+    y: 2.5,
+    w: 12.33,
+    h: 1.5,
+    fontFace: FONT_FACE,
+    fontSize: 40,
+    bold: true,
+    color: TITLE_COLOR,
+    align: "center",
+  });
+  slide.addText(`${presentation.slides.length} slides`, {
+    x: 0.5,
+    y: 4.1,
+    w: 12.33,
+    h: 0.6,
+    fontFace: FONT_FACE,
+    fontSize: 18,
+    color: BODY_COLOR,
+    align: "center",
+  });
+}
+
+/**
+ * Adds one content slide with its bullets and speaker notes.
+ */
+function addContentSlide(pptx, slideData, index) {
+  const slide = pptx.addSlide();
+  slide.addText(slideData.title || `Slide ${index + 1}`, {
+    x: 0.5,
+    y: 0.3,
+    w: 12.33,
+    h: 1,
+    fontFace: FONT_FACE,
+    fontSize: 30,
+    bold: true,
+    color: TITLE_COLOR,
+  });
+
+  const bullets = Array.isArray(slideData.content) ? slideData.content : [];
+  if (bullets.length > 0) {
+    slide.addText(
+      bullets.map((text) => ({
+        text: String(text),
+        options: { bullet: true, breakLine: true },
+      })),
+      {
+        x: 0.5,
+        y: 1.5,
+        w: 12.33,
+        h: 5.5,
+        fontFace: FONT_FACE,
+        fontSize: 20,
+        color: BODY_COLOR,
+        valign: "top",
+        fit: "shrink",
+      }
+    );
+  }
+
+  if (slideData.speakerNotes) {
+    slide.addNotes(String(slideData.speakerNotes));
+  }
+}
+
+/**
+ * Adds the closing slide listing the sources the model returned.
+ */
+function addSourcesSlide(pptx, sources) {
+  const slide = pptx.addSlide();
+  slide.addText("Sources", {
+    x: 0.5,
+    y: 0.3,
+    w: 12.33,
+    h: 1,
+    fontFace: FONT_FACE,
+    fontSize: 30,
+    bold: true,
+    color: TITLE_COLOR,
+  });
+  slide.addText(
+    sources.map((source) => ({
+      text: source.url
+        ? `${source.title || source.url} — ${source.url}`
+        : String(source.title || ""),
+      options: {
+        bullet: true,
+        breakLine: true,
+        ...(source.url ? { hyperlink: { url: source.url } } : {}),
+      },
+    })),
+    {
+      x: 0.5,
+      y: 1.5,
+      w: 12.33,
+      h: 5.5,
+      fontFace: FONT_FACE,
+      fontSize: 16,
+      color: BODY_COLOR,
+      valign: "top",
+      fit: "shrink",
+    }
+  );
+}
+
+// --- Main Service Functions ---
+
+/**
+ * Builds a .pptx deck from a PresentationSchema response.
+ * @param {object} presentation - The parsed presentation JSON (title, slides, sources).
+ * @returns {Promise<Buffer>} A promise that resolves to the .pptx file contents.
+ */
+export async function buildPresentationDeck(presentation) {
+  assertPresentation(presentation);
+
+  const pptx = new PptxGenJS();
+  pptx.layout = LAYOUT;
+  pptx.title = presentation.title || "Untitled Presentation";
+
+  addTitleSlide(pptx, presentation);
+
+  const slides = [...presentation.slides].sort(
+    (a, b) => (a.slideNumber ?? 0) - (b.slideNumber ?? 0)
+  );
+  slides.forEach((slideData, index) => addContentSlide(pptx, slideData, index));
+
+  // Model output can contain null or malformed entries; skip them.
+  const sources = (
+    Array.isArray(presentation.sources) ? presentation.sources : []
+  ).filter((source) => source && typeof source === "object");
+  if (sources.length > 0) {
+    addSourcesSlide(pptx, sources);
+  }
+
+  return pptx.write({ outputType: "nodebuffer" });
+}
@@ -0,0 +1,567 @@
+import { createHash } from "crypto";
+import "dotenv/config";
+import { dirname, join, resolve } from "path";
+import { fileURLToPath } from "url";
+import { httpError } from "../../utils/httpError.js";
+import { createKeyedLock } from "../../utils/keyedLock.js";
+import { ANONYMOUS_USER } from "../authService.js";
+import {
+  listContentTypes,
+  resolveSystemInstruction,
+} from "../contentTypes/index.js";
+import { createRecordStore } from "../storage/index.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+// --- Configuration ---
+// The seed templates ship with the code as JSON files in this directory (one
+// per template, named `<id>.json`) and are only ever read. Templates created
+// or changed through the CRUD endpoints are stored under DATA_DIR instead, so
+// wording can change without a deploy and without touching the source tree.
+const SEED_TEMPLATES_DIR = process.env.PROMPT_TEMPLATES_DIR
+  ? resolve(process.env.PROMPT_TEMPLATES_DIR)
+  : join(__dirname, "..", "..", "prompts");
+// Comma-separated user IDs allowed to change templates. The templates are
+// the system prompts for every user, so when this is unset nobody can.
+const EDITORS = (process.env.PROMPT_TEMPLATE_EDITORS || "")
+  .split(",")
+  .map((id) => id.trim())
+  .filter(Boolean);
+const MAX_DESCRIPTION_LENGTH = 500;
+
+/*
+ * A template file looks like:
+ *   {
+ *     "id": "quiz",
+ *     "description": "...",
+ *     "activeVersion": "1.0.0",
+ *     "experiment": { "candidateVersion": "1.1.0", "percent": 10 },  // optional A/B split
+ *     "versions": [{
+ *       "version": "1.0.0",                 // semantic version, increasing
+ *       "template": "... exactly {{questionCount}} questions ...",
+ *       "variables": {
+ *         "questionCount": { "type": "integer", "minimum": 1, "maximum": 100, "default": 20, "description": "..." }
+ *       },
+ *       "notes": "...", "createdAt": "...", "createdBy": "..."
+ *     }]
+ *   }
+ * Variables come from the request (`templateVariables`), then the content
+ * type's `promptVariables(prompt)`, then the declared defaults. Values end up
+ * in the system instruction, so each is checked against its declaration:
+ * "integer" and "number" against `minimum`/`maximum`, "string" (the default
+ * type) must be one line of at most `maxLength` characters.
+ */
+const seedTemplates = createRecordStore("prompt-templates", {
+  kind: "file",
+  dir: SEED_TEMPLATES_DIR,
+});
+// A saved template with the same ID as a seed template replaces it.
+const savedTemplates = createRecordStore("prompt-templates", { kind: "file" });
+
+// Changes to the same template run one at a time.
+const withTemplateLock = createKeyedLock();
+
+const SEMVER = /^(\d+)\.(\d+)\.(\d+)$/;
+const TEMPLATE_ID = /^[A-Za-z][A-Za-z0-9-]*$/;
+const PLACEHOLDER = /\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g;
+const VARIABLE_TYPES = ["string", "integer", "number"];
+const DEFAULT_MAX_VARIABLE_LENGTH = 100;
+
+// --- Helper Functions ---
+
+/**
+ * Compares two semantic versions (negative, zero or positive).
+ */
+function compareVersions(a, b) {
+  const [, ...left] = a.match(SEMVER).map(Number);
+  const [, ...right] = b.match(SEMVER).map(Number);
+  for (let i = 0; i < 3; i++) {
+    if (left[i] !== right[i]) return left[i] - right[i];
+  }
+  return 0;
+}
+
+/**
+ * Returns the next version after `latest` for a "major", "minor" or "patch" bump.
+ */
+function bumpVersion(latest, bump) {
+  const [, major, minor, patch] = latest.match(SEMVER).map(Number);
+  switch (bump) {
+    case "major":
+      return `${major + 1}.0.0`;
+    case "minor":
+      return `${major}.${minor + 1}.0`;
+    case "patch":
+      return `${major}.${minor}.${patch + 1}`;
+    default:
+      throw httpError(400, "'bump' must be 'major', 'minor' or 'patch'.");
+  }
+}
+
+/**
+ * Throws a 403 unless the user is one of the configured editors.
+ */
+function assertCanEdit(userId) {
+  if (EDITORS.length === 0) {
+    throw httpError(
+      403,
+      "Prompt templates are read-only on this server (PROMPT_TEMPLATE_EDITORS is not set)."
+    );
+  }
+  if (!EDITORS.includes(userId)) {
+    throw httpError(403, "You are not allowed to change prompt templates.");
+  }
+}
+
+/**
+ * Loads a template: the saved copy if there is one, else the seed.
+ */
+async function loadTemplate(templateId) {
+  return (
+    (await savedTemplates.get(templateId)) ??
+    (await seedTemplates.get(templateId))
+  );
+}
+
+/**
+ * Loads a template, or throws a 404.
+ */
+async function requireTemplate(templateId) {
+  const template = TEMPLATE_ID.test(templateId)
+    ? await loadTemplate(templateId)
+    : null;
+  if (!template) {
+    throw httpError(404, `Prompt template '${templateId}' was not found.`);
+  }
+  return template;
+}
+
+/**
+ * Finds a version of a template, or throws a 404.
+ */
+function requireVersion(template, version) {
+  const found = template.versions.find((entry) => entry.version === version);
+  if (!found) {
+    throw httpError(
+      404,
+      `Prompt template '${template.id}' has no version '${version}'.`
+    );
+  }
+  return found;
+}
+
+/**
+ * Returns a variable's type; declarations saved before types existed are
+ * numbers when their default is one and strings otherwise.
+ */
+function variableType(spec) {
+  return spec.type ?? (typeof spec.default === "number" ? "number" : "string");
+}
+
+/**
+ * Checks a value against a variable's declaration.
+ * @returns {string|null} Why the value is not accepted, or null if it is.
+ */
+function variableError(spec, value) {
+  const type = variableType(spec);
+  if (type === "string") {
+    const maxLength = spec.maxLength ?? DEFAULT_MAX_VARIABLE_LENGTH;
+    if (typeof value !== "string") return "must be a string";
+    if (/[\u0000-\u001f\u007f]/.test(value)) return "must be a single line";
+    if (value.length > maxLength) {
+      return `must be at most ${maxLength} characters`;
+    }
+    return null;
+  }
+  if (typeof value !== "number" || !Number.isFinite(value)) {
+    return "must be a number";
+  }
+  if (type === "integer" && !Number.isInteger(value)) {
+    return "must be an integer";
+  }
+  if (spec.minimum !== undefined && value < spec.minimum) {
+    return `must be at least ${spec.minimum}`;
+  }
+  if (spec.maximum !== undefined && value > spec.maximum) {
+    return `must be at most ${spec.maximum}`;
+  }
+  return null;
+}
+
+/**
+ * Checks one variable declaration (type, bounds and default) and returns the
+ * fields that are stored. Without a `type`, it follows the default's type.
+ */
+function checkVariableSpec(name, spec) {
+  const { minimum, maximum, maxLength, description } = spec ?? {};
+  const type = variableType(spec ?? {});
+  const invalid = (reason) =>
+    httpError(400, `Variable '${name}' ${reason}.`, { variable: name });
+
+  if (!VARIABLE_TYPES.includes(type)) {
+    throw invalid(`must have a type of ${VARIABLE_TYPES.join(", ")}`);
+  }
+  for (const [field, bound] of Object.entries({ minimum, maximum })) {
+    if (bound !== undefined && !Number.isFinite(bound)) {
+      throw invalid(`needs a numeric '${field}'`);
+    }
+  }
+  if (
+    maxLength !== undefined &&
+    !(Number.isInteger(maxLength) && maxLength > 0)
+  ) {
+    throw invalid("needs a positive integer 'maxLength'");
+  }
+  const checked = {
+    type,
+    ...(type !== "string" && minimum !== undefined && { minimum }),
+    ...(type !== "string" && maximum !== undefined && { maximum }),
+    ...(type === "string" && maxLength !== undefined && { maxLength }),
+  };
+  if (spec?.default !== undefined) {
+    const reason = variableError(checked, spec.default);
+    if (reason) throw invalid(`has a default that ${reason}`);
+    checked.default = spec.default;
+  }
+  if (description) checked.description = String(description);
+  return checked;
+}
+
+/**
+ * Validates a new version's text and variables; every placeholder must be
+ * declared as a variable.
+ */
+function checkVersionBody({ template, variables = {} }) {
+  if (typeof template !== "string" || !template.trim()) {
+    throw httpError(400, "A non-empty 'template' string is required.");
+  }
+  if (typeof variables !== "object" || Array.isArray(variables)) {
+    throw httpError(400, "'variables' must be an object keyed by name.");
+  }
+  const undeclared = [...template.matchAll(PLACEHOLDER)]
+    .map(([, name]) => name)
+    .filter((name) => !Object.hasOwn(variables, name));
+  if (undeclared.length > 0) {
+    throw httpError(400, "The template uses undeclared variables.", {
+      undeclaredVariables: [...new Set(undeclared)],
+    });
+  }
+  return {
+    template,
+    variables: Object.fromEntries(
+      Object.entries(variables).map(([name, spec]) => [
+        name,
+        checkVariableSpec(name, spec),
+      ])
+    ),
+  };
+}
+
+/**
+ * Checks an A/B experiment setting against a template's versions.
+ */
+function checkExperiment(template, experiment) {
+  if (experiment === null) return null;
+  const { candidateVersion, percent } = experiment ?? {};
+  requireVersion(template, candidateVersion);
+  if (typeof percent !== "number" || percent < 0 || percent > 100) {
+    throw httpError(400, "'experiment.percent' must be between 0 and 100.");
+  }
+  return { candidateVersion, percent };
+}
+
+/**
+ * Picks the active or the candidate version. A session always gets the same
+ * variant (so a conversation doesn't switch wording midway); calls without a
+ * session are split at random.
+ */
+function chooseVariant(template, sessionId) {
+  const { experiment } = template;
+  if (!experiment || experiment.candidateVersion === template.activeVersion) {
+    return { version: template.activeVersion, variant: "active" };
+  }
+  const bucket = sessionId
+    ? createHash("sha256")
+        .update(`${template.id}:${sessionId}`)
+        .digest()
+        .readUInt32BE(0) % 100
+    : Math.floor(Math.random() * 100);
+  return bucket < experiment.percent
+    ? { version: experiment.candidateVersion, variant: "candidate" }
+    : { version: template.activeVersion, variant: "active" };
+}
+
+/**
+ * Keeps the values a version declares a variable for, skipping undefined ones.
+ * A value that doesn't match its declaration throws a 400 when `strict` (values
+ * from the request) and is otherwise skipped, so the default applies.
+ */
+function declaredValues(entry, values, strict = false) {
+  const kept = {};
+  const invalid = {};
+  for (const [name, value] of Object.entries(values)) {
+    if (!Object.hasOwn(entry.variables, name) || value === undefined) continue;
+    const reason = variableError(entry.variables[name], value);
+    if (!reason) {
+      kept[name] = value;
+    } else if (strict) {
+      invalid[name] = reason;
+    }
+  }
+  if (Object.keys(invalid).length > 0) {
+    throw httpError(400, "Invalid prompt template variables.", {
+      invalidVariables: invalid,
+    });
+  }
+  return kept;
+}
+
+/**
+ * Fills a version's placeholders.
+ */
+function fill(entry, values) {
+  const missing = Object.keys(entry.variables).filter(
+    (name) => values[name] === undefined
+  );
+  if (missing.length > 0) {
+    throw httpError(400, "Missing prompt template variables.", {
+      missingVariables: missing,
+    });
+  }
+  return entry.template.replace(PLACEHOLDER, (_, name) => String(values[name]));
+}
+
+/**
+ * Describes a template without its version texts.
+ */
+function toSummary(template) {
+  return {
+    id: template.id,
+    description: template.description ?? "",
+    activeVersion: template.activeVersion,
+    latestVersion: template.versions[template.versions.length - 1].version,
+    experiment: template.experiment ?? null,
+    updatedAt: template.updatedAt ?? null,
+  };
+}
+
+// --- Main Functions ---
+
+/**
+ * Lists the prompt templates.
+ * @returns {Promise<object[]>} Template summaries, sorted by ID.
+ */
+export async function listPromptTemplates() {
+  const byId = new Map();
+  for (const template of await seedTemplates.list()) {
+    byId.set(template.id, template);
+  }
+  for (const template of await savedTemplates.list()) {
+    byId.set(template.id, template);
+  }
+  return [...byId.values()]
+    .map(toSummary)
+    .sort((a, b) => a.id.localeCompare(b.id));
+}
+
+/**
+ * Fetches a template with all of its versions.
+ * @param {string} templateId - The template ID.
+ * @returns {Promise<object>} The template.
+ */
+export async function getPromptTemplate(templateId) {
+  const template = await requireTemplate(templateId);
+  return { ...toSummary(template), versions: template.versions };
+}
+
+/**
+ * Creates a template with its first version (1.0.0 unless given).
+ * @param {object} details - { id, description, template, variables, version, notes }.
+ * @param {string} [userId] - The requesting user's ID.
+ * @returns {Promise<object>} The new template.
+ */
+export async function createPromptTemplate(
+  details,
+  userId = ANONYMOUS_USER.id
+) {
+  assertCanEdit(userId);
+  const { id, description = "", version = "1.0.0", notes } = details ?? {};
+  if (typeof id !== "string" || !TEMPLATE_ID.test(id)) {
+    throw httpError(
+      400,
+      "'id' must start with a letter and use only letters, digits and dashes."
+    );
+  }
+  if (!SEMVER.test(version)) {
+    throw httpError(400, "'version' must look like MAJOR.MINOR.PATCH.");
+  }
+  const body = checkVersionBody(details);
+
+  return withTemplateLock(id, async () => {
+    if (await loadTemplate(id)) {
+      throw httpError(409, `Prompt template '${id}' already exists.`);
+    }
+    const now = new Date().toISOString();
+    const template = await savedTemplates.create({
+      id,
+      description: String(description).slice(0, MAX_DESCRIPTION_LENGTH),
+      activeVersion: version,
+      experiment: null,
+      updatedAt: now,
+      versions: [
+        { version, ...body, notes, createdAt: now, createdBy: userId },
+      ],
+    });
+    return { ...toSummary(template), versions: template.versions };
+  });
+}
+
+/**
+ * Adds a version to a template. The version is either given explicitly
+ * (it must be higher than every existing one) or bumped from the latest.
+ * @param {string} templateId - The template ID.
+ * @param {object} details - { template, variables, version | bump, notes, activate }.
+ * @param {string} [userId] - The requesting user's ID.
+ * @returns {Promise<object>} The updated template summary and the new version.
+ */
+export async function addPromptTemplateVersion(
+  templateId,
+  details,
+  userId = ANONYMOUS_USER.id
+) {
+  assertCanEdit(userId);
+  const body = checkVersionBody(details ?? {});
+
+  return withTemplateLock(templateId, async () => {
+    const template = await requireTemplate(templateId);
+    const latest = template.versions[template.versions.length - 1].version;
+    const version =
+      details.version ?? bumpVersion(latest, details.bump ?? "minor");
+    if (!SEMVER.test(version) || compareVersions(version, latest) <= 0) {
+      throw httpError(
+        400,
+        `'version' must be a MAJOR.MINOR.PATCH version above ${latest}.`
+      );
+    }
+
+    const entry = {
+      version,
+      ...body,
+      notes: details.notes,
+      createdAt: new Date().toISOString(),
+      createdBy: userId,
+    };
+    template.versions.push(entry);
+    if (details.activate) template.activeVersion = version;
+    template.updatedAt = entry.createdAt;
+    await savedTemplates.save(template);
+    return { ...toSummary(template), version: entry };
+  });
+}
+
+/**
+ * Changes a template's description, active version or A/B experiment
+ * (`experiment: null` ends it).
+ * @param {string} templateId - The template ID.
+ * @param {object} changes - { description, activeVersion, experiment }.
+ * @param {string} [userId] - The requesting user's ID.
+ * @returns {Promise<object>} The updated template summary.
+ */
+export async function updatePromptTemplate(
+  templateId,
+  changes,
+  userId = ANONYMOUS_USER.id
+) {
+  assertCanEdit(userId);
+  const { description, activeVersion, experiment } = changes ?? {};
+
+  return withTemplateLock(templateId, async () => {
+    const template = await requireTemplate(templateId);
+    if (description !== undefined) {
+      template.description = String(description).slice(
+        0,
+        MAX_DESCRIPTION_LENGTH
+      );
+    }
+    if (activeVersion !== undefined) {
+      requireVersion(template, activeVersion);
+      template.activeVersion = activeVersion;
+    }
+    if (experiment !== undefined) {
+      template.experiment = checkExperiment(template, experiment);
+    }
+    template.updatedAt = new Date().toISOString();
+    await savedTemplates.save(template);
+    return toSummary(template);
+  });
+}
+
+/**
+ * Deletes a template. Seed templates and templates a content type uses can't
+ * be deleted.
+ * @param {string} templateId - The template ID.
+ * @param {string} [userId] - The requesting user's ID.
+ */
+export async function deletePromptTemplate(
+  templateId,
+  userId = ANONYMOUS_USER.id
+) {
+  assertCanEdit(userId);
+  await requireTemplate(templateId);
+  if (await seedTemplates.get(templateId)) {
+    throw httpError(
+      409,
+      `Prompt template '${templateId}' ships with the server and can't be deleted.`
+    );
+  }
+  const inUseBy = listContentTypes()
+    .filter((type) => type.promptTemplate === templateId)
+    .map((type) => type.name);
+  if (inUseBy.length > 0) {
+    throw httpError(409, `Prompt template '${templateId}' is in use.`, {
+      contentTypes: inUseBy,
+    });
+  }
+  await withTemplateLock(templateId, () => savedTemplates.delete(templateId));
+}
+
+/**
+ * Renders the system instruction for a content type. Types with a
+ * `promptTemplate` use the template library (honouring any A/B experiment);
+ * others use their inline `systemInstruction`.
+ * @param {object} contentType - The content type definition.
+ * @param {string} prompt - The user's prompt.
+ * @param {object} [options]
+ * @param {object} [options.variables] - Values supplied by the request.
+ * @param {string} [options.sessionId] - Keeps a session on one A/B variant.
+ * @returns {Promise<{text: string, template: {id: string, version: string, variant: string}|null}>}
+ */
+export async function renderSystemInstruction(
+  contentType,
+  prompt,
+  options = {}
+) {
+  if (!contentType.promptTemplate) {
+    return {
+      text: resolveSystemInstruction(contentType, prompt),
+      template: null,
+    };
+  }
+
+  const template = await requireTemplate(contentType.promptTemplate);
+  const { version, variant } = chooseVariant(template, options.sessionId);
+  const entry = requireVersion(template, version);
+  const defaults = Object.fromEntries(
+    Object.entries(entry.variables).map(([name, spec]) => [name, spec.default])
+  );
+  const derived = contentType.promptVariables?.(prompt) ?? {};
+
+  return {
+    text: fill(entry, {
+      ...defaults,
+      ...declaredValues(entry, derived),
+      ...declaredValues(entry, options.variables ?? {}, true),
+    }),
+    template: { id: template.id, version, variant },
+  };
+}
@@ -0,0 +1,45 @@
+/**
+ * Quotes a CSV field when it contains a delimiter, quote or newline. Text
+ * starting with =, +, -, @, a tab or a carriage return would run as a formula
+ * in Excel or Sheets, so it is prefixed with an apostrophe first.
+ */
+function csvField(value) {
+  let text = String(value ?? "");
+  if (typeof value !== "number" && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Renders checked quiz questions as a flat CSV with one row per question.
+ * Columns: questionNumber, question, choiceA..choiceN, correctAnswer, correctChoice.
+ * @param {object} quiz - The quiz (unused beyond the questions).
+ * @param {object[]} questions - The output of checkQuiz().questions.
+ * @returns {string} The CSV text.
+ */
+export function renderCsv(quiz, questions) {
+  const choiceCount = Math.max(0, ...questions.map((q) => q.choices.length));
+  const letters = Array.from({ length: choiceCount }, (_, index) =>
+    String.fromCharCode(65 + index)
+  );
+
+  const header = [
+    "questionNumber",
+    "question",
+    ...letters.map((letter) => `choice${letter}`),
+    "correctAnswer",
+    "correctChoice",
+  ];
+  const rows = questions.map((question) => [
+    question.questionNumber,
+    question.question,
+    ...letters.map((_, index) => question.choices[index] ?? ""),
+    question.choices[question.correctIndex],
+    letters[question.correctIndex],
+  ]);
+
+  return `${[header, ...rows]
+    .map((row) => row.map(csvField).join(","))
+    .join("\r\n")}\r\n`;
+}
@@ -0,0 +1,35 @@
+/**
+ * Escapes the characters GIFT treats as markup.
+ */
+function escapeGift(text) {
+  return String(text)
+    .replace(/\\/g, "\\\\")
+    .replace(/([~=#{}:])/g, "\\$1")
+    .replace(/\r?\n/g, "\\n");
+}
+
+/**
+ * Renders checked quiz questions in Moodle's GIFT format.
+ * @param {object} quiz - The quiz (uses `title`).
+ * @param {object[]} questions - The output of checkQuiz().questions.
+ * @returns {string} The GIFT text.
+ */
+export function renderGift(quiz, questions) {
+  const blocks = questions.map((question) => {
+    const answers = question.choices
+      .map(
+        (choice, index) =>
+          `\t${index === question.correctIndex ? "=" : "~"}${escapeGift(
+            choice
+          )}`
+      )
+      .join("\n");
+    return `// Question ${question.questionNumber}\n::Q${
+      question.questionNumber
+    }::${escapeGift(question.question)} {\n${answers}\n}`;
+  });
+
+  return `// ${String(quiz.title || "Quiz").replace(/\r?\n/g, " ")}\n\n${blocks.join(
+    "\n\n"
+  )}\n`;
+}
@@ -0,0 +1,75 @@
+import { httpError } from "../../utils/httpError.js";
+import { toFileName } from "../documentRenderers/documentModel.js";
+import { renderCsv } from "./csvExporter.js";
+import { renderGift } from "./giftExporter.js";
+import { renderQti } from "./qtiExporter.js";
+import { checkQuiz } from "./quizChecks.js";
+
+// --- Format Registry ---
+const FORMATS = {
+  gift: {
+    mimeType: "text/plain; charset=utf-8",
+    extension: "gift.txt",
+    render: renderGift,
+  },
+  qti: {
+    mimeType: "application/zip",
+    extension: "qti.zip",
+    render: renderQti,
+  },
+  csv: {
+    mimeType: "text/csv; charset=utf-8",
+    extension: "csv",
+    render: renderCsv,
+  },
+};
+
+/**
+ * Lists the quiz export formats.
+ * @returns {string[]} The supported format names.
+ */
+export function listQuizFormats() {
+  return Object.keys(FORMATS);
+}
+
+/**
+ * Exports a quiz for import into an LMS.
+ * Questions whose `correctAnswer` matches none of their `choices` are reported;
+ * by default they make the export fail with a 422, or with `skipInvalid` they
+ * are left out and listed in `skipped`.
+ * @param {object} quiz - The quiz (title, questions).
+ * @param {string} format - One of listQuizFormats().
+ * @param {object} [options]
+ * @param {boolean} [options.skipInvalid] - Export only the valid questions.
+ * @returns {Promise<{body: string|Buffer, mimeType: string, fileName: string, skipped: object[]}>}
+ */
+export async function exportQuiz(quiz, format, options = {}) {
+  const entry = FORMATS[String(format || "").toLowerCase()];
+  if (!entry) {
+    throw httpError(
+      400,
+      `Unsupported quiz format '${format}'. Use one of: ${listQuizFormats().join(
+        ", "
+      )}.`
+    );
+  }
+
+  const { questions, issues } = checkQuiz(quiz);
+  if (issues.length > 0 && !options.skipInvalid) {
+    throw httpError(
+      422,
+      "Some questions cannot be exported. Fix them or pass skipInvalid=true.",
+      { issues }
+    );
+  }
+  if (questions.length === 0) {
+    throw httpError(422, "The quiz has no exportable questions.", { issues });
+  }
+
+  return {
+    body: await entry.render(quiz, questions),
+    mimeType: entry.mimeType,
+    fileName: toFileName(quiz.title || "quiz", entry.extension),
+    skipped: issues,
+  };
+}
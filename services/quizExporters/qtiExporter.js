@@ -0,0 +1,138 @@
+import JSZip from "jszip";
+
+const QTI_NS = "http://www.imsglobal.org/xsd/imsqti_v2p1";
+const QTI_XSD = "http://www.imsglobal.org/xsd/qti/qtiv2p1/imsqti_v2p1.xsd";
+
+/**
+ * Escapes text for XML content and attributes.
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+/**
+ * Builds one single-choice assessmentItem.
+ */
+function renderItem(question, itemId) {
+  const choices = question.choices
+    .map(
+      (choice, index) =>
+        `        <simpleChoice identifier="C${index + 1}">${escapeXml(
+          choice
+        )}</simpleChoice>`
+    )
+    .join("\n");
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<assessmentItem xmlns="${QTI_NS}" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+  xsi:schemaLocation="${QTI_NS} ${QTI_XSD}"
+  identifier="${itemId}" title="Question ${escapeXml(
+    question.questionNumber
+  )}" adaptive="false" timeDependent="false">
+  <responseDeclaration identifier="RESPONSE" cardinality="single" baseType="identifier">
+    <correctResponse>
+      <value>C${question.correctIndex + 1}</value>
+    </correctResponse>
+  </responseDeclaration>
+  <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float">
+    <defaultValue>
+      <value>0</value>
+    </defaultValue>
+  </outcomeDeclaration>
+  <itemBody>
+    <choiceInteraction responseIdentifier="RESPONSE" shuffle="false" maxChoices="1">
+      <prompt>${escapeXml(question.question)}</prompt>
+${choices}
+    </choiceInteraction>
+  </itemBody>
+  <responseProcessing template="http://www.imsglobal.org/question/qti_v2p1/rptemplates/match_correct"/>
+</assessmentItem>
+`;
+}
+
+/**
+ * Builds the assessmentTest that references every item.
+ */
+function renderTest(quiz, itemIds) {
+  const refs = itemIds
+    .map(
+      (id) =>
+        `      <assessmentItemRef identifier="${id}" href="items/${id}.xml"/>`
+    )
+    .join("\n");
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<assessmentTest xmlns="${QTI_NS}" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+  xsi:schemaLocation="${QTI_NS} ${QTI_XSD}"
+  identifier="TEST" title="${escapeXml(quiz.title || "Quiz")}">
+  <testPart identifier="PART1" navigationMode="linear" submissionMode="individual">
+    <assessmentSection identifier="SECTION1" title="${escapeXml(
+      quiz.title || "Quiz"
+    )}" visible="true">
+${refs}
+    </assessmentSection>
+  </testPart>
+</assessmentTest>
+`;
+}
+
+/**
+ * Builds the IMS content package manifest.
+ */
+function renderManifest(itemIds) {
+  const itemResources = itemIds
+    .map(
+      (
+        id
+      ) => `    <resource identifier="RES-${id}" type="imsqti_item_xmlv2p1" href="items/${id}.xml">
+      <file href="items/${id}.xml"/>
+    </resource>`
+    )
+    .join("\n");
+  const dependencies = itemIds
+    .map((id) => `      <dependency identifierref="RES-${id}"/>`)
+    .join("\n");
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<manifest xmlns="http://www.imsglobal.org/xsd/imscp_v1p1" identifier="MANIFEST-QUIZ">
+  <organizations/>
+  <resources>
+    <resource identifier="RES-TEST" type="imsqti_test_xmlv2p1" href="assessmentTest.xml">
+      <file href="assessmentTest.xml"/>
+${dependencies}
+    </resource>
+${itemResources}
+  </resources>
+</manifest>
+`;
+}
+
+/**
+ * Renders checked quiz questions as an IMS QTI 2.1 content package (.zip with
+ * imsmanifest.xml, an assessmentTest and one assessmentItem per question).
+ * @param {object} quiz - The quiz (uses `title`).
+ * @param {object[]} questions - The output of checkQuiz().questions.
+ * @returns {Promise<Buffer>} The zip file contents.
+ */
+export async function renderQti(quiz, questions) {
+  // Identifiers come from the position, not questionNumber, so they are
+  // always unique and safe in XML attributes, hrefs and zip paths.
+  const itemIds = questions.map((question, index) => `Q${index + 1}`);
+  const zip = new JSZip();
+
+  zip.file("imsmanifest.xml", renderManifest(itemIds));
+  zip.file("assessmentTest.xml", renderTest(quiz, itemIds));
+  questions.forEach((question, index) => {
+    zip.file(
+      `items/${itemIds[index]}.xml`,
+      renderItem(question, itemIds[index])
+    );
+  });
+
+  return zip.generateAsync({ type: "nodebuffer", compression: "DEFLATE" });
+}
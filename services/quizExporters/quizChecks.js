@@ -0,0 +1,34 @@
+import { resolveChoiceIndex } from "../quizService.js";
+
+/**
+ * Checks every question of a quiz for problems that would break an LMS
+ * import, chiefly a `correctAnswer` that matches none of the `choices`.
+ * @param {object} quiz - The quiz (title, questions).
+ * @returns {{questions: object[], issues: {questionNumber: number, problem: string}[]}}
+ *   `questions` holds the usable questions, each with a `correctIndex`.
+ */
+export function checkQuiz(quiz) {
+  const questions = [];
+  const issues = [];
+
+  (quiz.questions ?? []).forEach((question, position) => {
+    const questionNumber = question.questionNumber ?? position + 1;
+    const choices = Array.isArray(question.choices) ? question.choices : [];
+
+    if (choices.length < 2) {
+      issues.push({ questionNumber, problem: "Needs at least two choices." });
+      return;
+    }
+    const correctIndex = resolveChoiceIndex(choices, question.correctAnswer);
+    if (correctIndex === -1) {
+      issues.push({
+        questionNumber,
+        problem: `correctAnswer '${question.correctAnswer}' does not match any of the choices.`,
+      });
+      return;
+    }
+    questions.push({ ...question, questionNumber, choices, correctIndex });
+  });
+
+  return { questions, issues };
+}
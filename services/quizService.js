@@ -0,0 +1,278 @@
+import { randomUUID } from "crypto";
+import { httpError } from "../utils/httpError.js";
+import { createKeyedLock } from "../utils/keyedLock.js";
+import { ANONYMOUS_USER } from "./authService.js";
+import { validateAgainstSchema } from "./contentTypes/schemaValidator.js";
+import { QuizSchema } from "./contentTypes/schemas.js";
+import { createRecordStore } from "./storage/index.js";
+
+// --- Configuration ---
+// How many submissions one quiz accepts (0 = no limit). Submitting needs no
+// account, so this bounds what anonymous callers can store; the route is also
+// rate limited per client.
+const MAX_SUBMISSIONS_PER_QUIZ = Number(
+  process.env.QUIZ_MAX_SUBMISSIONS ?? 500
+);
+
+// --- Quiz Storage ---
+const quizzes = createRecordStore("quizzes");
+const submissions = createRecordStore("quiz-submissions");
+// Serialises submissions to one quiz so its submission count stays exact.
+const withQuizLock = createKeyedLock();
+
+// --- Helper Functions ---
+
+/**
+ * Loads a quiz or throws a 404.
+ */
+async function requireQuiz(quizId) {
+  const quiz = await quizzes.get(quizId);
+  if (!quiz) {
+    throw httpError(404, `Quiz '${quizId}' was not found.`);
+  }
+  return quiz;
+}
+
+/**
+ * Loads a quiz for its owner (the teacher who generated or stored it), or
+ * throws a 403 for anyone else.
+ */
+async function requireOwnedQuiz(quizId, userId = ANONYMOUS_USER.id) {
+  const quiz = await requireQuiz(quizId);
+  if ((quiz.ownerId ?? ANONYMOUS_USER.id) !== userId) {
+    throw httpError(403, "You do not have access to this quiz's answers.");
+  }
+  return quiz;
+}
+
+/**
+ * Normalises an answer for comparison (case, whitespace, trailing punctuation).
+ */
+function normalize(value) {
+  return String(value ?? "")
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .replace(/[.]+$/, "");
+}
+
+/**
+ * Strips a leading choice label such as "A) ", "b. " or "(C) ".
+ */
+function stripChoiceLabel(value) {
+  return String(value ?? "").replace(/^\(?[a-z]\s*[).:-]\s+/i, "");
+}
+
+/**
+ * Resolves an answer to the index of the choice it refers to. Accepts the
+ * choice text (with or without an "A) " label) or a bare letter like "B".
+ * @param {string[]} choices - The question's choices.
+ * @param {*} value - The answer to resolve.
+ * @returns {number} The choice index, or -1 if it matches no choice.
+ */
+export function resolveChoiceIndex(choices, value) {
+  const target = normalize(value);
+  if (!target) return -1;
+
+  let index = choices.findIndex((choice) => normalize(choice) === target);
+  if (index !== -1) return index;
+
+  const bare = normalize(stripChoiceLabel(value));
+  index = choices.findIndex(
+    (choice) => normalize(stripChoiceLabel(choice)) === bare
+  );
+  if (index !== -1) return index;
+
+  if (/^[a-z]$/.test(target)) {
+    const letterIndex = target.charCodeAt(0) - "a".charCodeAt(0);
+    if (letterIndex < choices.length) return letterIndex;
+  }
+  return -1;
+}
+
+/**
+ * Accepts answers as `{ "1": "Paris" }` (keyed by questionNumber) or as
+ * `[{ questionNumber: 1, answer: "Paris" }]` and returns a Map.
+ */
+function answersByQuestion(answers) {
+  if (Array.isArray(answers)) {
+    return new Map(
+      answers.map((entry) => [Number(entry?.questionNumber), entry?.answer])
+    );
+  }
+  if (answers && typeof answers === "object") {
+    return new Map(
+      Object.entries(answers).map(([key, answer]) => [Number(key), answer])
+    );
+  }
+  throw httpError(
+    400,
+    "'answers' must be an object keyed by questionNumber or an array of { questionNumber, answer }."
+  );
+}
+
+/**
+ * Removes the answer key from a quiz so it can be handed to students.
+ */
+function toStudentView(quiz) {
+  return {
+    id: quiz.id,
+    title: quiz.title,
+    createdAt: quiz.createdAt,
+    questions: quiz.questions.map(({ questionNumber, question, choices }) => ({
+      questionNumber,
+      question,
+      choices,
+    })),
+  };
+}
+
+/**
+ * Removes the answer key and the stored answers from a graded submission so
+ * it can be returned to the student who sent it.
+ */
+function toSubmitterView(submission) {
+  const { results, ...totals } = submission;
+  return {
+    ...totals,
+    results: results.map(({ questionNumber, answered, correct }) => ({
+      questionNumber,
+      answered,
+      correct,
+    })),
+  };
+}
+
+// --- Main Service Functions ---
+
+/**
+ * Checks that a quiz matches QuizSchema, or throws a 400 listing what's wrong.
+ * @param {object} quiz - The quiz JSON (title, questions).
+ */
+export function assertValidQuiz(quiz) {
+  const errors = validateAgainstSchema(quiz, QuizSchema);
+  if (errors.length > 0) {
+    throw httpError(400, "The quiz does not match the quiz schema.", {
+      validationErrors: errors,
+    });
+  }
+}
+
+/**
+ * Stores a QuizSchema response and assigns it an ID.
+ * @param {object} quiz - The parsed quiz JSON (title, questions).
+ * @param {object} [source] - Where the quiz came from, e.g. `{ sessionId, ownerId }`.
+ * @returns {Promise<object>} The stored quiz, including its answer key.
+ */
+export async function saveQuiz(quiz, source = {}) {
+  assertValidQuiz(quiz);
+
+  return quizzes.create({
+    id: randomUUID(),
+    title: quiz.title,
+    questions: quiz.questions,
+    sessionId: source.sessionId ?? null,
+    ownerId: source.ownerId ?? ANONYMOUS_USER.id,
+    createdAt: new Date().toISOString(),
+  });
+}
+
+/**
+ * Returns the student view of a quiz (no correct answers).
+ * @param {string} quizId - The quiz ID.
+ * @returns {Promise<object>} The quiz without `correctAnswer` fields.
+ */
+export async function getStudentQuiz(quizId) {
+  return toStudentView(await requireQuiz(quizId));
+}
+
+/**
+ * Returns the full quiz including the answer key. Only the quiz's owner may
+ * see it.
+ * @param {string} quizId - The quiz ID.
+ * @param {string} [userId] - The requesting user's ID.
+ * @returns {Promise<object>} The stored quiz.
+ */
+export async function getQuizWithAnswers(quizId, userId) {
+  return requireOwnedQuiz(quizId, userId);
+}
+
+/**
+ * Scores a set of answers against a stored quiz and records the submission.
+ * The stored copy keeps the answers and the key for the quiz's owner; the
+ * student only gets their score and which questions they got right.
+ * @param {string} quizId - The quiz ID.
+ * @param {object|object[]} answers - The student's answers (see answersByQuestion).
+ * @param {object} [details]
+ * @param {string} [details.studentName] - An optional name to store with the submission.
+ * @returns {Promise<object>} The score, totals and per-question correctness.
+ * @throws {Error} A 409 once the quiz has QUIZ_MAX_SUBMISSIONS submissions.
+ */
+export async function gradeSubmission(quizId, answers, details = {}) {
+  const given = answersByQuestion(answers);
+  return withQuizLock(quizId, async () => {
+    const quiz = await requireQuiz(quizId);
+    const submissionCount = quiz.submissionCount ?? 0;
+    if (
+      MAX_SUBMISSIONS_PER_QUIZ > 0 &&
+      submissionCount >= MAX_SUBMISSIONS_PER_QUIZ
+    ) {
+      throw httpError(
+        409,
+        `This quiz is closed: it already has ${MAX_SUBMISSIONS_PER_QUIZ} submissions.`
+      );
+    }
+
+    const results = quiz.questions.map((question) => {
+      const answer = given.get(question.questionNumber) ?? null;
+      const correctIndex = resolveChoiceIndex(
+        question.choices,
+        question.correctAnswer
+      );
+      const answerIndex = resolveChoiceIndex(question.choices, answer);
+      const correct =
+        answer !== null &&
+        (correctIndex !== -1
+          ? answerIndex === correctIndex
+          : normalize(answer) === normalize(question.correctAnswer));
+
+      return {
+        questionNumber: question.questionNumber,
+        answer,
+        answered: answer !== null,
+        correct,
+        correctAnswer: question.correctAnswer,
+      };
+    });
+
+    const score = results.filter((result) => result.correct).length;
+    const total = results.length;
+
+    const submission = await submissions.create({
+      id: randomUUID(),
+      quizId,
+      studentName: details.studentName ?? null,
+      submittedAt: new Date().toISOString(),
+      score,
+      total,
+      percentage: total ? Math.round((score / total) * 10000) / 100 : 0,
+      results,
+    });
+    await quizzes.save({ ...quiz, submissionCount: submissionCount + 1 });
+    return toSubmitterView(submission);
+  });
+}
+
+/**
+ * Lists the submissions recorded for a quiz, newest first. Only the quiz's
+ * owner may see them.
+ * @param {string} quizId - The quiz ID.
+ * @param {string} [userId] - The requesting user's ID.
+ * @returns {Promise<object[]>} The graded submissions.
+ */
+export async function listSubmissions(quizId, userId) {
+  await requireOwnedQuiz(quizId, userId);
+  return (await submissions.list())
+    .filter((submission) => submission.quizId === quizId)
+    .sort((a, b) => Date.parse(b.submittedAt) - Date.parse(a.submittedAt));
+}
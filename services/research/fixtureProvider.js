@@ -0,0 +1,48 @@
+import "dotenv/config";
+import fs from "fs";
+import { dirname, join } from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+// A JSON file of canned results (see fixtures/sample.json for the format).
+const FIXTURES_FILE =
+  process.env.RESEARCH_FIXTURES_FILE ||
+  join(__dirname, "fixtures", "sample.json");
+
+let fixtures = null;
+
+/**
+ * Loads the fixture file once.
+ */
+function loadFixtures() {
+  if (!fixtures) {
+    fixtures = JSON.parse(fs.readFileSync(FIXTURES_FILE, "utf8"));
+  }
+  return fixtures;
+}
+
+/**
+ * Returns canned results from a local file, so research runs offline and
+ * deterministically (tests, evals, demos). The first entry whose `match`
+ * keywords all appear in the query wins; otherwise `default` is used.
+ */
+export const fixtureProvider = {
+  name: "fixture",
+
+  async search(query, { maxResults }) {
+    const { entries = [], default: fallback = [] } = loadFixtures();
+    const lowerQuery = query.toLowerCase();
+    const entry = entries.find((candidate) =>
+      []
+        .concat(candidate.match)
+        .every((keyword) => lowerQuery.includes(String(keyword).toLowerCase()))
+    );
+
+    return {
+      sources: (entry?.results ?? fallback).slice(0, maxResults),
+      notes: entry?.notes ?? "",
+      grounding: null,
+    };
+  },
+};
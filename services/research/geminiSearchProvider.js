@@ -0,0 +1,65 @@
+import "dotenv/config";
+import { withRetry } from "../../utils/withRetry.js";
+import { getLLMProvider } from "../llmProviders/index.js";
+import { recordUsage } from "../usageService.js";
+
+const RESEARCH_MODEL = process.env.RESEARCH_MODEL || "gemini-2.5-flash";
+
+/**
+ * Researches a query with Gemini's Google Search grounding tool.
+ *
+ * Search grounding can't be combined with a JSON response schema, so it runs
+ * as its own call; the grounded sources are then handed to the structured
+ * generation step.
+ */
+export const geminiSearchProvider = {
+  name: "gemini",
+
+  async search(query, { userId, maxResults }) {
+    const result = await withRetry(
+      () =>
+        getLLMProvider().generateContent({
+          model: RESEARCH_MODEL,
+          contents: [{ role: "user", parts: [{ text: query }] }],
+          config: {
+            systemInstruction:
+              "Research the user's topic on the web. Report the key facts, figures and viewpoints you find in concise notes.",
+            tools: [{ googleSearch: {} }],
+          },
+        }),
+      3,
+      1000
+    );
+    await recordUsage(userId, "research", RESEARCH_MODEL, result.usageMetadata);
+
+    const metadata = result.candidates?.[0]?.groundingMetadata ?? {};
+    const chunks = metadata.groundingChunks ?? [];
+    const supports = metadata.groundingSupports ?? [];
+
+    // The supported text segments double as snippets for their sources.
+    const sources = chunks
+      .map((chunk, index) => ({
+        title: chunk.web?.title || chunk.web?.uri || "",
+        url: chunk.web?.uri || "",
+        snippet: supports
+          .filter((support) => support.groundingChunkIndices?.includes(index))
+          .map((support) => support.segment?.text)
+          .filter(Boolean)
+          .join(" "),
+      }))
+      .filter((source) => source.url)
+      .slice(0, maxResults);
+
+    return {
+      sources,
+      notes: result.text ?? "",
+      grounding: {
+        webSearchQueries: metadata.webSearchQueries ?? [],
+        supports: supports.map((support) => ({
+          text: support.segment?.text ?? "",
+          sourceIndexes: support.groundingChunkIndices ?? [],
+        })),
+      },
+    };
+  },
+};
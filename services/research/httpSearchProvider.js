@@ -0,0 +1,79 @@
+import "dotenv/config";
+
+// --- Configuration ---
+/*
+ * Any JSON search API can be used:
+ *   RESEARCH_HTTP_URL          - endpoint; "{query}" and "{count}" are replaced
+ *                                (e.g. https://search.example.com/api?q={query}&n={count})
+ *   RESEARCH_HTTP_API_KEY      - optional key, sent in RESEARCH_HTTP_API_KEY_HEADER
+ *                                (default "Authorization", as "Bearer <key>")
+ *   RESEARCH_HTTP_RESULTS_PATH - dot path to the results array (default "results")
+ * Each result needs a url/link and may have a title/name and snippet/description/content.
+ */
+const SEARCH_URL = process.env.RESEARCH_HTTP_URL;
+const API_KEY = process.env.RESEARCH_HTTP_API_KEY;
+const API_KEY_HEADER =
+  process.env.RESEARCH_HTTP_API_KEY_HEADER || "Authorization";
+const RESULTS_PATH = process.env.RESEARCH_HTTP_RESULTS_PATH || "results";
+const TIMEOUT_MS = Number(process.env.RESEARCH_HTTP_TIMEOUT_MS || 10000);
+
+/**
+ * Reads a value at a dot-separated path ("data.items").
+ */
+function getPath(value, path) {
+  return path
+    .split(".")
+    .filter(Boolean)
+    .reduce((current, key) => current?.[key], value);
+}
+
+/**
+ * Researches a query through a generic JSON search API.
+ */
+export const httpSearchProvider = {
+  name: "http",
+
+  async search(query, { maxResults }) {
+    if (!SEARCH_URL) {
+      throw new Error("RESEARCH_HTTP_URL is not set.");
+    }
+
+    const url = SEARCH_URL.replace(
+      "{query}",
+      encodeURIComponent(query)
+    ).replace("{count}", String(maxResults));
+    const headers = { Accept: "application/json" };
+    if (API_KEY) {
+      headers[API_KEY_HEADER] =
+        API_KEY_HEADER === "Authorization" ? `Bearer ${API_KEY}` : API_KEY;
+    }
+
+    const response = await fetch(url, {
+      headers,
+      signal: AbortSignal.timeout(TIMEOUT_MS),
+    });
+    if (!response.ok) {
+      throw new Error(`Search API responded with ${response.status}.`);
+    }
+
+    const results = getPath(await response.json(), RESULTS_PATH);
+    if (!Array.isArray(results)) {
+      throw new Error(`Search API response has no '${RESULTS_PATH}' array.`);
+    }
+
+    return {
+      sources: results
+        .map((result) => ({
+          title: String(result.title ?? result.name ?? ""),
+          url: String(result.url ?? result.link ?? ""),
+          snippet: String(
+            result.snippet ?? result.description ?? result.content ?? ""
+          ),
+        }))
+        .filter((source) => source.url)
+        .slice(0, maxResults),
+      notes: "",
+      grounding: null,
+    };
+  },
+};
@@ -0,0 +1,166 @@
+import "dotenv/config";
+import { fixtureProvider } from "./fixtureProvider.js";
+import { geminiSearchProvider } from "./geminiSearchProvider.js";
+import { httpSearchProvider } from "./httpSearchProvider.js";
+
+// --- Configuration ---
+// RESEARCH_PROVIDER picks where research comes from: "gemini" (Google Search
+// grounding), "http" (see ./httpSearchProvider.js), "fixture" (offline) or
+// "none" (the default) to disable research. With "gemini" every presentation
+// and document request makes an extra grounded model call first, which adds
+// its cost and latency to the request.
+const PROVIDER_NAME = process.env.RESEARCH_PROVIDER || "none";
+const MAX_SOURCES = Number(process.env.RESEARCH_MAX_SOURCES || 5);
+const MAX_QUERY_CHARS = 400;
+
+// --- Provider Registry ---
+/*
+ * A research provider is { name, search(query, { userId, maxResults }) } and
+ * resolves to { sources: [{ title, url, snippet }], notes, grounding }.
+ */
+const PROVIDERS = {
+  gemini: geminiSearchProvider,
+  http: httpSearchProvider,
+  fixture: fixtureProvider,
+};
+
+if (PROVIDER_NAME !== "none" && !PROVIDERS[PROVIDER_NAME]) {
+  throw new Error(
+    `Unknown RESEARCH_PROVIDER '${PROVIDER_NAME}'. Use one of: ${[
+      ...Object.keys(PROVIDERS),
+      "none",
+    ].join(", ")}.`
+  );
+}
+
+// --- Helper Functions ---
+
+/**
+ * Normalizes a URL for comparison (case-insensitive host, no "www.", no
+ * fragment, no trailing slash).
+ */
+function normalizeUrl(url) {
+  try {
+    const parsed = new URL(String(url).trim());
+    const host = parsed.host.toLowerCase().replace(/^www\./, "");
+    const path = parsed.pathname.replace(/\/+$/, "");
+    return `${parsed.protocol}//${host}${path}${parsed.search}`;
+  } catch {
+    return String(url).trim();
+  }
+}
+
+/**
+ * Collects every http(s) URL that appears in a string anywhere in a value.
+ */
+function collectUrls(value, urls = new Set()) {
+  if (typeof value === "string") {
+    for (const [url] of value.matchAll(/https?:\/\/[^\s"'<>()[\]]+/g)) {
+      urls.add(url.replace(/[.,;:]+$/, ""));
+    }
+  } else if (Array.isArray(value)) {
+    value.forEach((item) => collectUrls(item, urls));
+  } else if (value && typeof value === "object") {
+    Object.values(value).forEach((item) => collectUrls(item, urls));
+  }
+  return urls;
+}
+
+// --- Main Functions ---
+
+/**
+ * Researches a prompt with the configured provider. A failing provider is
+ * reported in `error` rather than thrown, so generation can go ahead without
+ * sources.
+ * @param {string} prompt - The user's prompt, used as the search query.
+ * @param {object} [options]
+ * @param {string} [options.userId] - The user to bill model calls to.
+ * @returns {Promise<{provider: string, query: string, sources: object[], notes: string, grounding: object|null, error?: string}>}
+ *   Sources carry an `id` ("S1", "S2", ...) for the model to cite.
+ */
+export async function runResearch(prompt, options = {}) {
+  const query = prompt.slice(0, MAX_QUERY_CHARS);
+  const research = {
+    provider: PROVIDER_NAME,
+    query,
+    sources: [],
+    notes: "",
+    grounding: null,
+  };
+  if (PROVIDER_NAME === "none") return research;
+
+  try {
+    const found = await PROVIDERS[PROVIDER_NAME].search(query, {
+      userId: options.userId,
+      maxResults: MAX_SOURCES,
+    });
+    research.sources = found.sources.map((source, index) => ({
+      id: `S${index + 1}`,
+      ...source,
+    }));
+    research.notes = found.notes ?? "";
+    research.grounding = found.grounding ?? null;
+  } catch (error) {
+    console.warn(`Research with '${PROVIDER_NAME}' failed:`, error.message);
+    research.error =
+      "Research failed; the response was generated without sources.";
+  }
+  return research;
+}
+
+/**
+ * Renders research results as instructions for the generation model.
+ * @param {object} research - The result of runResearch.
+ * @returns {string} Text to append to the system instruction.
+ */
+export function toResearchNote(research) {
+  if (research.sources.length === 0) {
+    return "No research sources are available for this request. Do not invent sources or URLs; leave `sources` empty.";
+  }
+
+  const sourceList = research.sources
+    .map(
+      (source) =>
+        `[${source.id}] ${source.title}\nURL: ${source.url}\n${source.snippet}`
+    )
+    .join("\n\n");
+  return [
+    "Research sources (base the content on these; list the ones you use in `sources` with their exact title and URL, and never cite any other URL):",
+    sourceList,
+    research.notes ? `Research notes:\n${research.notes}` : null,
+  ]
+    .filter(Boolean)
+    .join("\n\n");
+}
+
+/**
+ * Checks the URLs a response cites against the research results. Each entry
+ * in `response.sources` gets a `verified` flag, and every cited URL that the
+ * provider didn't return is listed in `unverifiedUrls`.
+ * @param {object} response - The validated model response (updated in place).
+ * @param {object} research - The result of runResearch.
+ * @returns {object} The research summary for `meta.research`.
+ */
+export function checkCitations(response, research) {
+  const known = new Set(
+    research.sources.map((source) => normalizeUrl(source.url))
+  );
+
+  if (Array.isArray(response.sources)) {
+    for (const source of response.sources) {
+      source.verified = known.has(normalizeUrl(source.url));
+    }
+  }
+  const unverifiedUrls = [...collectUrls(response)].filter(
+    (url) => !known.has(normalizeUrl(url))
+  );
+
+  return {
+    provider: research.provider,
+    query: research.query,
+    sources: research.sources,
+    grounding: research.grounding,
+    unverifiedUrls,
+    ...(research.error && { error: research.error }),
+  };
+}
@@ -0,0 +1,257 @@
+import { randomUUID } from "crypto";
+import { httpError } from "../utils/httpError.js";
+import { ANONYMOUS_USER } from "./authService.js";
+import { describeFile, prepareFileParts } from "./fileService.js";
+import { listImages } from "./imageService.js";
+import {
+  createSession,
+  deleteSession,
+  getSession,
+  listSessions,
+  saveSession,
+  updateSession,
+} from "./sessionStore/index.js";
+
+const MAX_TITLE_LENGTH = 120;
+
+// --- Helper Functions ---
+
+/**
+ * Returns the owner of a session. Sessions created before ownership was
+ * tracked belong to the anonymous user.
+ */
+function ownerOf(session) {
+  return session.ownerId ?? ANONYMOUS_USER.id;
+}
+
+/**
+ * Extracts the text of a stored message's parts.
+ */
+function partsToText(parts = []) {
+  return parts
+    .filter((part) => typeof part.text === "string")
+    .map((part) => part.text)
+    .join("\n");
+}
+
+/**
+ * Describes the attachments of a user message (every part after the prompt)
+ * without returning their data. Documents sent as extracted text show up as
+ * text/plain.
+ */
+function partsToAttachments(parts = []) {
+  return parts.slice(1).map((part) => ({
+    mimeType:
+      part.inlineData?.mimeType ||
+      part.fileData?.mimeType ||
+      part.fileRef?.mimeType ||
+      ("text" in part ? "text/plain" : null),
+  }));
+}
+
+/**
+ * Parses a model message back into the structured JSON it was generated as.
+ */
+function parseModelResponse(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Groups a Gemini-style history into user/model exchanges ("turns").
+ * A user message without a reply still becomes a turn, with a null response.
+ */
+function historyToTurns(history) {
+  const turns = [];
+  for (const message of history) {
+    if (message.role === "user") {
+      turns.push({
+        index: turns.length,
+        prompt: partsToText(message.parts.slice(0, 1)),
+        attachments: partsToAttachments(message.parts),
+        response: null,
+      });
+    } else if (message.role === "model" && turns.length > 0) {
+      const turn = turns[turns.length - 1];
+      turn.response = parseModelResponse(partsToText(message.parts));
+    }
+  }
+  return turns;
+}
+
+/**
+ * Returns how many history messages make up the first `turnCount` turns.
+ */
+function historyLengthForTurns(history, turnCount) {
+  let seen = 0;
+  for (let i = 0; i < history.length; i++) {
+    if (history[i].role === "user") {
+      if (seen === turnCount) return i;
+      seen++;
+    }
+  }
+  return history.length;
+}
+
+/**
+ * Builds the lightweight summary used by the sessions list.
+ */
+function toSummary(session) {
+  const turns = historyToTurns(session.history);
+  return {
+    id: session.id,
+    title: session.title ?? (turns[0]?.prompt.slice(0, 60) || null),
+    createdAt: session.createdAt,
+    lastUsedAt: session.lastUsedAt,
+    turnCount: turns.length,
+    forkedFrom: session.forkedFrom ?? null,
+  };
+}
+
+// --- Main Service Functions ---
+
+/**
+ * Loads a session on behalf of a user, or throws a 404 if it does not exist
+ * and a 403 if it belongs to someone else.
+ * @param {string} sessionId - The session ID.
+ * @param {string} [userId] - The requesting user's ID.
+ * @returns {Promise<object>} The session.
+ */
+export async function requireOwnedSession(
+  sessionId,
+  userId = ANONYMOUS_USER.id
+) {
+  const session = await getSession(sessionId);
+  if (!session) {
+    throw httpError(404, `Session '${sessionId}' was not found.`);
+  }
+  if (ownerOf(session) !== userId) {
+    throw httpError(403, "You do not have access to this session.");
+  }
+  return session;
+}
+
+/**
+ * Lists a user's live sessions, most recently used first.
+ * @param {string} [userId] - The requesting user's ID.
+ * @returns {Promise<object[]>} Session summaries.
+ */
+export async function listChatSessions(userId = ANONYMOUS_USER.id) {
+  const sessions = await listSessions();
+  return sessions
+    .filter((session) => ownerOf(session) === userId)
+    .map(toSummary)
+    .sort((a, b) => Date.parse(b.lastUsedAt) - Date.parse(a.lastUsedAt));
+}
+
+/**
+ * Fetches a session with its full turn history and parsed responses.
+ * @param {string} sessionId - The session ID.
+ * @param {string} [userId] - The requesting user's ID.
+ * @returns {Promise<object>} The session summary plus `turns`, the `files`
+ *   uploaded so far (reusable via `fileIds`) and the `images` generated in it.
+ */
+export async function getChatSession(sessionId, userId) {
+  const session = await requireOwnedSession(sessionId, userId);
+  return {
+    ...toSummary(session),
+    turns: historyToTurns(session.history),
+    files: (session.files ?? []).map(describeFile),
+    images: await listImages(ownerOf(session), { sessionId }),
+  };
+}
+
+/**
+ * Stores uploads in a session without sending a message, so a later message
+ * (e.g. an async job that runs after the temp files are gone) can attach
+ * them by ID.
+ * @param {string} sessionId - The session ID.
+ * @param {object[]} uploads - File objects from multer.
+ * @param {string} [userId] - The requesting user's ID.
+ * @returns {Promise<object[]>} The stored files (see describeFile).
+ */
+export async function attachSessionFiles(sessionId, uploads, userId) {
+  await requireOwnedSession(sessionId, userId);
+  if (uploads.length === 0) return [];
+  const { files } = await prepareFileParts(uploads, [], null);
+  await updateSession(sessionId, (session) => {
+    session.files = [...(session.files ?? []), ...files];
+  });
+  return files.map(describeFile);
+}
+
+/**
+ * Sets a session's display title.
+ * @param {string} sessionId - The session ID.
+ * @param {string} title - The new title.
+ * @param {string} [userId] - The requesting user's ID.
+ * @returns {Promise<object>} The updated session summary.
+ */
+export async function renameChatSession(sessionId, title, userId) {
+  if (typeof title !== "string" || !title.trim()) {
+    throw httpError(400, "A non-empty 'title' string is required.");
+  }
+  await requireOwnedSession(sessionId, userId);
+  const session = await updateSession(sessionId, (stored) => {
+    stored.title = title.trim().slice(0, MAX_TITLE_LENGTH);
+  });
+  if (!session) {
+    throw httpError(404, `Session '${sessionId}' was not found.`);
+  }
+  return toSummary(session);
+}
+
+/**
+ * Creates a new session holding a copy of another session's history up to and
+ * including the given turn.
+ * @param {string} sessionId - The session to fork from.
+ * @param {number} [turn] - The zero-based turn index to branch at (defaults to the last turn).
+ * @param {string} [userId] - The requesting user's ID; they own the fork.
+ * @returns {Promise<object>} The new session summary.
+ */
+export async function forkChatSession(sessionId, turn, userId) {
+  const source = await requireOwnedSession(sessionId, userId);
+  const turnCount = historyToTurns(source.history).length;
+  const lastTurn = turn ?? turnCount - 1;
+
+  if (
+    turn !== undefined &&
+    (!Number.isInteger(turn) || turn < 0 || turn >= turnCount)
+  ) {
+    throw httpError(
+      400,
+      `'turn' must be an integer between 0 and ${turnCount - 1}.`
+    );
+  }
+
+  const fork = await createSession(randomUUID(), ownerOf(source));
+  fork.title = source.title ? `${source.title} (fork)` : null;
+  fork.forkedFrom = { sessionId: source.id, turn: lastTurn };
+  fork.history = structuredClone(
+    source.history.slice(0, historyLengthForTurns(source.history, lastTurn + 1))
+  );
+  // Uploaded files stay reusable in the fork.
+  fork.files = structuredClone(source.files ?? []);
+  // The rolling summary carries over unless it covers turns past the fork
+  // point; without it the fork's history is summarised again when needed.
+  if (
+    source.contextSummary &&
+    source.contextSummary.turnCount <= lastTurn + 1
+  ) {
+    fork.contextSummary = structuredClone(source.contextSummary);
+  }
+  return toSummary(await saveSession(fork));
+}
+
+/**
+ * Deletes a session.
+ * @param {string} sessionId - The session ID.
+ * @param {string} [userId] - The requesting user's ID.
+ */
+export async function deleteChatSession(sessionId, userId) {
+  await requireOwnedSession(sessionId, userId);
+  await deleteSession(sessionId);
+}
@@ -0,0 +1,174 @@
+import "dotenv/config";
+import { resolve } from "path";
+import { createKeyedLock } from "../../utils/keyedLock.js";
+import { createRecordStore } from "../storage/index.js";
+
+/*
+ * Sessions are kept in a record store (see ../storage/index.js). A session
+ * looks like:
+ *   { id, ownerId, title, createdAt, lastUsedAt, history: [{ role, parts }] }
+ * with ISO-8601 timestamps. TTL handling lives here, not in the stores, so a
+ * new backend only has to implement plain CRUD.
+ */
+
+// --- Configuration ---
+// SESSION_STORE / SESSION_STORE_DIR override the shared DATA_STORE / DATA_DIR.
+const STORE_KIND = process.env.SESSION_STORE;
+const STORE_DIR = process.env.SESSION_STORE_DIR
+  ? resolve(process.env.SESSION_STORE_DIR)
+  : undefined;
+const TTL_MS = Number(process.env.SESSION_TTL_MINUTES || 24 * 60) * 60 * 1000;
+const SWEEP_INTERVAL_MS =
+  Number(process.env.SESSION_SWEEP_INTERVAL_MINUTES || 10) * 60 * 1000;
+
+const store = createRecordStore("sessions", {
+  kind: STORE_KIND,
+  dir: STORE_DIR,
+});
+
+// Updates to the same session run one at a time, so none is lost; removing
+// an expired session takes the same lock, so it can't race a save.
+const withSessionLock = createKeyedLock();
+
+/** The kind of store sessions are kept in ("memory" or "file"). */
+export const sessionStoreKind = store.kind;
+
+// --- Helper Functions ---
+
+/**
+ * Checks whether a session has been idle for longer than the configured TTL.
+ * A TTL of 0 disables expiry.
+ */
+function isExpired(session, now = Date.now()) {
+  if (!TTL_MS) return false;
+  return now - Date.parse(session.lastUsedAt) > TTL_MS;
+}
+
+/**
+ * Loads a session, removing it if it has expired. Callers must hold the
+ * session's lock.
+ */
+async function readLiveSession(sessionId) {
+  const session = await store.get(sessionId);
+  if (!session) return null;
+  if (isExpired(session)) {
+    await store.delete(sessionId);
+    return null;
+  }
+  return session;
+}
+
+// --- Main Store Functions ---
+
+/**
+ * Creates and persists a new, empty session.
+ * @param {string} id - The session ID.
+ * @param {string} ownerId - The ID of the user the session belongs to.
+ * @returns {Promise<object>} The stored session.
+ */
+export async function createSession(id, ownerId) {
+  const now = new Date().toISOString();
+  return store.create({
+    id,
+    ownerId,
+    title: null,
+    createdAt: now,
+    lastUsedAt: now,
+    history: [],
+  });
+}
+
+/**
+ * Loads a session, treating expired sessions as missing (and removing them).
+ * @param {string} sessionId - The session ID.
+ * @returns {Promise<object|null>} The session, or null if it does not exist.
+ */
+export async function getSession(sessionId) {
+  const session = await store.get(sessionId);
+  if (!session) return null;
+  if (isExpired(session)) {
+    // Re-checked under the lock: an update may have just refreshed it.
+    await withSessionLock(sessionId, () => readLiveSession(sessionId));
+    return null;
+  }
+  return session;
+}
+
+/**
+ * Persists a session and refreshes its last-used timestamp.
+ * @param {object} session - The session to save.
+ * @returns {Promise<object>} The stored session.
+ */
+export async function saveSession(session) {
+  return store.save({ ...session, lastUsedAt: new Date().toISOString() });
+}
+
+/**
+ * Re-reads a session, applies `update` to it and saves it, with no other
+ * update to the same session in between. Use this rather than saveSession for
+ * sessions that other requests may change while this one runs.
+ * @param {string} sessionId - The session ID.
+ * @param {(session: object) => (void|Promise<void>)} update - Changes the session in place.
+ * @returns {Promise<object|null>} The stored session, or null if it no longer exists.
+ */
+export async function updateSession(sessionId, update) {
+  return withSessionLock(sessionId, async () => {
+    const session = await readLiveSession(sessionId);
+    if (!session) return null;
+    await update(session);
+    return saveSession(session);
+  });
+}
+
+/**
+ * Deletes a session.
+ * @param {string} sessionId - The session ID.
+ * @returns {Promise<boolean>} True if a session was removed.
+ */
+export async function deleteSession(sessionId) {
+  return withSessionLock(sessionId, () => store.delete(sessionId));
+}
+
+/**
+ * Lists all live (non-expired) sessions.
+ * @returns {Promise<object[]>} The sessions.
+ */
+export async function listSessions() {
+  const now = Date.now();
+  return (await store.list()).filter((session) => !isExpired(session, now));
+}
+
+/**
+ * Removes every session that has outlived the TTL.
+ * @returns {Promise<number>} The number of sessions removed.
+ */
+export async function sweepExpiredSessions() {
+  const now = Date.now();
+  const expired = (await store.list()).filter((session) =>
+    isExpired(session, now)
+  );
+  // Each is re-checked under its lock, in case a message just refreshed it.
+  const removed = await Promise.all(
+    expired.map(({ id }) =>
+      withSessionLock(id, async () => {
+        const current = await store.get(id);
+        if (!current || !isExpired(current)) return false;
+        return store.delete(id);
+      })
+    )
+  );
+  return removed.filter(Boolean).length;
+}
+
+// --- Background Sweeper ---
+if (TTL_MS && SWEEP_INTERVAL_MS) {
+  const sweeper = setInterval(() => {
+    sweepExpiredSessions()
+      .then((count) => {
+        if (count > 0) console.log(`Expired ${count} idle chat session(s).`);
+      })
+      .catch((error) => console.error("Session sweep failed:", error));
+  }, SWEEP_INTERVAL_MS);
+  // Don't keep the process alive just for the sweeper.
+  sweeper.unref();
+}
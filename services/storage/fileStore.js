@@ -0,0 +1,93 @@
+import { randomUUID } from "crypto";
+import fs from "fs/promises";
+import { join } from "path";
+
+// Record IDs are UUIDs or slugs; anything else could escape the store directory.
+const SAFE_ID = /^[A-Za-z0-9-]+$/;
+
+/**
+ * Creates a record store that persists each record as a JSON file, so data
+ * survives server restarts.
+ * @param {object} options
+ * @param {string} options.dir - The directory the record files are written to.
+ * @returns {object} A record store (see ./index.js for the interface).
+ */
+export function createFileStore({ dir }) {
+  let ready = null;
+
+  // Create the directory lazily so importing the module has no side effects.
+  const ensureDir = () => {
+    ready ??= fs.mkdir(dir, { recursive: true });
+    return ready;
+  };
+
+  const pathFor = (id) => {
+    if (!SAFE_ID.test(id)) {
+      return null;
+    }
+    return join(dir, `${id}.json`);
+  };
+
+  const readRecord = async (filePath) => {
+    try {
+      return JSON.parse(await fs.readFile(filePath, "utf8"));
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+  };
+
+  const writeRecord = async (record) => {
+    await ensureDir();
+    const filePath = pathFor(record.id);
+    if (!filePath) {
+      throw new Error(`Invalid record ID: ${record.id}`);
+    }
+    // Write to a temp file and rename so a crash never leaves half a record.
+    // The random suffix keeps concurrent saves of one record apart.
+    const tempPath = `${filePath}.${process.pid}.${randomUUID()}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(record), "utf8");
+    await fs.rename(tempPath, filePath);
+    return record;
+  };
+
+  return {
+    kind: "file",
+
+    async create(record) {
+      return writeRecord(record);
+    },
+
+    async get(id) {
+      const filePath = pathFor(String(id));
+      return filePath ? readRecord(filePath) : null;
+    },
+
+    async save(record) {
+      return writeRecord(record);
+    },
+
+    async delete(id) {
+      const filePath = pathFor(String(id));
+      if (!filePath) return false;
+      try {
+        await fs.unlink(filePath);
+        return true;
+      } catch (error) {
+        if (error.code === "ENOENT") return false;
+        throw error;
+      }
+    },
+
+    async list() {
+      await ensureDir();
+      const files = (await fs.readdir(dir)).filter((name) =>
+        name.endsWith(".json")
+      );
+      const records = await Promise.all(
+        files.map((name) => readRecord(join(dir, name)))
+      );
+      return records.filter(Boolean);
+    },
+  };
+}
@@ -0,0 +1,52 @@
+import "dotenv/config";
+import { dirname, join, resolve } from "path";
+import { fileURLToPath } from "url";
+import { createFileStore } from "./fileStore.js";
+import { createMemoryStore } from "./memoryStore.js";
+
+// --- File Path Setup ---
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+/*
+ * A record store is an object with the following async methods:
+ *   create(record) -> record
+ *   get(id)        -> record | null
+ *   save(record)   -> record
+ *   delete(id)     -> boolean
+ *   list()         -> record[]
+ *
+ * Every record is a JSON-serialisable object with a string `id`. Stores only
+ * do plain CRUD; expiry, ownership and validation belong to the services.
+ */
+
+// --- Configuration ---
+const DEFAULT_KIND = (process.env.DATA_STORE || "memory").toLowerCase();
+const DATA_DIR = process.env.DATA_DIR
+  ? resolve(process.env.DATA_DIR)
+  : join(__dirname, "..", "..", "data");
+
+const storeFactories = {
+  memory: () => createMemoryStore(),
+  file: (dir) => createFileStore({ dir }),
+};
+
+/**
+ * Creates a record store for one collection (e.g. "quizzes").
+ * @param {string} collection - The collection name; used as the sub-directory for file stores.
+ * @param {object} [options]
+ * @param {string} [options.kind] - "memory" or "file"; defaults to the DATA_STORE setting.
+ * @param {string} [options.dir] - Overrides the directory used by file stores.
+ * @returns {object} The record store.
+ */
+export function createRecordStore(collection, options = {}) {
+  const kind = (options.kind || DEFAULT_KIND).toLowerCase();
+  if (!storeFactories[kind]) {
+    throw new Error(
+      `Unknown store '${kind}' for '${collection}'. Use one of: ${Object.keys(
+        storeFactories
+      ).join(", ")}.`
+    );
+  }
+  return storeFactories[kind](options.dir || join(DATA_DIR, collection));
+}
@@ -0,0 +1,35 @@
+/**
+ * Creates a record store that keeps everything in process memory.
+ * Records are lost on restart; useful for local development and tests.
+ * @returns {object} A record store (see ./index.js for the interface).
+ */
+export function createMemoryStore() {
+  const records = new Map();
+
+  return {
+    kind: "memory",
+
+    async create(record) {
+      records.set(record.id, structuredClone(record));
+      return structuredClone(record);
+    },
+
+    async get(id) {
+      const record = records.get(id);
+      return record ? structuredClone(record) : null;
+    },
+
+    async save(record) {
+      records.set(record.id, structuredClone(record));
+      return structuredClone(record);
+    },
+
+    async delete(id) {
+      return records.delete(id);
+    },
+
+    async list() {
+      return [...records.values()].map((record) => structuredClone(record));
+    },
+  };
+}
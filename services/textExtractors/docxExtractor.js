@@ -0,0 +1,68 @@
+import {
+  findAttribute,
+  findElements,
+  openPackage,
+  readPart,
+  textOf,
+} from "./xmlText.js";
+
+// Top-level body blocks: tables and paragraphs, in document order.
+const BLOCK_PATTERN =
+  /<w:tbl>[\s\S]*?<\/w:tbl>|<w:p(?:\s[^>]*)?(?:\/>|>[\s\S]*?<\/w:p>)/g;
+
+/**
+ * Renders one paragraph, keeping headings and list items recognizable.
+ */
+function renderParagraph(paragraph) {
+  const text = textOf(paragraph, "w:t").trim();
+  if (!text) return null;
+
+  const style = findAttribute(paragraph, "w:pStyle", "w:val") ?? "";
+  if (/^Title$/i.test(style)) return `# ${text}`;
+  const heading = style.match(/^Heading(\d)$/i);
+  if (heading) {
+    const level = Math.min(Number(heading[1]) + 1, 6);
+    return `${"#".repeat(level)} ${text}`;
+  }
+  if (paragraph.includes("<w:numPr>")) return `- ${text}`;
+  return text;
+}
+
+/**
+ * Renders a table as one line per row with cells separated by " | ".
+ */
+function renderTable(table) {
+  return findElements(table, "w:tr")
+    .map((row) =>
+      findElements(row, "w:tc")
+        .map((cell) =>
+          findElements(cell, "w:p")
+            .map((paragraph) => textOf(paragraph, "w:t").trim())
+            .filter(Boolean)
+            .join(" ")
+        )
+        .join(" | ")
+    )
+    .join("\n");
+}
+
+/**
+ * Extracts the body text of a .docx file. Headings become Markdown headings
+ * so the document's sections stay visible to the model.
+ * @param {Buffer} buffer - The file contents.
+ * @returns {Promise<string>} The extracted text.
+ */
+export async function extractDocx(buffer) {
+  const zip = await openPackage(buffer);
+  const xml = await readPart(zip, "word/document.xml");
+  if (!xml) throw new Error("The file has no word/document.xml part.");
+
+  const blocks = [];
+  for (const [block] of xml.matchAll(BLOCK_PATTERN)) {
+    const text = block.startsWith("<w:tbl>")
+      ? renderTable(block)
+      : renderParagraph(block);
+    if (text) blocks.push(text);
+  }
+  return blocks.join("\n\n");
+}
@@ -0,0 +1,40 @@
+import { decodeEntities } from "./xmlText.js";
+
+/**
+ * Converts an HTML page to plain text. Headings become Markdown headings and
+ * list items become bullets so the page structure survives; scripts, styles
+ * and the <head> are dropped.
+ * @param {Buffer} buffer - The file contents.
+ * @returns {Promise<string>} The extracted text.
+ */
+export async function extractHtml(buffer) {
+  const html = buffer.toString("utf8");
+  const text = html
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .replace(/<(script|style|head|noscript|template)\b[\s\S]*?<\/\1>/gi, "")
+    .replace(
+      /<h([1-6])\b[^>]*>([\s\S]*?)<\/h\1>/gi,
+      (match, level, content) =>
+        `\n\n${"#".repeat(Number(level))} ${content}\n\n`
+    )
+    .replace(/<li\b[^>]*>/gi, "\n- ")
+    .replace(/<\/(td|th)>/gi, " | ")
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(
+      /<\/?(p|div|section|article|header|footer|main|aside|nav|ul|ol|table|tr|blockquote|pre|figure)\b[^>]*>/gi,
+      "\n\n"
+    )
+    .replace(/<[^>]+>/g, "");
+
+  return decodeEntities(text)
+    .split("\n")
+    .map((line) =>
+      line
+        .replace(/[ \t\u00a0]+/g, " ")
+        .replace(/ \|\s*$/, "")
+        .trim()
+    )
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
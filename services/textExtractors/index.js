@@ -0,0 +1,59 @@
+import "dotenv/config";
+import { extractDocx } from "./docxExtractor.js";
+import { extractHtml } from "./htmlExtractor.js";
+import { extractPptx } from "./pptxExtractor.js";
+import { extractXlsx } from "./xlsxExtractor.js";
+
+// --- Configuration ---
+// Extracted text beyond this many characters is cut off.
+const MAX_EXTRACTED_CHARS = Number(
+  process.env.EXTRACTED_TEXT_MAX_CHARS || 200000
+);
+
+/**
+ * Decodes a UTF-8 text file, dropping a byte-order mark.
+ */
+const extractPlainText = async (buffer) =>
+  buffer.toString("utf8").replace(/^\uFEFF/, "");
+
+// --- Extractor Registry ---
+// Uploads of these types are sent to the model as text instead of as files.
+const EXTRACTORS = {
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document":
+    extractDocx,
+  "application/vnd.openxmlformats-officedocument.presentationml.presentation":
+    extractPptx,
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet":
+    extractXlsx,
+  "text/html": extractHtml,
+  "text/csv": extractPlainText,
+  "text/markdown": extractPlainText,
+  "text/plain": extractPlainText,
+};
+
+/**
+ * Tells whether uploads of a MIME type are converted to text.
+ * @param {string} mimeType - The upload's MIME type.
+ * @returns {boolean} True if extractText supports it.
+ */
+export function canExtractText(mimeType) {
+  return Boolean(EXTRACTORS[mimeType]);
+}
+
+/**
+ * Converts an uploaded file to clean text for the model, keeping slide,
+ * sheet and section boundaries as Markdown headings.
+ * @param {Buffer} buffer - The file contents.
+ * @param {string} mimeType - The upload's MIME type.
+ * @returns {Promise<{text: string, truncated: boolean}>} The extracted text.
+ */
+export async function extractText(buffer, mimeType) {
+  const extract = EXTRACTORS[mimeType];
+  if (!extract) {
+    throw new Error(`Text extraction is not supported for '${mimeType}'.`);
+  }
+
+  const text = (await extract(buffer)).trim();
+  if (text.length <= MAX_EXTRACTED_CHARS) return { text, truncated: false };
+  return { text: text.slice(0, MAX_EXTRACTED_CHARS), truncated: true };
+}
@@ -0,0 +1,117 @@
+import { posix } from "path";
+import {
+  findAttribute,
+  findElements,
+  openPackage,
+  parseRelationships,
+  readPart,
+  textOf,
+} from "./xmlText.js";
+
+const TITLE_PLACEHOLDERS = new Set(["title", "ctrTitle"]);
+
+/**
+ * Resolves a relationship target relative to the part that references it.
+ */
+function resolveTarget(fromPart, target) {
+  return target.startsWith("/")
+    ? target.slice(1)
+    : posix.normalize(posix.join(posix.dirname(fromPart), target));
+}
+
+/**
+ * Lists the slide part paths in presentation order.
+ */
+async function listSlidePaths(zip) {
+  const presentation = await readPart(zip, "ppt/presentation.xml");
+  const rels = parseRelationships(
+    await readPart(zip, "ppt/_rels/presentation.xml.rels")
+  );
+  const ordered = findElements(presentation ?? "", "p:sldId")
+    .map((slideId) => rels.get(findAttribute(slideId, "p:sldId", "r:id")))
+    .filter(Boolean)
+    .map((target) => resolveTarget("ppt/presentation.xml", target));
+  if (ordered.length > 0) return ordered;
+
+  // Fall back to the file names if presentation.xml can't be read.
+  return Object.keys(zip.files)
+    .filter((name) => /^ppt\/slides\/slide\d+\.xml$/.test(name))
+    .sort((a, b) => parseInt(a.match(/\d+/)[0]) - parseInt(b.match(/\d+/)[0]));
+}
+
+/**
+ * Splits a slide's shapes into its title and its other paragraphs.
+ */
+function readShapes(slideXml) {
+  let title = null;
+  const lines = [];
+  for (const shape of findElements(slideXml, "p:sp")) {
+    const placeholder = findAttribute(shape, "p:ph", "type");
+    const paragraphs = findElements(shape, "a:p")
+      .map((paragraph) => textOf(paragraph, "a:t").trim())
+      .filter(Boolean);
+    if (paragraphs.length === 0) continue;
+
+    if (!title && TITLE_PLACEHOLDERS.has(placeholder)) {
+      title = paragraphs.join(" ");
+    } else {
+      lines.push(...paragraphs.map((text) => `- ${text}`));
+    }
+  }
+  return { title, lines };
+}
+
+/**
+ * Reads the speaker notes linked from a slide, if any.
+ */
+async function readNotes(zip, slidePath) {
+  const relsPath = posix.join(
+    posix.dirname(slidePath),
+    "_rels",
+    `${posix.basename(slidePath)}.rels`
+  );
+  const rels = parseRelationships(await readPart(zip, relsPath));
+  const target = [...rels.values()].find((value) =>
+    value.includes("notesSlide")
+  );
+  if (!target) return null;
+
+  const notesXml = await readPart(zip, resolveTarget(slidePath, target));
+  if (!notesXml) return null;
+  const text = findElements(notesXml, "p:sp")
+    .filter((shape) => findAttribute(shape, "p:ph", "type") === "body")
+    .flatMap((shape) => findElements(shape, "a:p"))
+    .map((paragraph) => textOf(paragraph, "a:t").trim())
+    .filter(Boolean)
+    .join("\n");
+  return text || null;
+}
+
+/**
+ * Extracts the text of a .pptx deck, one "## Slide N" section per slide with
+ * its title, bullet text and speaker notes.
+ * @param {Buffer} buffer - The file contents.
+ * @returns {Promise<string>} The extracted text.
+ */
+export async function extractPptx(buffer) {
+  const zip = await openPackage(buffer);
+  const slidePaths = await listSlidePaths(zip);
+  if (slidePaths.length === 0) throw new Error("The deck has no slides.");
+
+  const sections = [];
+  for (const [index, slidePath] of slidePaths.entries()) {
+    const slideXml = await readPart(zip, slidePath);
+    if (!slideXml) continue;
+    const { title, lines } = readShapes(slideXml);
+    const notes = await readNotes(zip, slidePath);
+
+    sections.push(
+      [
+        `## Slide ${index + 1}${title ? `: ${title}` : ""}`,
+        ...lines,
+        ...(notes ? [`Speaker notes: ${notes}`] : []),
+      ].join("\n")
+    );
+  }
+  return sections.join("\n\n");
+}
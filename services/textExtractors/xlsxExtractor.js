@@ -0,0 +1,93 @@
+import { posix } from "path";
+import {
+  findAttribute,
+  findElements,
+  openPackage,
+  parseRelationships,
+  readPart,
+  textOf,
+} from "./xmlText.js";
+
+/**
+ * Quotes a value for CSV output when needed.
+ */
+function toCsvValue(value) {
+  return /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+/**
+ * Converts a column reference such as "C" (from "C7") to a zero-based index.
+ */
+function columnIndex(cellRef) {
+  const letters = (cellRef.match(/^[A-Z]+/) ?? ["A"])[0];
+  return (
+    [...letters].reduce((sum, char) => sum * 26 + char.charCodeAt(0) - 64, 0) -
+    1
+  );
+}
+
+/**
+ * Reads a cell's displayed value (shared strings, inline strings, booleans
+ * and raw numbers; formulas contribute their cached result).
+ */
+function cellValue(cell, sharedStrings) {
+  const type = findAttribute(cell, "c", "t");
+  if (type === "inlineStr") return textOf(cell, "t");
+  const raw = textOf(cell, "v");
+  if (type === "s") return sharedStrings[Number(raw)] ?? "";
+  if (type === "b") return raw === "1" ? "TRUE" : "FALSE";
+  return raw;
+}
+
+/**
+ * Renders one worksheet as CSV lines, keeping empty cells in place.
+ */
+function renderSheet(sheetXml, sharedStrings) {
+  return findElements(sheetXml, "row")
+    .map((row) => {
+      const values = [];
+      for (const cell of findElements(row, "c")) {
+        const ref = findAttribute(cell, "c", "r");
+        const index = ref ? columnIndex(ref) : values.length;
+        values[index] = toCsvValue(cellValue(cell, sharedStrings));
+      }
+      return Array.from(values, (value) => value ?? "").join(",");
+    })
+    .filter((line) => line.replace(/,/g, "").trim())
+    .join("\n");
+}
+
+/**
+ * Extracts every worksheet of an .xlsx workbook as CSV, each under a
+ * "## Sheet: <name>" heading.
+ * @param {Buffer} buffer - The file contents.
+ * @returns {Promise<string>} The extracted text.
+ */
+export async function extractXlsx(buffer) {
+  const zip = await openPackage(buffer);
+  const workbook = await readPart(zip, "xl/workbook.xml");
+  if (!workbook) throw new Error("The file has no xl/workbook.xml part.");
+
+  const rels = parseRelationships(
+    await readPart(zip, "xl/_rels/workbook.xml.rels")
+  );
+  const sharedStrings = findElements(
+    (await readPart(zip, "xl/sharedStrings.xml")) ?? "",
+    "si"
+  ).map((item) => textOf(item, "t"));
+
+  const sections = [];
+  for (const sheet of findElements(workbook, "sheet")) {
+    const target = rels.get(findAttribute(sheet, "sheet", "r:id"));
+    if (!target) continue;
+    const sheetPath = target.startsWith("/")
+      ? target.slice(1)
+      : posix.join("xl", target);
+    const sheetXml = await readPart(zip, sheetPath);
+    if (!sheetXml) continue;
+
+    const name = findAttribute(sheet, "sheet", "name") ?? "Sheet";
+    sections.push(`## Sheet: ${name}\n${renderSheet(sheetXml, sharedStrings)}`);
+  }
+  return sections.join("\n\n");
+}
@@ -0,0 +1,160 @@
+import "dotenv/config";
+import JSZip from "jszip";
+import { httpError } from "../../utils/httpError.js";
+
+/*
+ * Minimal helpers for pulling text out of Office Open XML parts. The XML in
+ * DOCX/PPTX/XLSX files is machine-written and regular enough that matching
+ * tags with regular expressions is reliable, so no XML parser is needed.
+ */
+
+// --- Configuration ---
+// A part that inflates to more than this is refused, so a small upload can't
+// expand into gigabytes of XML (a "zip bomb").
+const MAX_PART_MB = Number(process.env.OFFICE_PART_MAX_MB || 50);
+const MAX_PART_BYTES = MAX_PART_MB * 1024 * 1024;
+
+// XML's predefined entities plus the HTML ones common in uploaded pages.
+const ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: "\u00a0",
+  ndash: "\u2013",
+  mdash: "\u2014",
+  hellip: "\u2026",
+  lsquo: "\u2018",
+  rsquo: "\u2019",
+  ldquo: "\u201c",
+  rdquo: "\u201d",
+  copy: "\u00a9",
+};
+
+/**
+ * Decodes the XML/HTML character entities in a string.
+ * @param {string} text - The encoded text.
+ * @returns {string} The decoded text.
+ */
+export function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === "#") {
+      const code =
+        entity[1].toLowerCase() === "x"
+          ? parseInt(entity.slice(2), 16)
+          : parseInt(entity.slice(1), 10);
+      return Number.isNaN(code) ? match : String.fromCodePoint(code);
+    }
+    return ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+/**
+ * Returns every element `tag` (with its contents) in an XML string.
+ * @param {string} xml - The XML to search.
+ * @param {string} tag - The qualified tag name, e.g. "w:p".
+ * @returns {string[]} The matching elements.
+ */
+export function findElements(xml, tag) {
+  const pattern = new RegExp(
+    `<${tag}(?:\\s[^>]*)?(?:/>|>[\\s\\S]*?</${tag}>)`,
+    "g"
+  );
+  return xml.match(pattern) ?? [];
+}
+
+/**
+ * Returns the value of an attribute on the first element `tag`, if present.
+ */
+export function findAttribute(xml, tag, attribute) {
+  const match = xml.match(
+    new RegExp(`<${tag}\\s[^>]*\\b${attribute}="([^"]*)"`)
+  );
+  return match ? decodeEntities(match[1]) : null;
+}
+
+/**
+ * Joins the text runs (e.g. <w:t> or <a:t>) inside an element.
+ * @param {string} xml - The element's XML.
+ * @param {string} tag - The text-run tag name.
+ * @returns {string} The decoded text.
+ */
+export function textOf(xml, tag) {
+  const pattern = new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, "g");
+  let text = "";
+  for (const match of xml.matchAll(pattern)) {
+    text += decodeEntities(match[1]);
+  }
+  return text;
+}
+
+/**
+ * Builds the error for a part that inflates past the limit.
+ */
+function partTooLarge(path) {
+  return httpError(
+    413,
+    `The package part '${path}' is larger than ${MAX_PART_MB} MB when uncompressed.`,
+    { maxPartBytes: MAX_PART_BYTES }
+  );
+}
+
+/**
+ * Opens an Office Open XML package, turning a non-ZIP upload into a clear
+ * error. Parts are only inflated by readPart, which enforces the size limit.
+ * @param {Buffer} buffer - The file contents.
+ * @returns {Promise<JSZip>} The opened package.
+ */
+export async function openPackage(buffer) {
+  try {
+    return await JSZip.loadAsync(buffer);
+  } catch {
+    throw new Error("The file is not a valid Office Open XML package.");
+  }
+}
+
+/**
+ * Reads a package part as a string, or returns null if it does not exist.
+ * The part is inflated chunk by chunk and abandoned once it passes the
+ * limit, whatever size the archive declares for it.
+ */
+export async function readPart(zip, path) {
+  const file = zip.file(path);
+  if (!file) return null;
+
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    const stream = file.internalStream("uint8array");
+    stream
+      .on("data", (chunk) => {
+        size += chunk.length;
+        if (size > MAX_PART_BYTES) {
+          stream.pause();
+          reject(partTooLarge(path));
+          return;
+        }
+        chunks.push(chunk);
+      })
+      .on("error", reject)
+      .on("end", () => resolve(Buffer.concat(chunks).toString("utf8")))
+      .resume();
+  });
+}
+
+/**
+ * Maps relationship IDs to their targets in a .rels part.
+ * @param {string|null} relsXml - The relationships XML.
+ * @returns {Map<string, string>} rId -> target path.
+ */
+export function parseRelationships(relsXml) {
+  const targets = new Map();
+  for (const rel of findElements(relsXml ?? "", "Relationship")) {
+    targets.set(
+      findAttribute(rel, "Relationship", "Id"),
+      findAttribute(rel, "Relationship", "Target")
+    );
+  }
+  return targets;
+}
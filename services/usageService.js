@@ -0,0 +1,201 @@
+import { createHash } from "crypto";
+import "dotenv/config";
+import { httpError } from "../utils/httpError.js";
+import { createKeyedLock } from "../utils/keyedLock.js";
+import { ANONYMOUS_USER } from "./authService.js";
+import { createRecordStore } from "./storage/index.js";
+
+// --- Configuration ---
+// Token quotas per user; 0 means unlimited.
+const DAILY_TOKEN_QUOTA = Number(process.env.TOKEN_QUOTA_DAILY || 0);
+const MONTHLY_TOKEN_QUOTA = Number(process.env.TOKEN_QUOTA_MONTHLY || 0);
+
+// --- Usage Ledger ---
+// One record per user per UTC day and one per user per month, holding the
+// running token totals. Both are looked up by ID, so quota checks never scan
+// the whole ledger.
+const ledger = createRecordStore("usage");
+
+// Updates to one user's records run one at a time, so no usage is lost.
+const withUserLock = createKeyedLock();
+
+// --- Helper Functions ---
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+/**
+ * Hashes a user ID into a file-safe key.
+ */
+function userKey(userId) {
+  return createHash("sha256").update(String(userId)).digest("hex").slice(0, 24);
+}
+
+/**
+ * Builds the ledger record ID for a user and a day ("2025-01-31") or month
+ * ("2025-01").
+ */
+function ledgerId(userId, period) {
+  return `${userKey(userId)}-${period}`;
+}
+
+/**
+ * Returns empty token counters.
+ */
+function emptyTotals() {
+  return {
+    requests: 0,
+    promptTokens: 0,
+    outputTokens: 0,
+    thoughtsTokens: 0,
+    totalTokens: 0,
+  };
+}
+
+/**
+ * Adds one response's usage to a set of counters.
+ */
+function addUsage(totals, usage) {
+  totals.requests += 1;
+  totals.promptTokens += usage.promptTokenCount ?? 0;
+  totals.outputTokens += usage.candidatesTokenCount ?? 0;
+  totals.thoughtsTokens += usage.thoughtsTokenCount ?? 0;
+  totals.totalTokens += usage.totalTokenCount ?? 0;
+}
+
+/**
+ * Sums several sets of counters.
+ */
+function sumTotals(records) {
+  return records.reduce((sum, record) => {
+    for (const key of Object.keys(sum)) sum[key] += record.totals[key] ?? 0;
+    return sum;
+  }, emptyTotals());
+}
+
+/**
+ * Loads a user's day records for the current month, oldest first.
+ */
+async function dayRecords(userId) {
+  const day = today();
+  const days = Array.from(
+    { length: Number(day.slice(8)) },
+    (_, index) => `${day.slice(0, 8)}${String(index + 1).padStart(2, "0")}`
+  );
+  const records = await Promise.all(
+    days.map((date) => ledger.get(ledgerId(userId, date)))
+  );
+  return records.filter(Boolean);
+}
+
+/**
+ * Loads a user's record for the current month. A month that has no record
+ * yet (it started before monthly totals were kept) is summed from its days.
+ */
+async function monthRecord(userId) {
+  const month = today().slice(0, 7);
+  const id = ledgerId(userId, month);
+  return (
+    (await ledger.get(id)) ?? {
+      id,
+      userId,
+      month,
+      totals: sumTotals(await dayRecords(userId)),
+    }
+  );
+}
+
+/**
+ * Describes the quotas and what's left of them.
+ */
+function quotaStatus(daily, monthly) {
+  const remaining = (quota, used) => (quota ? Math.max(0, quota - used) : null);
+  return {
+    dailyTokens: DAILY_TOKEN_QUOTA || null,
+    monthlyTokens: MONTHLY_TOKEN_QUOTA || null,
+    dailyRemaining: remaining(DAILY_TOKEN_QUOTA, daily.totalTokens),
+    monthlyRemaining: remaining(MONTHLY_TOKEN_QUOTA, monthly.totalTokens),
+  };
+}
+
+// --- Main Service Functions ---
+
+/**
+ * Records the token usage reported by a generateContent response.
+ * Never throws: accounting problems are logged so they can't fail a request.
+ * @param {string} userId - The user the call was made for.
+ * @param {string} operation - What the call was for (e.g. "message", "image").
+ * @param {string} model - The model that was called.
+ * @param {object} [usageMetadata] - The response's `usageMetadata`.
+ */
+export async function recordUsage(userId, operation, model, usageMetadata) {
+  if (!usageMetadata) return;
+  const user = userId ?? ANONYMOUS_USER.id;
+
+  try {
+    await withUserLock(userKey(user), async () => {
+      const day = today();
+      const month = await monthRecord(user);
+      const record = (await ledger.get(ledgerId(user, day))) ?? {
+        id: ledgerId(user, day),
+        userId: user,
+        day,
+        month: day.slice(0, 7),
+        totals: emptyTotals(),
+        byModel: {},
+        byOperation: {},
+      };
+      addUsage(record.totals, usageMetadata);
+      addUsage((record.byModel[model] ??= emptyTotals()), usageMetadata);
+      addUsage(
+        (record.byOperation[operation] ??= emptyTotals()),
+        usageMetadata
+      );
+      addUsage(month.totals, usageMetadata);
+      await ledger.save(record);
+      await ledger.save(month);
+    });
+  } catch (error) {
+    console.error("Failed to record token usage:", error);
+  }
+}
+
+/**
+ * Summarises a user's token usage for today and the current month.
+ * @param {string} userId - The user's ID.
+ * @returns {Promise<object>} Totals, quotas and per-day breakdown.
+ */
+export async function getUsageSummary(userId) {
+  const records = await dayRecords(userId);
+  const todayRecord = records.find((record) => record.day === today());
+  const daily = todayRecord ? { ...todayRecord.totals } : emptyTotals();
+  const monthly = (await monthRecord(userId)).totals;
+
+  return {
+    userId,
+    today: { day: today(), ...daily, byModel: todayRecord?.byModel ?? {} },
+    month: { month: today().slice(0, 7), ...monthly },
+    quotas: quotaStatus(daily, monthly),
+    days: records.map((record) => ({ day: record.day, ...record.totals })),
+  };
+}
+
+/**
+ * Throws a 429 when the user has used up their daily or monthly token quota.
+ * Reads only today's and this month's records.
+ * @param {string} userId - The user's ID.
+ */
+export async function assertWithinQuota(userId) {
+  if (!DAILY_TOKEN_QUOTA && !MONTHLY_TOKEN_QUOTA) return;
+
+  const todayRecord = await ledger.get(ledgerId(userId, today()));
+  const quotas = quotaStatus(
+    todayRecord?.totals ?? emptyTotals(),
+    (await monthRecord(userId)).totals
+  );
+  if (quotas.dailyRemaining === 0) {
+    throw httpError(429, "Daily token quota exhausted.", { quotas });
+  }
+  if (quotas.monthlyRemaining === 0) {
+    throw httpError(429, "Monthly token quota exhausted.", { quotas });
+  }
+}
@@ -0,0 +1,180 @@
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import { createHash, createHmac } from "node:crypto";
+import { mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, before, describe, test } from "node:test";
+
+/*
+ * Tests for API key and JWT authentication (services/authService.js and the
+ * auth middleware) against the mock provider and in-memory stores.
+ */
+const JWT_SECRET = "test-jwt-secret";
+const keysDir = mkdtempSync(join(tmpdir(), "auth-test-"));
+const keysFile = join(keysDir, "api-keys.json");
+writeFileSync(
+  keysFile,
+  JSON.stringify([
+    { userId: "alice", key: "alice-key" },
+    {
+      userId: "bob",
+      keyHash: `sha256:${createHash("sha256").update("bob-key").digest("hex")}`,
+    },
+  ])
+);
+
+process.env.LLM_PROVIDER = "mock";
+process.env.DATA_STORE = "memory";
+process.env.SESSION_STORE = "memory";
+process.env.JWT_SECRET = JWT_SECRET;
+process.env.API_KEYS_FILE = keysFile;
+delete process.env.AUTH_DISABLED;
+
+let server;
+let baseUrl;
+
+/**
+ * Builds an HS256 JWT for `payload`, signed with `secret`.
+ */
+function signJwt(payload, { secret = JWT_SECRET, alg = "HS256" } = {}) {
+  const encode = (value) =>
+    Buffer.from(JSON.stringify(value)).toString("base64url");
+  const unsigned = `${encode({ alg, typ: "JWT" })}.${encode(payload)}`;
+  const signature = createHmac("sha256", secret)
+    .update(unsigned)
+    .digest("base64url");
+  return `${unsigned}.${signature}`;
+}
+
+/**
+ * Sends a request with the given headers and returns the status and body.
+ */
+async function request(method, path, headers = {}) {
+  const response = await fetch(`${baseUrl}${path}`, { method, headers });
+  return { status: response.status, body: await response.json() };
+}
+
+const bearer = (token) => ({ Authorization: `Bearer ${token}` });
+const now = () => Math.floor(Date.now() / 1000);
+
+before(async () => {
+  const { default: app } = await import("../app.js");
+  server = app.listen(0);
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+  rmSync(keysDir, { recursive: true, force: true });
+});
+
+describe("authentication", () => {
+  test("refuses requests without credentials", async () => {
+    const { status, body } = await request("GET", "/api/chat/sessions");
+
+    assert.equal(status, 401);
+    assert.match(body.error, /required/);
+  });
+
+  test("accepts a valid JWT", async () => {
+    const token = signJwt({ sub: "carol", exp: now() + 60 });
+
+    const { status } = await request(
+      "GET",
+      "/api/chat/sessions",
+      bearer(token)
+    );
+
+    assert.equal(status, 200);
+  });
+
+  test("rejects expired, forged and unsigned tokens", async () => {
+    const tokens = [
+      signJwt({ sub: "carol", exp: now() - 3600 }),
+      signJwt({ sub: "carol" }, { secret: "another-secret" }),
+      signJwt({ sub: "carol" }, { alg: "none" }),
+    ];
+
+    for (const token of tokens) {
+      const { status } = await request(
+        "GET",
+        "/api/chat/sessions",
+        bearer(token)
+      );
+      assert.equal(status, 401);
+    }
+  });
+
+  test("rejects a token for the reserved anonymous user", async () => {
+    const { status, body } = await request(
+      "GET",
+      "/api/chat/sessions",
+      bearer(signJwt({ sub: "anonymous" }))
+    );
+
+    assert.equal(status, 401);
+    assert.match(body.error, /reserved/);
+  });
+
+  test("accepts plain and hashed API keys in either header", async () => {
+    const alice = await request("GET", "/api/chat/sessions", {
+      "X-API-Key": "alice-key",
+    });
+    const bob = await request("GET", "/api/chat/sessions", bearer("bob-key"));
+    const unknown = await request("GET", "/api/chat/sessions", {
+      "X-API-Key": "mallory-key",
+    });
+
+    assert.equal(alice.status, 200);
+    assert.equal(bob.status, 200);
+    assert.equal(unknown.status, 401);
+  });
+
+  test("keeps each user's sessions to themselves", async () => {
+    const started = await request("POST", "/api/chat/start-session", {
+      "X-API-Key": "alice-key",
+    });
+    const { sessionId } = started.body;
+
+    const own = await request("GET", `/api/chat/sessions/${sessionId}`, {
+      "X-API-Key": "alice-key",
+    });
+    const other = await request("GET", `/api/chat/sessions/${sessionId}`, {
+      "X-API-Key": "bob-key",
+    });
+    const listed = await request("GET", "/api/chat/sessions", {
+      "X-API-Key": "bob-key",
+    });
+
+    assert.equal(own.status, 200);
+    assert.equal(other.status, 403);
+    assert.ok(
+      !listed.body.sessions.some((session) => session.id === sessionId)
+    );
+  });
+});
+
+describe("API keys file", () => {
+  test("refuses an entry for the reserved anonymous user", () => {
+    const file = join(keysDir, "reserved.json");
+    writeFileSync(file, JSON.stringify([{ userId: "anonymous", key: "k" }]));
+
+    const result = spawnSync(
+      process.execPath,
+      [
+        "--input-type=module",
+        "-e",
+        'await import("./services/authService.js");',
+      ],
+      {
+        cwd: join(import.meta.dirname, ".."),
+        env: { ...process.env, API_KEYS_FILE: file },
+        encoding: "utf8",
+      }
+    );
+
+    assert.notEqual(result.status, 0);
+    assert.match(result.stderr, /reserved userId 'anonymous'/);
+  });
+});
@@ -0,0 +1,171 @@
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+
+/*
+ * End-to-end tests for /api/chat against the offline mock LLM provider and
+ * in-memory stores. Services read their configuration on import, so the
+ * environment is set before the app is loaded.
+ */
+process.env.LLM_PROVIDER = "mock";
+process.env.DATA_STORE = "memory";
+process.env.SESSION_STORE = "memory";
+process.env.RESEARCH_PROVIDER = "fixture";
+process.env.AUTH_DISABLED = "true";
+
+let server;
+let baseUrl;
+
+/**
+ * Sends a JSON request to the test server and returns the status and body.
+ */
+async function request(method, path, body) {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: body ? { "Content-Type": "application/json" } : {},
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+/**
+ * Posts to the streaming endpoint and parses the Server-Sent Events it sends.
+ */
+async function requestStream(body) {
+  const response = await fetch(`${baseUrl}/api/chat/send-message/stream`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+  const text = await response.text();
+  if (!response.headers.get("content-type")?.startsWith("text/event-stream")) {
+    return { status: response.status, body: JSON.parse(text), events: [] };
+  }
+  const events = text
+    .split("\n\n")
+    .filter(Boolean)
+    .map((block) => ({
+      type: block.match(/^event: (.*)$/m)[1],
+      data: JSON.parse(block.match(/^data: (.*)$/m)[1]),
+    }));
+  return { status: response.status, events };
+}
+
+/**
+ * Starts a chat session and returns its ID.
+ */
+async function startSession() {
+  const { status, body } = await request("POST", "/api/chat/start-session");
+  assert.equal(status, 200);
+  return body.sessionId;
+}
+
+before(async () => {
+  const { default: app } = await import("../app.js");
+  server = app.listen(0);
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+describe("POST /api/chat/send-message", () => {
+  test("returns a schema-conformant response and records the turn", async () => {
+    const sessionId = await startSession();
+
+    const { status, body } = await request("POST", "/api/chat/send-message", {
+      sessionId,
+      prompt: "Make a quiz about the solar system",
+      contentType: "quiz",
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.meta.selection.contentType, "quiz");
+    assert.equal(typeof body.title, "string");
+    assert.ok(Array.isArray(body.questions) && body.questions.length > 0);
+    assert.equal(body.meta.validation.repairAttempts, 0);
+    assert.ok(body.meta.artifact.id);
+
+    const session = await request("GET", `/api/chat/sessions/${sessionId}`);
+    assert.equal(session.status, 200);
+    assert.equal(session.body.turnCount, 1);
+    assert.equal(
+      session.body.turns[0].prompt,
+      "Make a quiz about the solar system"
+    );
+  });
+
+  test("keeps every turn when messages to one session overlap", async () => {
+    const sessionId = await startSession();
+
+    const responses = await Promise.all(
+      [1, 2, 3].map((n) =>
+        request("POST", "/api/chat/send-message", {
+          sessionId,
+          prompt: `Question ${n}`,
+          contentType: "default",
+        })
+      )
+    );
+
+    assert.deepEqual(
+      responses.map((response) => response.status),
+      [200, 200, 200]
+    );
+    const session = await request("GET", `/api/chat/sessions/${sessionId}`);
+    assert.equal(session.body.turnCount, 3);
+  });
+
+  test("requires a prompt and a sessionId", async () => {
+    const { status, body } = await request("POST", "/api/chat/send-message", {
+      prompt: "Hello",
+    });
+
+    assert.equal(status, 400);
+    assert.match(body.error, /sessionId/);
+  });
+
+  test("answers 404 for an unknown session", async () => {
+    const { status } = await request("POST", "/api/chat/send-message", {
+      sessionId: "00000000-0000-0000-0000-000000000000",
+      prompt: "Hello",
+    });
+
+    assert.equal(status, 404);
+  });
+});
+
+describe("POST /api/chat/send-message/stream", () => {
+  test("streams progress events, then the parsed result", async () => {
+    const sessionId = await startSession();
+
+    const { status, events } = await requestStream({
+      sessionId,
+      prompt: "Make a quiz about volcanoes",
+      contentType: "quiz",
+    });
+
+    assert.equal(status, 200);
+    const progress = events.filter((event) => event.type === "progress");
+    assert.ok(progress.length > 0);
+    const result = events.at(-1);
+    assert.equal(result.type, "result");
+    const { meta, ...content } = result.data;
+    assert.deepEqual(
+      JSON.parse(progress.map((event) => event.data.text).join("")),
+      content
+    );
+    assert.equal(meta.selection.contentType, "quiz");
+
+    const session = await request("GET", `/api/chat/sessions/${sessionId}`);
+    assert.equal(session.body.turnCount, 1);
+  });
+
+  test("answers an unknown session with a JSON 404", async () => {
+    const { status, body } = await requestStream({
+      sessionId: "00000000-0000-0000-0000-000000000000",
+      prompt: "Hello",
+    });
+
+    assert.equal(status, 404);
+    assert.match(body.error, /was not found/);
+  });
+});
@@ -0,0 +1,187 @@
+import assert from "node:assert/strict";
+import JSZip from "jszip";
+import { after, before, describe, test } from "node:test";
+
+/*
+ * Tests for /api/quizzes: the student view, grading, the per-quiz submission
+ * cap and the export formats, against in-memory stores.
+ */
+process.env.LLM_PROVIDER = "mock";
+process.env.DATA_STORE = "memory";
+process.env.SESSION_STORE = "memory";
+process.env.AUTH_DISABLED = "true";
+process.env.QUIZ_MAX_SUBMISSIONS = "3";
+process.env.RATE_LIMIT_QUIZ_SUBMISSIONS_PER_MINUTE = "1000";
+
+const QUIZ = {
+  title: "Cells",
+  questions: [
+    {
+      questionNumber: 1,
+      question: "Which organelle makes ATP?",
+      choices: ["A) Nucleus", "B) Mitochondrion", "C) Ribosome"],
+      correctAnswer: "B) Mitochondrion",
+    },
+    {
+      questionNumber: 2,
+      question: "=1+1 is a formula in which program?",
+      choices: ["Word", "-Excel", "Paint"],
+      correctAnswer: "-Excel",
+    },
+  ],
+};
+
+let server;
+let baseUrl;
+
+/**
+ * Sends a JSON request to the test server and returns the status and body.
+ */
+async function request(method, path, body) {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: body ? { "Content-Type": "application/json" } : {},
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+/**
+ * Stores QUIZ and returns its ID.
+ */
+async function createQuiz() {
+  const { status, body } = await request("POST", "/api/quizzes", QUIZ);
+  assert.equal(status, 201);
+  return body.id;
+}
+
+/**
+ * Fetches a stored quiz's export and returns the status and the file as text.
+ */
+async function exportText(path) {
+  const response = await fetch(`${baseUrl}${path}`);
+  return { status: response.status, text: await response.text() };
+}
+
+before(async () => {
+  const { default: app } = await import("../app.js");
+  server = app.listen(0);
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+describe("quiz grading", () => {
+  test("hands students the questions without the answers", async () => {
+    const id = await createQuiz();
+
+    const { status, body } = await request("GET", `/api/quizzes/${id}`);
+
+    assert.equal(status, 200);
+    assert.equal(body.questions.length, 2);
+    assert.ok(
+      body.questions.every((question) => !("correctAnswer" in question))
+    );
+  });
+
+  test("grades by letter, label or text and hides the key", async () => {
+    const id = await createQuiz();
+
+    const { status, body } = await request(
+      "POST",
+      `/api/quizzes/${id}/submissions`,
+      { answers: { 1: "b", 2: "Word" }, studentName: "Ada" }
+    );
+
+    assert.equal(status, 201);
+    assert.equal(body.score, 1);
+    assert.equal(body.total, 2);
+    assert.deepEqual(body.results, [
+      { questionNumber: 1, answered: true, correct: true },
+      { questionNumber: 2, answered: true, correct: false },
+    ]);
+
+    const other = await request("POST", `/api/quizzes/${id}/submissions`, {
+      answers: [
+        { questionNumber: 1, answer: "Mitochondrion" },
+        { questionNumber: 2, answer: "B) -Excel" },
+      ],
+    });
+    assert.equal(other.body.score, 2);
+  });
+
+  test("requires answers in a supported shape", async () => {
+    const id = await createQuiz();
+
+    const missing = await request("POST", `/api/quizzes/${id}/submissions`, {});
+    const malformed = await request("POST", `/api/quizzes/${id}/submissions`, {
+      answers: "B",
+    });
+    const unknown = await request("POST", "/api/quizzes/nope/submissions", {
+      answers: {},
+    });
+
+    assert.equal(missing.status, 400);
+    assert.equal(malformed.status, 400);
+    assert.equal(unknown.status, 404);
+  });
+
+  test("closes a quiz at the submission cap, even under concurrency", async () => {
+    const id = await createQuiz();
+
+    const responses = await Promise.all(
+      Array.from({ length: 5 }, () =>
+        request("POST", `/api/quizzes/${id}/submissions`, { answers: {} })
+      )
+    );
+
+    const statuses = responses.map(({ status }) => status).sort();
+    assert.deepEqual(statuses, [201, 201, 201, 409, 409]);
+    const { body } = await request("GET", `/api/quizzes/${id}/submissions`);
+    assert.equal(body.submissions.length, 3);
+  });
+});
+
+describe("quiz export", () => {
+  test("escapes CSV fields that would run as formulas", async () => {
+    const id = await createQuiz();
+
+    const { status, text } = await exportText(`/api/quizzes/${id}/export/csv`);
+
+    assert.equal(status, 200);
+    const row = text.split("\r\n")[2];
+    assert.ok(row.startsWith("2,'=1+1 is a formula"), row);
+    assert.ok(row.includes(",'-Excel,"), row);
+  });
+
+  test("gives each QTI item its own identifier", async () => {
+    const response = await fetch(`${baseUrl}/api/quizzes/export/qti`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(QUIZ),
+    });
+    const zip = await JSZip.loadAsync(await response.arrayBuffer());
+
+    assert.equal(response.status, 200);
+    const items = zip.file(/^items\/.*\.xml$/);
+    const ids = await Promise.all(
+      items.map(
+        async (item) =>
+          (await item.async("string")).match(
+            /<assessmentItem[^>]*identifier="([^"]+)"/
+          )[1]
+      )
+    );
+    assert.equal(ids.length, 2);
+    assert.equal(new Set(ids).size, 2);
+  });
+
+  test("refuses a quiz that does not match the schema", async () => {
+    const { status, body } = await request("POST", "/api/quizzes/export/gift", {
+      title: "Broken",
+    });
+
+    assert.equal(status, 400);
+    assert.ok(body.validationErrors.length > 0);
+  });
+});
@@ -0,0 +1,149 @@
+import assert from "node:assert/strict";
+import JSZip from "jszip";
+import { after, before, describe, test } from "node:test";
+
+/*
+ * Tests for attachment validation on /api/chat/send-message: accepted types,
+ * content signatures and the uncompressed size cap on Office packages. Runs
+ * against the mock LLM provider and in-memory stores.
+ */
+process.env.LLM_PROVIDER = "mock";
+process.env.DATA_STORE = "memory";
+process.env.SESSION_STORE = "memory";
+process.env.AUTH_DISABLED = "true";
+process.env.OFFICE_PART_MAX_MB = "1";
+
+const DOCX =
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document";
+const PNG_HEADER = Buffer.from([
+  0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a,
+]);
+
+let server;
+let baseUrl;
+let sessionId;
+
+/**
+ * Sends a message with the given attachments and returns the status and body.
+ * @param {{name: string, type: string, content: Buffer|string}[]} files
+ */
+async function sendWithFiles(files) {
+  const form = new FormData();
+  form.append("sessionId", sessionId);
+  form.append("prompt", "Summarise the attached file.");
+  for (const { name, type, content } of files) {
+    form.append("files", new Blob([content], { type }), name);
+  }
+  const response = await fetch(`${baseUrl}/api/chat/send-message`, {
+    method: "POST",
+    body: form,
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+/**
+ * Builds a .docx whose body holds `text`.
+ */
+async function buildDocx(text) {
+  const zip = new JSZip();
+  zip.file(
+    "word/document.xml",
+    `<w:document><w:body><w:p><w:r><w:t>${text}</w:t></w:r></w:p></w:body></w:document>`
+  );
+  return zip.generateAsync({ type: "nodebuffer", compression: "DEFLATE" });
+}
+
+before(async () => {
+  const { default: app } = await import("../app.js");
+  server = app.listen(0);
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+  const response = await fetch(`${baseUrl}/api/chat/start-session`, {
+    method: "POST",
+  });
+  ({ sessionId } = await response.json());
+});
+
+after(() => server.close());
+
+describe("attachment validation", () => {
+  test("accepts a text file", async () => {
+    const { status } = await sendWithFiles([
+      { name: "notes.txt", type: "text/plain", content: "Photosynthesis." },
+    ]);
+
+    assert.equal(status, 200);
+  });
+
+  test("refuses types it cannot verify", async () => {
+    const { status, body } = await sendWithFiles([
+      {
+        name: "setup.exe",
+        type: "application/x-msdownload",
+        content: Buffer.from("MZ\x90\x00"),
+      },
+    ]);
+
+    assert.equal(status, 415);
+    assert.ok(body.allowedMimeTypes.includes("text/plain"));
+  });
+
+  test("refuses content that does not match the declared type", async () => {
+    const mismatched = [
+      { name: "photo.png", type: "image/png", content: "not an image" },
+      { name: "report.pdf", type: "application/pdf", content: PNG_HEADER },
+      {
+        name: "notes.txt",
+        type: "text/plain",
+        content: Buffer.from([0x68, 0x69, 0x00, 0x01]),
+      },
+      { name: "essay.docx", type: DOCX, content: "plain text" },
+    ];
+
+    for (const file of mismatched) {
+      const { status, body } = await sendWithFiles([file]);
+      assert.equal(status, 415, file.name);
+      assert.match(body.error, /does not match/);
+    }
+  });
+
+  test("accepts the Excel type only as an alias for .csv files", async () => {
+    const csv = await sendWithFiles([
+      {
+        name: "grades.csv",
+        type: "application/vnd.ms-excel",
+        content: "name,score\nAda,10\n",
+      },
+    ]);
+    const xls = await sendWithFiles([
+      {
+        name: "grades.xls",
+        type: "application/vnd.ms-excel",
+        content: "name,score\nAda,10\n",
+      },
+    ]);
+
+    assert.equal(csv.status, 200);
+    assert.equal(xls.status, 415);
+  });
+
+  test("reads a small Office document", async () => {
+    const { status } = await sendWithFiles([
+      { name: "essay.docx", type: DOCX, content: await buildDocx("Cells.") },
+    ]);
+
+    assert.equal(status, 200);
+  });
+
+  test("refuses an Office part that inflates past the limit", async () => {
+    // About 2 MB of XML that compresses to a few kilobytes.
+    const docx = await buildDocx("a".repeat(2 * 1024 * 1024));
+
+    const { status, body } = await sendWithFiles([
+      { name: "bomb.docx", type: DOCX, content: docx },
+    ]);
+
+    assert.ok(docx.length < 64 * 1024);
+    assert.equal(status, 413);
+    assert.equal(body.maxPartBytes, 1024 * 1024);
+  });
+});
@@ -0,0 +1,90 @@
+import assert from "node:assert/strict";
+import { createHmac } from "node:crypto";
+import http from "node:http";
+import { after, before, describe, test } from "node:test";
+
+/*
+ * Tests for signed webhook delivery (services/jobs/webhooks.js) against a
+ * local receiver. localhost is allow-listed so the receiver can be reached;
+ * one attempt per delivery keeps failures from waiting on retries.
+ */
+const WEBHOOK_SECRET = "test-webhook-secret";
+process.env.WEBHOOK_SECRET = WEBHOOK_SECRET;
+process.env.WEBHOOK_ALLOWED_HOSTS = "localhost";
+process.env.WEBHOOK_MAX_ATTEMPTS = "1";
+
+const { deliverWebhook, validateCallbackUrl } =
+  await import("../services/jobs/webhooks.js");
+
+let receiver;
+let baseUrl;
+const received = [];
+
+before(async () => {
+  receiver = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      received.push({ url: req.url, headers: req.headers, body });
+      if (req.url === "/redirect") {
+        res.writeHead(302, { Location: "/hook" }).end();
+      } else if (req.url === "/fail") {
+        res.writeHead(500).end();
+      } else {
+        res.writeHead(204).end();
+      }
+    });
+  });
+  await new Promise((resolve) => receiver.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://localhost:${receiver.address().port}`;
+});
+
+after(() => receiver.close());
+
+describe("deliverWebhook", () => {
+  test("only accepts allow-listed hosts once an allow-list is set", async () => {
+    await assert.rejects(validateCallbackUrl("https://8.8.8.8/hook"), {
+      status: 400,
+    });
+    assert.equal(
+      await validateCallbackUrl(`${baseUrl}/hook`),
+      `${baseUrl}/hook`
+    );
+  });
+
+  test("signs the timestamp and body with the shared secret", async () => {
+    received.length = 0;
+    const payload = { jobId: "job-1", status: "completed" };
+
+    const outcome = await deliverWebhook(`${baseUrl}/hook`, payload);
+
+    assert.equal(outcome.delivered, true);
+    assert.equal(outcome.attempts, 1);
+    const [{ headers, body }] = received;
+    assert.deepEqual(JSON.parse(body), payload);
+    assert.equal(headers["x-webhook-id"], outcome.id);
+    const expected = createHmac("sha256", WEBHOOK_SECRET)
+      .update(`${headers["x-webhook-timestamp"]}.${body}`)
+      .digest("hex");
+    assert.equal(headers["x-webhook-signature"], `sha256=${expected}`);
+  });
+
+  test("does not follow redirects", async () => {
+    received.length = 0;
+
+    const outcome = await deliverWebhook(`${baseUrl}/redirect`, {});
+
+    assert.equal(outcome.delivered, false);
+    assert.deepEqual(
+      received.map(({ url }) => url),
+      ["/redirect"]
+    );
+  });
+
+  test("reports a failed delivery without the receiver's answer", async () => {
+    const outcome = await deliverWebhook(`${baseUrl}/fail`, {});
+
+    assert.equal(outcome.delivered, false);
+    assert.equal(outcome.error, "The callback could not be delivered.");
+  });
+});
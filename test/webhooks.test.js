@@ -0,0 +1,73 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+
+/*
+ * Tests for the SSRF checks on job callback URLs (services/jobs/webhooks.js)
+ * with no WEBHOOK_ALLOWED_HOSTS, so every host must resolve to public
+ * addresses. Only IP literals and localhost are used: no DNS is needed.
+ */
+process.env.WEBHOOK_SECRET = "test-webhook-secret";
+delete process.env.WEBHOOK_ALLOWED_HOSTS;
+
+const { validateCallbackUrl } = await import("../services/jobs/webhooks.js");
+
+/**
+ * Asserts that validateCallbackUrl rejects `url` with a 400.
+ */
+async function assertRejected(url) {
+  await assert.rejects(validateCallbackUrl(url), (error) => {
+    assert.equal(error.status, 400, `${url}: ${error.message}`);
+    return true;
+  });
+}
+
+describe("validateCallbackUrl", () => {
+  test("returns null when no callback is given", async () => {
+    assert.equal(await validateCallbackUrl(undefined), null);
+  });
+
+  test("rejects malformed URLs and other protocols", async () => {
+    await assertRejected("not a url");
+    await assertRejected("ftp://8.8.8.8/hook");
+    await assertRejected("file:///etc/passwd");
+  });
+
+  test("rejects loopback, private and link-local IPv4 hosts", async () => {
+    for (const url of [
+      "http://127.0.0.1/hook",
+      "http://localhost:3000/hook",
+      "http://10.1.2.3/hook",
+      "http://172.16.0.1/hook",
+      "http://192.168.1.10/hook",
+      "http://169.254.169.254/latest/meta-data",
+      "http://0.0.0.0/hook",
+    ]) {
+      await assertRejected(url);
+    }
+  });
+
+  test("rejects IPv6 hosts that reach internal IPv4 addresses", async () => {
+    for (const url of [
+      "http://[::1]/hook",
+      "http://[::ffff:7f00:1]/hook",
+      "http://[::ffff:169.254.169.254]/hook",
+      "http://[::7f00:1]/hook",
+      "http://[64:ff9b::a9fe:a9fe]/hook",
+      "http://[fd00::1]/hook",
+      "http://[fe80::1]/hook",
+    ]) {
+      await assertRejected(url);
+    }
+  });
+
+  test("accepts public hosts", async () => {
+    assert.equal(
+      await validateCallbackUrl("https://8.8.8.8/hook"),
+      "https://8.8.8.8/hook"
+    );
+    assert.equal(
+      await validateCallbackUrl("http://[2001:4860:4860::8888]/hook"),
+      "http://[2001:4860:4860::8888]/hook"
+    );
+  });
+});
@@ -0,0 +1,100 @@
+// --- Signature Helpers ---
+
+/**
+ * Checks whether `bytes` contains `signature` (a string or byte array) at `offset`.
+ */
+const hasBytes = (bytes, signature, offset = 0) => {
+  const expected =
+    typeof signature === "string"
+      ? Buffer.from(signature, "latin1")
+      : signature;
+  return (
+    bytes.length >= offset + expected.length &&
+    expected.every((byte, i) => bytes[offset + i] === byte)
+  );
+};
+
+// DOCX, PPTX and XLSX are all ZIP containers.
+const isZip = (bytes) => hasBytes(bytes, [0x50, 0x4b, 0x03, 0x04]);
+
+/**
+ * Plain-text formats have no signature; accept them if the start of the file
+ * is valid UTF-8 without NUL bytes.
+ */
+const isText = (bytes) => {
+  if (bytes.includes(0)) return false;
+  try {
+    // `stream: true` tolerates a character cut off at the end of the sample.
+    new TextDecoder("utf-8", { fatal: true }).decode(bytes, { stream: true });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Checks for each supported MIME type, keyed by type. A file is only accepted
+ * when its content matches the check for the type the client declared.
+ */
+export const FILE_SIGNATURES = {
+  "image/png": (b) =>
+    hasBytes(b, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+  "image/jpeg": (b) => hasBytes(b, [0xff, 0xd8, 0xff]),
+  "image/gif": (b) => hasBytes(b, "GIF87a") || hasBytes(b, "GIF89a"),
+  "image/webp": (b) => hasBytes(b, "RIFF") && hasBytes(b, "WEBP", 8),
+  "application/pdf": (b) => hasBytes(b, "%PDF-"),
+  "audio/mpeg": (b) =>
+    hasBytes(b, "ID3") || (b[0] === 0xff && (b[1] & 0xe0) === 0xe0),
+  "audio/wav": (b) => hasBytes(b, "RIFF") && hasBytes(b, "WAVE", 8),
+  "video/mp4": (b) => hasBytes(b, "ftyp", 4),
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document":
+    isZip,
+  "application/vnd.openxmlformats-officedocument.presentationml.presentation":
+    isZip,
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet": isZip,
+  "text/plain": isText,
+  "text/markdown": isText,
+  "text/csv": isText,
+  "text/html": isText,
+};
+
+/**
+ * Other MIME types clients send for the text formats above (e.g. browsers on
+ * Windows report CSV files as an Excel type), by the file extensions for
+ * which they stand for a supported type.
+ */
+export const MIME_TYPE_ALIASES = {
+  "application/vnd.ms-excel": { ".csv": "text/csv" },
+  "text/x-markdown": { ".md": "text/markdown", ".markdown": "text/markdown" },
+  "application/octet-stream": {
+    ".md": "text/markdown",
+    ".markdown": "text/markdown",
+  },
+};
+
+// How many leading bytes are needed to run the checks above.
+export const SIGNATURE_SAMPLE_BYTES = 4096;
+
+/**
+ * Tells whether a file's leading bytes match its declared MIME type.
+ * @param {Buffer} bytes - The first bytes of the file (see SIGNATURE_SAMPLE_BYTES).
+ * @param {string} mimeType - The MIME type the client declared.
+ * @returns {boolean} True if the content matches; false for unknown types.
+ */
+export function matchesSignature(bytes, mimeType) {
+  const check = FILE_SIGNATURES[mimeType];
+  return Boolean(check) && check(bytes);
+}
+
+/**
+ * Maps a declared MIME type to the supported type it stands for, when it is
+ * an alias (see MIME_TYPE_ALIASES) and the file name has a matching
+ * extension. The content is still checked against the returned type.
+ * @param {string} mimeType - The MIME type the client declared.
+ * @param {string} fileName - The uploaded file's name.
+ * @returns {string} The supported type, or `mimeType` unchanged.
+ */
+export function resolveMimeType(mimeType, fileName) {
+  const extension = fileName.slice(fileName.lastIndexOf(".")).toLowerCase();
+  return MIME_TYPE_ALIASES[mimeType]?.[extension] ?? mimeType;
+}
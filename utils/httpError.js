@@ -0,0 +1,18 @@
+/**
+ * Creates an Error carrying an HTTP status code, so services can tell the
+ * controllers which response to send (e.g. 404 for a missing session).
+ * @param {number} status - The HTTP status code.
+ * @param {string} message - The client-facing error message.
+ * @param {object} [details] - Optional extra fields merged into the JSON error body.
+ * @returns {Error} The error, with `status` (and `details`) set and `expose`
+ *   marking the message as safe to show to clients.
+ */
+export function httpError(status, message, details) {
+  const error = new Error(message);
+  error.status = status;
+  error.expose = true;
+  if (details) {
+    error.details = details;
+  }
+  return error;
+}
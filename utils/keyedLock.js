@@ -0,0 +1,23 @@
+/**
+ * Creates a lock that runs tasks for the same key one at a time, in the order
+ * they were requested. Tasks for different keys run concurrently.
+ * @returns {(key: string, task: () => Promise<*>) => Promise<*>} Runs `task`
+ *   after every earlier task for `key` has settled and resolves to its result.
+ */
+export function createKeyedLock() {
+  const pending = new Map();
+
+  return (key, task) => {
+    const previous = pending.get(key) ?? Promise.resolve();
+    const current = previous.catch(() => {}).then(task);
+    pending.set(key, current);
+    current
+      .catch(() => {})
+      .finally(() => {
+        if (pending.get(key) === current) {
+          pending.delete(key);
+        }
+      });
+    return current;
+  };
+}
@@ -0,0 +1,23 @@
+/**
+ * Builds the JSON body for a service error: its message (or the fallback)
+ * plus any details it carries (see ./httpError.js).
+ * @param {Error} error - The error to report.
+ * @param {string} fallbackMessage - The message to use if the error has none.
+ * @returns {object} The response body.
+ */
+export function errorBody(error, fallbackMessage) {
+  return { error: error.message || fallbackMessage, ...error.details };
+}
+
+/**
+ * Sends a service error as JSON, using its HTTP status (see ./httpError.js)
+ * when it has one and a `Retry-After` header when it asks for one.
+ * @param {object} res - The Express response.
+ * @param {Error} error - The error to report.
+ * @param {string} fallbackMessage - The message to send if the error has none.
+ */
+export function sendError(res, error, fallbackMessage) {
+  console.error("Controller Error:", error.message);
+  if (error.retryAfter) res.setHeader("Retry-After", error.retryAfter);
+  res.status(error.status || 500).json(errorBody(error, fallbackMessage));
+}
@@ -0,0 +1,33 @@
+/**
+ * A robust retry mechanism with exponential backoff and jitter.
+ */
+export async function withRetry(
+  apiCallFn,
+  maxRetries = 5,
+  initialDelay = 2000
+) {
+  for (let attempt = 0; attempt < maxRetries; attempt++) {
+    try {
+      return await apiCallFn();
+    } catch (error) {
+      if (error.status === 429 || error.status === 503) {
+        if (attempt === maxRetries - 1) {
+          console.error(
+            `API call failed after ${maxRetries} attempts. No more retries.`
+          );
+          throw error;
+        }
+        const delay =
+          initialDelay * Math.pow(2, attempt) + Math.random() * 1000;
+        console.warn(
+          `API Error (${error.status}). Retrying in ${Math.round(
+            delay / 1000
+          )}s...`
+        );
+        await new Promise((resolve) => setTimeout(resolve, delay));
+      } else {
+        throw error;
+      }
+    }
+  }
+}